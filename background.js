@@ -31,19 +31,18 @@
     this.vTop = this.vcfg.top || {};
     this.mcfg = bgCfg.motion || {};
     this.topRegion = bgCfg.topRegion || { type: 'circle', radiusRatio: 0.35 };
+    // Seeded random streams (BrushConfig.random.seed); separate streams keep the static layer,
+    // top-layer spawn and motion independent of each other's draw counts
+    const randomCfg = (typeof BrushConfig !== 'undefined') ? BrushConfig.random : null;
+    this.rng = options.rng || SeededRandom.fromConfig(randomCfg, 'background');
+    this._staticRng = this.rng.fork('static');
+    this._topRng = this.rng.fork('top');
+    this._motionRng = this.rng.fork('motion');
+    // GPU particle noise offset, derived from the seed instead of the wall clock
+    this._gpuSeed = this.rng.fork('gpu').next() * 100;
 
     // Precompute region geometry
-    const minDim = Math.min(this.width, this.height);
-    const cx = this.width / 2;
-    const cy = this.height / 2;
-    if (this.topRegion.type === 'rect') {
-      const wr = Math.max(0, Math.min(1, this.topRegion.widthRatio ?? 0.6));
-      const hr = Math.max(0, Math.min(1, this.topRegion.heightRatio ?? 0.6));
-      this._region = { kind: 'rect', cx, cy, halfW: (this.width * wr) / 2, halfH: (this.height * hr) / 2 };
-    } else {
-      const rr = Math.max(0, Math.min(1, this.topRegion.radiusRatio ?? 0.35));
-      this._region = { kind: 'circle', cx, cy, r: minDim * rr };
-    }
+    this._computeRegion();
 
     // Public API
     this.start = () => {
@@ -146,11 +145,12 @@
       const shadowAlphaOuter = vStatic.shadowAlphaOuter ?? 0.1;
 
       for (let i = 0; i < this.bgCircleCount; i++) {
-        const x = Math.random() * this.width;
-        const y = Math.random() * this.height;
-        const radius = radiusMin + Math.random() * (radiusMax - radiusMin);
+        const rng = this._staticRng;
+        const x = rng.next() * this.width;
+        const y = rng.next() * this.height;
+        const radius = rng.range(radiusMin, radiusMax);
         const outerRadius = radius * outerScale;
-        const grayValue = grayMin + Math.random() * (grayMax - grayMin);
+        const grayValue = rng.range(grayMin, grayMax);
 
         // Shadow
         const shadowGradient = ctx.createRadialGradient(x + shadowOffset, y + shadowOffset, 0, x + shadowOffset, y + shadowOffset, outerRadius);
@@ -198,16 +198,17 @@
       const grayMin = vTop.grayMin ?? 150;
       const grayMax = vTop.grayMax ?? 300;
 
+      const rng = this._topRng;
       for (let i = 0; i < this.topCircleCount; i++) {
         let x, y;
         do {
-          x = Math.random() * this.width;
-          y = Math.random() * this.height;
+          x = rng.next() * this.width;
+          y = rng.next() * this.height;
         } while (!this._inRegion(x, y));
 
-        const radius = radiusMin + Math.random() * (radiusMax - radiusMin);
+        const radius = rng.range(radiusMin, radiusMax);
         const outerRadius = radius * (vTop.outerScale ?? 1.1);
-        const grayValue = Math.min(255, grayMin + Math.random() * (grayMax - grayMin));
+        const grayValue = Math.min(255, rng.range(grayMin, grayMax));
 
         this.topLayerCircles.push({
           x, y, radius, outerRadius, grayValue
@@ -223,6 +224,26 @@
       this._spritesCfg = this._bgCfg.sprites || {};
     }
 
+    _computeRegion() {
+      const minDim = Math.min(this.width, this.height);
+      const cx = this.width / 2;
+      const cy = this.height / 2;
+      if (this.topRegion.type === 'rect') {
+        const wr = Math.max(0, Math.min(1, this.topRegion.widthRatio ?? 0.6));
+        const hr = Math.max(0, Math.min(1, this.topRegion.heightRatio ?? 0.6));
+        this._region = { kind: 'rect', cx, cy, halfW: (this.width * wr) / 2, halfH: (this.height * hr) / 2 };
+      } else {
+        const rr = Math.max(0, Math.min(1, this.topRegion.radiusRatio ?? 0.35));
+        this._region = { kind: 'circle', cx, cy, r: minDim * rr };
+      }
+    }
+
+    // Build square in canvas pixels (centered, BrushConfig.visual.squareOverlay.size)
+    getSquareOverlayRect() {
+      const size = this.squareOverlaySize;
+      return { x: (this.width - size) / 2, y: (this.height - size) / 2, width: size, height: size };
+    }
+
     // Draw the square overlay outline
     _drawSquareOverlay() {
       const ctx = this._squareOverlayCtx;
@@ -247,10 +268,8 @@
       }
       ctx.strokeStyle = color;
       ctx.lineWidth = this.squareOverlayLineWidth;
-      const size = this.squareOverlaySize;
-      const x = (this.width - size) / 2;
-      const y = (this.height - size) / 2;
-      ctx.strokeRect(x, y, size, size);
+      const rect = this.getSquareOverlayRect();
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
       ctx.restore();
     }
 
@@ -365,25 +384,22 @@
           forceVarMax: this.mcfg.forceVariationMax ?? 1.8,
           angleVarMax: this.mcfg.angleVariationMaxRad ?? (Math.PI / 1.5),
           driftMax: this.mcfg.driftMax ?? 4,
-          time: performance.now() * 0.001
+          // Frame-based time keeps the shader noise reproducible for a given seed
+          time: this._gpuParticleFrame / 60,
+          seed: this._gpuSeed
         };
         try { this._gpu.stepParticles(params); } catch (e) { this._gpuParticlesEnabled = false; }
 
         // Periodically sync positions back for CPU drawing
         this._gpuParticleFrame++;
         if ((this._gpuParticleFrame % this._gpuParticleSyncInterval) === 0) {
-          const pos = this._gpu.downloadParticlePositions();
-          if (pos && pos.length >= this.topLayerCircles.length * 2) {
-            for (let i = 0; i < this.topLayerCircles.length; i++) {
-              this.topLayerCircles[i].x = pos[i * 2];
-              this.topLayerCircles[i].y = pos[i * 2 + 1];
-            }
-          }
+          this._downloadGpuParticles();
         }
         return;
       }
       // CPU fallback path
       const deleteChance = this.mcfg.deleteChance ?? 0.0;
+      const rng = this._motionRng;
       const toRemove = [];
       this.topLayerCircles.forEach((circle, i) => {
         const dx = circle.x - center.x;
@@ -391,7 +407,7 @@
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         if (distance < pushRadius && distance > 0) {
-          if (Math.random() < deleteChance) {
+          if (rng.next() < deleteChance) {
             toRemove.push(i);
             return;
           }
@@ -401,11 +417,11 @@
           // Randomized push from config
           const fMin = this.mcfg.forceVariationMin ?? 0.2;
           const fMax = this.mcfg.forceVariationMax ?? 1.8;
-          const forceVariation = fMin + Math.random() * (fMax - fMin);
+          const forceVariation = rng.range(fMin, fMax);
           const baseStrength = this.mcfg.pushStrengthBase ?? 10;
           const pushDistance = pushForce * baseStrength * forceVariation;
 
-          const angleVariation = (Math.random() - 0.5) * (this.mcfg.angleVariationMaxRad ?? (Math.PI / 1.5)); // ± ~60°
+          const angleVariation = (rng.next() - 0.5) * (this.mcfg.angleVariationMaxRad ?? (Math.PI / 1.5)); // ± ~60°
           const baseAngle = Math.atan2(dy, dx);
           const randomAngle = baseAngle + angleVariation;
 
@@ -413,12 +429,12 @@
           const ndy = Math.sin(randomAngle);
 
           const dMax = this.mcfg.driftMax ?? 4;
-          const driftX = (Math.random() - 0.5) * dMax;
-          const driftY = (Math.random() - 0.5) * dMax;
+          const driftX = (rng.next() - 0.5) * dMax;
+          const driftY = (rng.next() - 0.5) * dMax;
 
-          if (Math.random() < (this.mcfg.randomKickChance ?? 0.1)) {
-            const randomDirection = Math.random() * Math.PI * 2;
-            const randomForce = Math.random() * (this.mcfg.randomKickMax ?? 15);
+          if (rng.next() < (this.mcfg.randomKickChance ?? 0.1)) {
+            const randomDirection = rng.next() * Math.PI * 2;
+            const randomForce = rng.next() * (this.mcfg.randomKickMax ?? 15);
             circle.x += Math.cos(randomDirection) * randomForce;
             circle.y += Math.sin(randomDirection) * randomForce;
           } else {
@@ -479,6 +495,10 @@
       if (this._contourCanvas) {
         ctx.drawImage(this._contourCanvas, 0, 0);
       }
+      // Solidification / microstructure map sits directly above the persistent contours
+      if (this._microCanvas && this._microVisible) {
+        ctx.drawImage(this._microCanvas, 0, 0);
+      }
       // Draw square overlay only if enabled in config
       const sqCfg = (typeof BrushConfig !== 'undefined' && BrushConfig.visual?.squareOverlay) ? BrushConfig.visual.squareOverlay : {};
       if (this._squareOverlayCanvas && sqCfg.enabled) {
@@ -561,6 +581,32 @@
       this._gpuParticlesEnabled = false;
     }
   };
+  // The shared GPUCompute `gpu` is about to be disposed (ThermalBrush.reinitGPU): keep the particle
+  // positions on the CPU and drop every reference to it; _tick re-initialises GPU particles on the
+  // replacement
+  // Copy the GPU particle positions into topLayerCircles (no-op without GPU particles)
+  CustomBackground.prototype._downloadGpuParticles = function() {
+    if (!this._gpuParticlesEnabled || !this._gpu || !this._gpu.supported) return;
+    const pos = this._gpu.downloadParticlePositions();
+    if (pos && pos.length >= this.topLayerCircles.length * 2) {
+      for (let i = 0; i < this.topLayerCircles.length; i++) {
+        this.topLayerCircles[i].x = pos[i * 2];
+        this.topLayerCircles[i].y = pos[i * 2 + 1];
+      }
+    }
+  };
+
+  CustomBackground.prototype.releaseGpu = function(gpu) {
+    if (!this._gpu || this._gpu !== gpu) return;
+    try {
+      this._downloadGpuParticles();
+    } catch (e) {
+      console.warn('GPU particle download before release failed:', e);
+    }
+    this._gpu = null;
+    this._gpuCanvasLayer = null;
+    this._gpuParticlesEnabled = false;
+  };
 CustomBackground.prototype._prepareContourConfig = function(params) {
   // params may be a contour params object or an update call containing width/height/maxData
   const p = params || {};
@@ -678,6 +724,127 @@ CustomBackground.prototype._prepareContourConfig = function(params) {
     this._contourCtx.putImageData(this._contourImageData, 0, 0);
   };
 
+  // Draw a solidification map next to the contour overlay.
+  // params: { width, height, mode: 'off' | 'class' | 'G' | 'R' | 'GR', classes (Uint8Array, 'class' mode),
+  //           values (Float32Array, NaN = not solidified), alpha }
+  // Classes 1/2/3 are columnar/mixed/equiaxed; value maps use a log-scaled blue -> yellow ramp.
+  CustomBackground.prototype.updateMicrostructureOverlay = function(params) {
+    if (!params) return;
+    const width = params.width || this.width;
+    const height = params.height || this.height;
+    if (!this._microCanvas) {
+      this._microCanvas = document.createElement('canvas');
+      this._microCanvas.width = width;
+      this._microCanvas.height = height;
+      this._microCtx = this._microCanvas.getContext('2d');
+      this._microImageData = this._microCtx.createImageData(width, height);
+    }
+    this._microVisible = !!params.mode && params.mode !== 'off';
+    if (!this._microVisible) return;
+
+    const alpha = Math.round(255 * Math.max(0, Math.min(1, params.alpha ?? 0.7)));
+    const out = this._microImageData.data;
+    const n = width * height;
+    if (params.mode === 'class' && params.classes) {
+      const palette = [null, [60, 120, 255], [190, 80, 220], [255, 170, 40]];
+      for (let i = 0; i < n; i++) {
+        const c = palette[params.classes[i]];
+        const di = i * 4;
+        if (!c) { out[di + 3] = 0; continue; }
+        out[di] = c[0]; out[di + 1] = c[1]; out[di + 2] = c[2]; out[di + 3] = alpha;
+      }
+    } else if (params.values) {
+      // Log range from the finite positive values present
+      let lo = Infinity, hi = -Infinity;
+      for (let i = 0; i < n; i++) {
+        const v = params.values[i];
+        if (!(v > 0)) continue;
+        const l = Math.log10(v);
+        if (l < lo) lo = l;
+        if (l > hi) hi = l;
+      }
+      const span = Math.max(1e-6, hi - lo);
+      for (let i = 0; i < n; i++) {
+        const v = params.values[i];
+        const di = i * 4;
+        if (!(v > 0)) { out[di + 3] = 0; continue; }
+        const t = (Math.log10(v) - lo) / span;
+        out[di] = Math.round(40 + 215 * t);
+        out[di + 1] = Math.round(60 + 170 * t);
+        out[di + 2] = Math.round(200 * (1 - t));
+        out[di + 3] = alpha;
+      }
+      this._microRange = { min: Math.pow(10, lo), max: Math.pow(10, hi) };
+    }
+    this._microCtx.putImageData(this._microImageData, 0, 0);
+  };
+
+  // Top-layer particle state for snapshots: 5 floats per particle (x, y, radius, outerRadius, grayValue)
+  // Re-read BrushConfig.background / visual.squareOverlay after a live edit (settings panel).
+  // Counts, colours, circle visuals and the top region rebuild both layers from fresh forks of the
+  // same seed, so a given configuration always looks the same; motion settings are read every frame.
+  CustomBackground.prototype.applyConfig = function(path = '') {
+    const bgCfg = this._bgCfg;
+    this.pushRadius = bgCfg.pushRadius ?? this.pushRadius;
+    this.showFPS = bgCfg.showFPS ?? false;
+    this.interactionMode = bgCfg.interactionMode ?? this.interactionMode;
+    this.baseColor = bgCfg.baseColor ?? this.baseColor;
+    this.bgCircleCount = bgCfg.bgCircleCount ?? this.bgCircleCount;
+    this.topCircleCount = bgCfg.topCircleCount ?? this.topCircleCount;
+    this.topRegion = bgCfg.topRegion || this.topRegion;
+    this._computeRegion();
+
+    const sqCfg = (typeof BrushConfig !== 'undefined' && BrushConfig.visual?.squareOverlay) ? BrushConfig.visual.squareOverlay : {};
+    this.squareOverlaySize = sqCfg.size ?? this.squareOverlaySize;
+    this.squareOverlayColor = sqCfg.color ?? this.squareOverlayColor;
+    this.squareOverlayLineWidth = sqCfg.lineWidth ?? this.squareOverlayLineWidth;
+    this.squareOverlayAlpha = sqCfg.alpha ?? this.squareOverlayAlpha;
+    this._drawSquareOverlay();
+
+    if (/^background\.(bgCircleCount|topCircleCount|baseColor|visual|topRegion|sprites|useGpuParticles|renderTopOnGPU)/.test(path)) {
+      const running = this._raf;
+      this._staticRng = this.rng.fork('static');
+      this._topRng = this.rng.fork('top');
+      this._generateStaticBackground();
+      // _generateStaticBackground resets the animation handle; keep the running loop
+      this._raf = running;
+    }
+
+    const animate = bgCfg.animate ?? true;
+    if (animate !== this.shouldAnimate) {
+      this.shouldAnimate = animate;
+      if (animate) this.start(); else this.stop();
+    }
+  };
+
+  CustomBackground.prototype.getParticleState = function() {
+    // The CPU copy of GPU particles is only refreshed every gpuParticleSyncInterval frames
+    try {
+      this._downloadGpuParticles();
+    } catch (e) {
+      console.warn('GPU particle download for the snapshot failed, using the last synced positions:', e);
+    }
+    const circles = this.topLayerCircles || [];
+    const out = new Float32Array(circles.length * 5);
+    circles.forEach((c, i) => {
+      out.set([c.x, c.y, c.radius, c.outerRadius, c.grayValue], i * 5);
+    });
+    return out;
+  };
+
+  CustomBackground.prototype.setParticleState = function(state) {
+    if (!state || state.length % 5 !== 0) return;
+    this.topLayerCircles = [];
+    for (let i = 0; i < state.length; i += 5) {
+      this.topLayerCircles.push({ x: state[i], y: state[i + 1], radius: state[i + 2], outerRadius: state[i + 3], grayValue: state[i + 4] });
+    }
+    // GPU particles hold their own copy of the positions; rebuild them from the restored list
+    if (this._gpuParticlesEnabled) {
+      this._gpuParticlesEnabled = false;
+      this._tryInitGpuParticles();
+    }
+  };
+
   // Export globally and close IIFE
   window.CustomBackground = CustomBackground;
 })();
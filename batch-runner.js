@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+// Parameter sweeps on the headless simulation core. Every combination of the sweep values is run
+// to completion on a scan path (imported file or generated scan strategy) and summarised as one
+// row: melted area, lack-of-fusion / keyhole fractions, peak temperature and mean melt pool width.
+//
+// Usage:
+//   node batch-runner.js --sweep sweep.json [--config overrides.json|.js]
+//                        [--path scan.gcode | --strategy meander] [--region x,y,w,h]
+//                        [--param brush.intensity=0.05,0.1 ...] [--out results.csv|results.json]
+//                        [--dump-dir fields/] [--settle 500] [--max-steps 200000]
+//   node batch-runner.js --process-window [--config overrides.json|.js] [--param processWindow.speedSteps=10 ...]
+//                        [--out window.csv|window.json] [--image window.png]
+//
+// sweep.json maps dotted config keys to value lists, e.g.
+//   { "brush.intensity": [0.05, 0.1], "brush.radius": [10, 20], "thermal.decayRate": [0.98, 0.99] }
+// --config is deep-merged over config.js; --region is in canvas pixels (default: the build square).
+// --dump-dir writes each case's raw fields (little-endian Float32 / Uint8, row-major width x height).
+// --process-window runs the intensity x speed track grid of config.processWindow instead of a sweep;
+// there --param sets config values (a list of two is an axis range, longer lists explicit values).
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+const BrushConfig = require('./config.js');
+const ThermalSimulation = require('./sim-core.js');
+const { ScanPath } = require('./scan-path.js');
+const ScanStrategy = require('./scan-strategy.js');
+const MeltPool = require('./melt-pool.js');
+const DefectAnalysis = require('./defect-analysis.js');
+const ProcessWindow = require('./process-window.js');
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function deepMerge(target, source) {
+    for (const key of Object.keys(source || {})) {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            deepMerge(target[key], source[key]);
+        } else {
+            target[key] = clone(source[key]);
+        }
+    }
+    return target;
+}
+
+// Set a dotted key ('thermal.decayRate') on a config object, creating sections as needed
+function setPath(obj, dotted, value) {
+    const parts = dotted.split('.');
+    let node = obj;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (!isPlainObject(node[parts[i]])) node[parts[i]] = {};
+        node = node[parts[i]];
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+// Cartesian product of { key: [values] } in key order; the last key varies fastest
+function expandSweep(spec) {
+    const keys = Object.keys(spec || {});
+    let combos = [{}];
+    for (const key of keys) {
+        const values = Array.isArray(spec[key]) ? spec[key] : [spec[key]];
+        if (!values.length) throw new Error(`Sweep key ${key} has no values`);
+        const next = [];
+        for (const combo of combos) {
+            for (const value of values) next.push(Object.assign({}, combo, { [key]: value }));
+        }
+        combos = next;
+    }
+    return combos;
+}
+
+// Centered build square, as drawn by the background (visual.squareOverlay.size)
+function defaultRegion(cfg) {
+    const { width, height } = cfg.canvas;
+    const size = cfg.visual?.squareOverlay?.size ?? Math.floor(Math.min(width, height) * 0.5);
+    return { x: (width - size) / 2, y: (height - size) / 2, width: size, height: size };
+}
+
+// Scan path for one case: an imported path (opts.pathText) or the configured scan strategy
+// generated over the region. Generated paths are in canvas mm, so they are placed at the origin
+function buildScanPath(cfg, opts, regionPx) {
+    if (opts.pathText) {
+        return { path: ScanPath.parse(opts.pathText, opts.pathName || ''), placement: {} };
+    }
+    const sc = Object.assign({}, cfg.scanStrategy, opts.strategy ? { pattern: opts.strategy } : {});
+    const mmPerPx = cfg.canvas.pixelSizeUm / 1000;
+    const path = ScanStrategy.generate({
+        x: regionPx.x * mmPerPx,
+        y: regionPx.y * mmPerPx,
+        width: regionPx.width * mmPerPx,
+        height: regionPx.height * mmPerPx
+    }, {
+        pattern: sc.pattern,
+        hatchSpacingMm: (sc.hatchSpacingUm ?? cfg.laser?.hatchSpacingUm ?? 100) / 1000,
+        angleDeg: sc.angleDeg,
+        layerRotationDeg: sc.layerRotationDeg,
+        stripeWidthMm: (sc.stripeWidthUm ?? 1000) / 1000,
+        islandSizeMm: (sc.islandSizeUm ?? 1000) / 1000,
+        contour: sc.contour,
+        speedMmS: sc.speedMmS,
+        contourSpeedMmS: sc.contourSpeedMmS
+    }, 0);
+    return { path, placement: { placement: 'origin', flipY: false } };
+}
+
+// Run one configuration to completion and return its summary metrics (and the finished simulation)
+function runCase(cfg, opts = {}) {
+    const started = Date.now();
+    const regionPx = opts.region || defaultRegion(cfg);
+    const sim = new ThermalSimulation(cfg, { useGPU: false });
+    const { path: scanPath, placement } = buildScanPath(cfg, opts, regionPx);
+
+    const poolCfg = cfg.meltPool || {};
+    const tracker = new MeltPool.MeltPoolTracker({ maxTracks: Infinity, maxSamples: Infinity });
+    const deposited = [];
+    sim.onBrushPosition = (pos) => deposited.push(pos);
+    const observe = () => {
+        tracker.observe(deposited, {
+            width: sim.width,
+            height: sim.height,
+            field: sim.thermalData,
+            threshold: sim.threshold,
+            time: sim.simTime,
+            searchRadiusPx: poolCfg.searchRadiusPx,
+            newTrackGapPx: poolCfg.newTrackGapPx,
+            pixelSizeUm: cfg.canvas.pixelSizeUm
+        });
+        deposited.length = 0;
+    };
+
+    sim.playScanPath(scanPath, placement);
+    const maxSteps = opts.maxSteps ?? 200000;
+    let steps = 0;
+    while (!sim.idle && steps < maxSteps) {
+        sim.step();
+        observe();
+        steps++;
+    }
+    const completed = sim.idle;
+    // Let the last tracks cool below the melt threshold so the masks are final
+    const settle = opts.settle ?? 500;
+    for (let i = 0; i < settle && sim.isThereMolten; i++, steps++) sim.step();
+
+    let poolSamples = 0, poolWidthSum = 0;
+    for (const track of tracker.tracks) {
+        for (const s of track.samples) { poolWidthSum += s.width; poolSamples++; }
+    }
+    const defectCfg = cfg.defects || {};
+    const report = DefectAnalysis.analyze({
+        width: sim.width,
+        height: sim.height,
+        mask: sim.persistentMask,
+        peak: sim.maxThresholded,
+        region: regionPx,
+        keyholeLevel: sim.threshold + (defectCfg.keyholeFraction ?? 0.8) * (sim.units.ceiling - sim.threshold),
+        minClusterArea: defectCfg.minClusterArea
+    });
+    let melted = 0, peak = sim.units.ambient;
+    for (let i = 0; i < sim.persistentMask.length; i++) {
+        melted += sim.persistentMask[i];
+        if (sim.maxThresholded[i] > peak) peak = sim.maxThresholded[i];
+    }
+    const pxAreaMm2 = Math.pow(cfg.canvas.pixelSizeUm / 1000, 2);
+
+    const metrics = {
+        completed,
+        steps,
+        simTimeMs: sim.simTime * 1000,
+        meltedPx: melted,
+        meltedAreaMm2: melted * pxAreaMm2,
+        lackOfFusionFraction: report.regionArea ? report.lackOfFusion / report.regionArea : 0,
+        keyholeFraction: report.regionArea ? report.keyhole / report.regionArea : 0,
+        peakTemperature: peak,
+        temperatureUnits: sim.units.isPhysical ? 'K' : 'normalized',
+        meanMeltPoolWidthUm: poolSamples ? poolWidthSum / poolSamples : 0,
+        meltPoolTracks: tracker.tracks.length,
+        wallMs: Date.now() - started
+    };
+    return { metrics, sim };
+}
+
+// Raw field dumps for one case; returns the written file names
+function dumpFields(sim, dir, prefix) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fields = {
+        thermal: { data: sim.getField('thermal'), ext: 'f32' },
+        peak: { data: sim.maxThresholded, ext: 'f32' },
+        mask: { data: sim.persistentMask, ext: 'u8' }
+    };
+    const files = {};
+    for (const [name, { data, ext }] of Object.entries(fields)) {
+        const file = `${prefix}_${name}.${ext}`;
+        fs.writeFileSync(path.join(dir, file), Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+        files[name] = file;
+    }
+    return files;
+}
+
+function csvValue(v) {
+    const s = (typeof v === 'object' && v !== null) ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(rows) {
+    if (!rows.length) return '';
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map(c => csvValue(row[c])).join(','));
+    return lines.join('\n') + '\n';
+}
+
+// Run every combination; baseConfig is a full config, spec a sweep ({ key: [values] })
+function runSweep(baseConfig, spec, opts = {}) {
+    const combos = expandSweep(spec);
+    const rows = [];
+    combos.forEach((params, i) => {
+        const cfg = clone(baseConfig);
+        for (const [key, value] of Object.entries(params)) setPath(cfg, key, value);
+        const { metrics, sim } = runCase(cfg, opts);
+        const row = Object.assign({ case: i }, params, metrics);
+        if (opts.dumpDir) {
+            const files = dumpFields(sim, opts.dumpDir, `case_${String(i).padStart(4, '0')}`);
+            Object.assign(row, { width: sim.width, height: sim.height, dumpThermal: files.thermal, dumpPeak: files.peak, dumpMask: files.mask });
+        }
+        rows.push(row);
+        if (opts.onCase) opts.onCase(row, i, combos.length);
+    });
+    return rows;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 8-bit RGBA PNG from { width, height, data }
+function encodePNG(image) {
+    const { width, height, data } = image;
+    const raw = Buffer.alloc(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        raw[y * (width * 4 + 1)] = 0; // filter: none
+        Buffer.from(data.buffer, data.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+    }
+    const chunk = (type, body) => {
+        const out = Buffer.alloc(body.length + 12);
+        out.writeUInt32BE(body.length, 0);
+        out.write(type, 4, 'ascii');
+        body.copy(out, 8);
+        out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+        return out;
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr.set([8, 6, 0, 0, 0], 8); // bit depth 8, colour type RGBA
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Process window grid of config.processWindow; returns { result, csv, image }
+function runProcessWindow(config, opts = {}) {
+    const run = new ProcessWindow.ProcessWindowRun(config, { maxSteps: opts.maxSteps });
+    const result = run.runAll(opts.onCell);
+    const image = ProcessWindow.renderImage(result, { cellPx: opts.cellPx ?? config.processWindow?.cellPx });
+    return { result, csv: ProcessWindow.toCSV(result), image };
+}
+
+// Parse a numeric / boolean / string value from the command line
+function parseValue(text) {
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null') return null;
+    const n = Number(text);
+    return (text.trim() !== '' && Number.isFinite(n)) ? n : text;
+}
+
+// Options without a value
+const FLAGS = ['help', 'process-window'];
+
+function parseArgs(argv) {
+    const args = { params: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument ${arg}`);
+        const key = arg.slice(2);
+        if (FLAGS.includes(key)) { args[key] = true; continue; }
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`Missing value for ${arg}`);
+        if (key === 'param') {
+            const eq = value.indexOf('=');
+            if (eq < 0) throw new Error(`--param expects key=v1,v2 (got ${value})`);
+            args.params[value.slice(0, eq)] = value.slice(eq + 1).split(',').map(parseValue);
+        } else {
+            args[key] = value;
+        }
+    }
+    return args;
+}
+
+function loadConfigFile(file) {
+    const resolved = path.resolve(file);
+    return resolved.endsWith('.json') ? JSON.parse(fs.readFileSync(resolved, 'utf8')) : require(resolved);
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        const lines = fs.readFileSync(__filename, 'utf8').split('\n').slice(1);
+        const usage = lines.slice(0, lines.findIndex(l => !l.startsWith('//')));
+        process.stdout.write(usage.map(l => l.replace(/^\/\/ ?/, '')).join('\n') + '\n');
+        return 0;
+    }
+    const config = clone(BrushConfig);
+    if (args.config) deepMerge(config, loadConfigFile(args.config));
+
+    if (args['process-window']) {
+        for (const [key, values] of Object.entries(args.params)) setPath(config, key, values.length === 1 ? values[0] : values);
+        const { result, csv, image } = runProcessWindow(config, {
+            maxSteps: args['max-steps'] !== undefined ? Number(args['max-steps']) : undefined,
+            onCell: (cell, run) => console.error(`[${run.cells.length}/${run.total}] ${cell.intensity} @ ${cell.speedMmS} mm/s: ${cell.widthUm.toFixed(0)} um, ${cell.class}`)
+        });
+        const asJSON = args.format === 'json' || (args.out && args.out.endsWith('.json'));
+        const text = asJSON ? JSON.stringify(result, null, 2) + '\n' : csv;
+        if (args.out) fs.writeFileSync(args.out, text);
+        else process.stdout.write(text);
+        if (args.image) fs.writeFileSync(args.image, encodePNG(image));
+        return 0;
+    }
+    const spec = Object.assign(args.sweep ? JSON.parse(fs.readFileSync(args.sweep, 'utf8')) : {}, args.params);
+
+    const opts = {
+        strategy: args.strategy,
+        settle: args.settle !== undefined ? Number(args.settle) : undefined,
+        maxSteps: args['max-steps'] !== undefined ? Number(args['max-steps']) : undefined,
+        dumpDir: args['dump-dir'],
+        onCase: (row, i, n) => console.error(`[${i + 1}/${n}] ${row.steps} steps, melted ${row.meltedAreaMm2.toFixed(4)} mm^2, LoF ${(row.lackOfFusionFraction * 100).toFixed(1)}%, ${row.wallMs} ms`)
+    };
+    if (args.path) {
+        opts.pathText = fs.readFileSync(args.path, 'utf8');
+        opts.pathName = path.basename(args.path);
+    }
+    if (args.region) {
+        const [x, y, width, height] = args.region.split(',').map(Number);
+        if (![x, y, width, height].every(Number.isFinite)) throw new Error('--region expects x,y,w,h in pixels');
+        opts.region = { x, y, width, height };
+    }
+
+    const rows = runSweep(config, spec, opts);
+    const asJSON = args.format === 'json' || (args.out && args.out.endsWith('.json'));
+    const text = asJSON ? JSON.stringify(rows, null, 2) + '\n' : toCSV(rows);
+    if (args.out) fs.writeFileSync(args.out, text);
+    else process.stdout.write(text);
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`batch-runner: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { expandSweep, setPath, deepMerge, defaultRegion, runCase, runSweep, toCSV, encodePNG, runProcessWindow, parseArgs, main };
@@ -0,0 +1,86 @@
+// Beam intensity profiles used to build the brush kernel. Every profile peaks at 1 so
+// brush.intensity keeps its meaning; the laser model rescales by the kernel sum.
+(function(){
+    const TYPES = ['cone', 'gaussian', 'tophat', 'ring', 'elliptical'];
+
+    // Normalize BrushConfig.brush into { type, radius, ellipseRatio, angle }
+    function resolve(brushCfg = {}, radius) {
+        const type = TYPES.includes(brushCfg.profile) ? brushCfg.profile : 'cone';
+        return {
+            type,
+            radius: Math.max(1, radius ?? brushCfg.radius ?? 1),
+            ellipseRatio: Math.max(0.05, brushCfg.ellipseRatio ?? 0.5),
+            angle: ((brushCfg.angleDeg ?? 0) * Math.PI) / 180
+        };
+    }
+
+    // Half-width in pixels needed to hold the non-negligible part of the profile
+    function extent(profile) {
+        const R = profile.radius;
+        switch (profile.type) {
+            case 'gaussian': return Math.ceil(1.5 * R);
+            case 'tophat': return Math.ceil(R + 0.5);
+            case 'ring': return Math.ceil(2 * R);
+            case 'elliptical': return Math.ceil(1.5 * R * Math.max(1, profile.ellipseRatio));
+            default: return Math.ceil(R);
+        }
+    }
+
+    // Relative intensity (0..1) at offset (dx, dy) from the beam center
+    function weight(profile, dx, dy) {
+        const R = profile.radius;
+        switch (profile.type) {
+            case 'gaussian': {
+                // TEM00 with R as the 1/e^2 radius
+                return Math.exp(-2 * (dx * dx + dy * dy) / (R * R));
+            }
+            case 'tophat': {
+                // Flat top with a one-pixel anti-aliased edge
+                const d = Math.sqrt(dx * dx + dy * dy);
+                return Math.max(0, Math.min(1, R + 0.5 - d));
+            }
+            case 'ring': {
+                // LG01 donut mode, peak of 1 at d = R / sqrt(2)
+                const rho = 2 * (dx * dx + dy * dy) / (R * R);
+                return rho * Math.exp(1 - rho);
+            }
+            case 'elliptical': {
+                // Gaussian with major 1/e^2 radius R, minor R * ellipseRatio, rotated by angle
+                const c = Math.cos(profile.angle);
+                const s = Math.sin(profile.angle);
+                const u = dx * c + dy * s;
+                const v = -dx * s + dy * c;
+                const wx = R;
+                const wy = R * profile.ellipseRatio;
+                return Math.exp(-2 * ((u * u) / (wx * wx) + (v * v) / (wy * wy)));
+            }
+            default: {
+                // Legacy linear cone
+                const d = Math.sqrt(dx * dx + dy * dy);
+                return (d <= R) ? 1.0 - d / R : 0;
+            }
+        }
+    }
+
+    // Square kernel { data, size } sampled at integer offsets around the center pixel
+    function buildKernel(profile) {
+        const half = extent(profile);
+        const size = half * 2 + 1;
+        const data = new Float32Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                data[y * size + x] = weight(profile, x - half, y - half);
+            }
+        }
+        return { data, size };
+    }
+
+    const BeamProfiles = { TYPES, resolve, extent, weight, buildKernel };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BeamProfiles;
+    }
+    if (typeof window !== 'undefined') {
+        window.BeamProfiles = BeamProfiles;
+    }
+})();
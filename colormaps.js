@@ -0,0 +1,174 @@
+// Colormaps for the thermal overlay. A map is a list of [position, colour] stops over 0..1 that is
+// baked into a lookup table once, so rendering a pixel is an index into a flat RGBA array.
+// BrushConfig.visual.colormap picks a named map or supplies its own stops; drawColorbar() renders
+// the legend with tick labels in field units.
+(function(){
+    // Named stop lists. inferno / viridis are sampled from matplotlib; 'hot' has the same breakpoints
+    // as matplotlib's hot (used by visualize_brush_variants.py); 'coolwarm' is a diverging map.
+    const MAPS = {
+        inferno: [
+            [0, '#000004'], [0.125, '#1f0c48'], [0.25, '#550f6d'], [0.375, '#88226a'], [0.5, '#ba3655'],
+            [0.625, '#e35933'], [0.75, '#f98e09'], [0.875, '#f8c932'], [1, '#fcffa4']
+        ],
+        viridis: [
+            [0, '#440154'], [0.125, '#472d7b'], [0.25, '#3b528b'], [0.375, '#2c728e'], [0.5, '#21918c'],
+            [0.625, '#28ae80'], [0.75, '#5ec962'], [0.875, '#addc30'], [1, '#fde725']
+        ],
+        hot: [
+            [0, '#0b0000'], [0.365079, '#ff0000'], [0.746032, '#ffff00'], [1, '#ffffff']
+        ],
+        coolwarm: [
+            [0, '#3b4cc0'], [0.25, '#8db0fe'], [0.5, '#dddddd'], [0.75, '#f49a7b'], [1, '#b40426']
+        ]
+    };
+
+    // 'thermal' is the original gray -> red -> orange -> white ramp, positioned by the config transitions
+    const NAMES = ['thermal', ...Object.keys(MAPS)];
+
+    function thermalStops(cfg = {}) {
+        const first = cfg.firstTransition ?? 0.33;
+        const second = Math.max(first, cfg.secondTransition ?? 0.8);
+        return [[0, [128, 128, 128]], [first, [255, 0, 0]], [second, [255, 128, 0]], [1, [255, 255, 255]]];
+    }
+
+    // '#rgb' / '#rrggbb' / [r, g, b] -> [r, g, b]
+    function parseColor(color) {
+        if (Array.isArray(color)) return [color[0], color[1], color[2]].map(v => Math.max(0, Math.min(255, Number(v) || 0)));
+        let hex = String(color).trim().replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('');
+        if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) throw new Error(`Colormap: cannot parse colour ${JSON.stringify(color)}`);
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    // Normalise a stop list: [[pos, colour], ...] sorted by position, or bare colours spread evenly
+    function normalizeStops(stops) {
+        if (!Array.isArray(stops) || stops.length < 2) throw new Error('Colormap: need at least two stops');
+        const bare = stops.every(s => !Array.isArray(s) || s.length === 3);
+        const out = stops.map((s, i) => (bare
+            ? [i / (stops.length - 1), parseColor(s)]
+            : [Math.max(0, Math.min(1, Number(s[0]))), parseColor(s[1])]));
+        return out.sort((a, b) => a[0] - b[0]);
+    }
+
+    // Stops for the visual.colormap config: explicit stops win, then the name; unknown names fall back
+    // to 'thermal'
+    function resolveStops(cfg = {}) {
+        if (Array.isArray(cfg.stops) && cfg.stops.length) {
+            try {
+                return normalizeStops(cfg.stops);
+            } catch (e) {
+                console.warn(`${e.message}; using '${cfg.name || 'thermal'}'`);
+            }
+        }
+        const name = cfg.name || 'thermal';
+        if (MAPS[name]) return normalizeStops(MAPS[name]);
+        if (name !== 'thermal') console.warn(`Colormap: unknown map '${name}', using 'thermal'`);
+        return thermalStops(cfg);
+    }
+
+    // Piecewise-linear interpolation of sorted stops at t (clamped to the end colours)
+    function sample(stops, t) {
+        if (t <= stops[0][0]) return stops[0][1].slice();
+        const last = stops[stops.length - 1];
+        if (t >= last[0]) return last[1].slice();
+        let i = 1;
+        while (stops[i][0] < t) i++;
+        const [p0, c0] = stops[i - 1];
+        const [p1, c1] = stops[i];
+        const f = p1 > p0 ? (t - p0) / (p1 - p0) : 1;
+        return [0, 1, 2].map(k => Math.round(c0[k] + (c1[k] - c0[k]) * f));
+    }
+
+    // size RGBA entries (alpha 255) covering 0..1
+    function buildLUT(stops, size = 256) {
+        const n = Math.max(2, Math.floor(size));
+        const lut = new Uint8ClampedArray(n * 4);
+        for (let i = 0; i < n; i++) {
+            const c = sample(stops, i / (n - 1));
+            lut[i * 4] = c[0];
+            lut[i * 4 + 1] = c[1];
+            lut[i * 4 + 2] = c[2];
+            lut[i * 4 + 3] = 255;
+        }
+        return lut;
+    }
+
+    // LUT entry offset (into the RGBA array) for a normalized value; out-of-range values clamp
+    function lutIndex(lut, t) {
+        const n = lut.length / 4;
+        const i = Math.round((t > 0 ? (t < 1 ? t : 1) : 0) * (n - 1));
+        return (i || 0) * 4;
+    }
+
+    // Round tick positions across [min, max] at a 1/2/5 x 10^k step
+    function niceTicks(min, max, count = 5) {
+        if (!(max > min)) return [min];
+        const raw = (max - min) / Math.max(1, count - 1);
+        const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw * 0.999);
+        const ticks = [];
+        for (let v = Math.ceil(min / step - 1e-9) * step; v <= max + step * 1e-9; v += step) {
+            ticks.push(Number(v.toPrecision(12)));
+        }
+        return ticks;
+    }
+
+    // Vertical colorbar, hottest at the top. opts: { x, y, width, height, units (ThermalUnits),
+    // ticks, threshold, font }. Tick labels go to the left of the bar.
+    function drawColorbar(ctx, lut, opts = {}) {
+        const { x, y, width = 12, height = 160, units } = opts;
+        const bar = ctx.createImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            const o = lutIndex(lut, 1 - row / Math.max(1, height - 1));
+            for (let col = 0; col < width; col++) {
+                const p = (row * width + col) * 4;
+                bar.data[p] = lut[o];
+                bar.data[p + 1] = lut[o + 1];
+                bar.data[p + 2] = lut[o + 2];
+                bar.data[p + 3] = 255;
+            }
+        }
+        ctx.putImageData(bar, x, y);
+
+        ctx.save();
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x - 0.5, y - 0.5, width + 1, height + 1);
+        ctx.fillStyle = '#fff';
+        ctx.font = opts.font || '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const lo = units ? units.ambient : 0;
+        const hi = units ? units.ceiling : 1;
+        const label = (v) => (units ? units.format(v) : v.toFixed(2));
+        const rowOf = (v) => y + Math.round((1 - (v - lo) / (hi - lo || 1)) * (height - 1)) + 0.5;
+        ctx.beginPath();
+        for (const v of niceTicks(lo, hi, opts.ticks ?? 5)) {
+            const ty = rowOf(v);
+            ctx.moveTo(x - 4, ty);
+            ctx.lineTo(x, ty);
+            ctx.fillText(label(v), x - 6, ty);
+        }
+        ctx.stroke();
+        // Melt threshold as a line across the bar
+        if (Number.isFinite(opts.threshold) && opts.threshold > lo && opts.threshold < hi) {
+            const ty = rowOf(opts.threshold);
+            ctx.strokeStyle = '#fff';
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(x - 2, ty);
+            ctx.lineTo(x + width + 2, ty);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    const Colormaps = { NAMES, MAPS, thermalStops, parseColor, normalizeStops, resolveStops, sample, buildLUT, lutIndex, niceTicks, drawColorbar };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Colormaps;
+    }
+    if (typeof window !== 'undefined') {
+        window.Colormaps = Colormaps;
+    }
+})();
@@ -3,41 +3,196 @@ const BrushConfig = {
     // Canvas dimensions
     canvas: {
         width: 800,
-        height: 600
+        height: 600,
+        pixelSizeUm: 10          // Physical edge length of one pixel (used by the conduction model)
+    },
+
+    // Simulation clock, decoupled from the display refresh rate
+    simulation: {
+        stepsPerSecond: 60,      // Simulation steps per wall-clock second
+        dt: 2e-5,                // Simulated seconds advanced per step
+        maxStepsPerFrame: 4      // Catch-up cap per rendered frame; larger backlogs are dropped
+    },
+
+    // Input recording / replay (Record and Replay buttons)
+    inputRecording: {
+        timing: 'step',          // 'step': replay on the recorded simulation steps (exact); 'time': on the wall clock
+        replaySpeed: 1           // >1 replays faster
+    },
+
+    // Reproducibility: one seed drives every random stream (background, spatter, GPU particles)
+    random: {
+        seed: null,              // Integer seed; null draws a new one per page load (shown in the debug panel)
+        lockstep: null           // One simulation step per rendered frame; null = on when a seed is set
     },
     
     // Brush properties
     brush: {
         radius: 20,
-        intensity: 0.1,
-        threshold: 0.95
+        intensity: 0.1,      // In 'kelvin' mode: fraction of the ambient..maxTemperatureK span per position
+        threshold: 0.95,     // Normalized mode only; 'kelvin' mode uses material.meltThreshold
+        // Beam profile: 'cone' (legacy linear falloff), 'gaussian' (TEM00, radius = 1/e^2 radius),
+        // 'tophat' (flat-top), 'ring' (donut, peak at radius/sqrt(2)) or 'elliptical' (rotated Gaussian)
+        profile: 'cone',
+        ellipseRatio: 0.5,   // 'elliptical': minor/major axis ratio
+        angleDeg: 0          // 'elliptical': rotation of the major axis
     },
     
     // Thermal simulation parameters (kept minimal)
     thermal: {
+        // Heat spreading model: 'blur' (legacy fixed Gaussian blur per frame) or
+        // 'conduction' (explicit finite-difference heat equation driven by diffusivity)
+        model: 'blur',
+        // Conduction model parameters
+        diffusivity: 2.9e-6,     // Thermal diffusivity in m^2/s (Ti-6Al-4V ~2.9e-6)
+        maxSubsteps: 64,         // Upper bound on stability substeps per simulation step
         // Controls blur applied to the thermal field (affects smoothness/perf)
         blurSigma: 3,
         blurRadius: 9,
-        // How often to apply the blur (frames). 1 = every frame.
+        // How often to apply the blur (simulation steps). 1 = every step.
         blurInterval: 1,
-        // Per-frame decay applied to thermal values (0..1). Values <1 slowly fade.
-        decayRate: 0.99
+        // Per-step decay applied to thermal values (0..1). Values <1 slowly fade.
+        // In 'kelvin' mode the decay pulls temperatures back towards material.ambientK.
+        decayRate: 0.99,
+        // Optional cooling time constant in simulated seconds; when set it replaces decayRate
+        // with exp(-dt / decayTime) so cooling is tied to simulation.dt
+        decayTime: null,
+        // Field units: 'normalized' (legacy 0..1 field, brush.threshold is a fraction)
+        // or 'kelvin' (absolute temperatures, threshold taken from the material below)
+        units: 'normalized'
+    },
+
+    // Material properties used when thermal.units === 'kelvin'
+    material: {
+        name: 'Ti-6Al-4V',
+        ambientK: 293,           // Powder bed / build plate temperature
+        solidusK: 1878,
+        liquidusK: 1928,
+        maxTemperatureK: 3500,   // Upper clamp and top of the colormap
+        meltThreshold: 'liquidus', // 'liquidus' | 'solidus' | explicit temperature in K
+        densityKgM3: 4430,       // Used by the laser model to turn absorbed energy into temperature rise
+        specificHeatJKgK: 526
+    },
+
+    // Laser process model. When enabled it replaces brush.radius/intensity: the spot diameter sets the
+    // kernel radius (via canvas.pixelSizeUm), absorptivity * power * dt / maxPositionsPerFrame sets the
+    // energy of each queued position, and queued positions are re-spaced to the commanded scan speed.
+    laser: {
+        enabled: false,
+        powerW: 200,
+        scanSpeedMmS: 1000,
+        spotDiameterUm: 80,
+        hatchSpacingUm: 100,
+        layerThicknessUm: 30,
+        absorptivity: 0.35
+    },
+
+    // Built-in scan strategy ("Scan Layer" button) filling the build square with hatch vectors
+    scanStrategy: {
+        pattern: 'meander',      // 'meander' | 'unidirectional' | 'stripe' | 'chessboard'
+        hatchSpacingUm: null,    // null = laser.hatchSpacingUm
+        angleDeg: 0,             // Hatch angle of layer 0
+        layerRotationDeg: 67,    // Added per layer
+        stripeWidthUm: 1000,     // 'stripe': band width along the hatch direction
+        islandSizeUm: 1000,      // 'chessboard': island edge length
+        contour: true,           // Border pass after hatching
+        speedMmS: null,          // Hatch speed (null = scanPath.markSpeedMmS / laser.scanSpeedMmS)
+        contourSpeedMmS: null    // Contour speed (null = hatch speed)
+    },
+
+    // Multi-layer builds: "Recoat" stores the finished layer and starts the next one
+    layers: {
+        residualHeat: 0.2,       // Fraction of the heat above ambient carried into the next layer
+        maxHistory: 20           // Layers kept for browsing (fused-in-every-layer tracking covers all layers)
+    },
+
+    // Defect analysis ("Defects" button) over the build square
+    defects: {
+        keyholeFraction: 0.8,    // Keyhole risk: peak above threshold + fraction * (max temperature - threshold)
+        minClusterArea: 4,       // Unfused clusters smaller than this (px) are not reported
+        maxListed: 8,            // Clusters listed in the summary table
+        refreshInterval: 30      // Rendered frames between re-analysis while the overlay is shown
+    },
+
+    // Melt pool tracking around the laser, measured once per rendered frame
+    meltPool: {
+        enabled: true,
+        searchRadiusPx: 100,     // Half-size of the window searched around the laser
+        newTrackGapPx: 20,       // A laser jump longer than this starts a new track
+        maxTracks: 50            // Tracks (time series) kept in memory
+    },
+
+    // Process window map ("Process Window" button, batch-runner.js --process-window): single tracks
+    // over an intensity x scan speed grid, each classified as lack-of-fusion, good or keyhole
+    processWindow: {
+        intensity: [0.004, 0.024], // brush.intensity axis [min, max] (or an explicit value list)
+        powerW: [100, 400],      // laser.powerW axis when the laser model is enabled
+        speedMmS: [250, 2000],   // Scan speed axis
+        intensitySteps: 6,
+        speedSteps: 6,
+        trackLengthUm: 1500,     // Track length; only the central half is measured
+        marginUm: 300,           // Canvas margin around the track (at least 3 beam radii)
+        settleSteps: 400,        // Cooling steps after the track before measuring
+        minWidthUm: null,        // Narrower tracks are lack-of-fusion (null = laser.hatchSpacingUm)
+        minContinuity: 0.95,     // Fraction of measured columns that must be fused
+        maxWidthUm: null,        // Wider tracks count as keyhole / over-melt (null = maxWidthFactor * minWidthUm)
+        maxWidthFactor: 2.5,
+        keyholeLevel: null,      // Optional: peak temperature (field units) above which a pixel is a keyhole risk
+        keyholeFraction: null,   // Without keyholeLevel: peak above threshold + fraction * (max - threshold) (null = defects.keyholeFraction)
+        maxKeyholeShare: 0.95,   // Tracks where a larger share of the fused pixels is a keyhole risk count as keyhole
+        cellPx: 32               // Heatmap cell size in the panel and PNG output
+    },
+
+    // Solidification maps for microstructure prediction ("Microstructure" button cycles the overlay).
+    // On the GPU the field is sampled once per download rather than every step, so cooling rate and R
+    // are averaged over up to maxStepsPerFrame x gpuSyncInterval steps and differ from a CPU run.
+    solidification: {
+        enabled: true,           // Record crossing time, cooling rate and gradient per pixel
+        overlay: 'off',          // 'off' | 'class' | 'G' | 'R' | 'GR'; with GPU rendering, pixels only record while shown
+        columnarRatio: 1e7,      // G/R (K*s/m^2) above which growth is columnar (tune per alloy)
+        equiaxedRatio: 1e6,      // G/R below which growth is equiaxed; in between is mixed
+        refreshInterval: 15,     // Rendered frames between overlay refreshes
+        alpha: 0.7
+    },
+
+    // Virtual thermocouples (shift-click places or removes a probe)
+    probes: {
+        maxSamples: 20000,       // Samples kept per probe; the oldest are dropped
+        chartInterval: 10,       // Rendered frames between chart redraws
+        colors: ['#4ff', '#ff4', '#f4f', '#4f4', '#f84', '#88f']
+    },
+
+    // Line profile tool ("Line Profile" button or Alt-drag)
+    lineProfile: {
+        refreshInterval: 5,      // Rendered frames between plot refreshes
+        color: '#0ff'            // Line drawn on the canvas
+    },
+
+    // Scan path playback (G-code, CLI or JSON files loaded with the "Load Scan Path" button)
+    scanPath: {
+        placement: 'center',     // 'center' the path's bounding box on the canvas, or 'origin' (machine 0,0 at the corner)
+        flipY: true,             // Machine Y points up; canvas Y points down
+        jumpSpeedMmS: 5000,      // Laser-off jump speed when the file gives none (G0, CLI/JSON jumps)
+        markSpeedMmS: null       // Marking speed when the file gives none (null = laser.scanSpeedMmS)
     },
     
     // Performance settings
     performance: {
-        maxPositionsPerFrame: 10,    // Reduced for phones
+        maxPositionsPerFrame: 10,    // Brush positions processed per simulation step (reduced for phones)
         contourSkipPixels: 1,        // Skip pixels for contour rendering (>=1 recommended on CPU)
         contourInterval: 0,          // Frames between contour overlay updates (increase to lighten CPU)
         debugUpdateInterval: 30,     // Update debug info every N frames
-        debugSampleStep: 1,          // Sample every Nth pixel for debug stats to reduce cost
         
         // GPU acceleration settings
         useGPU: true,               // Enable GPU acceleration if available
         gpuBatchSize: 10,         // Number of brush applications to batch for GPU
         gpuFallback: true,          // Automatically fallback to CPU if GPU fails
+        gpuRender: true,            // Draw the colormapped field on the GPU instead of downloading it for display
         gpuSyncInterval: 1,     // Frames between GPU->CPU thermal sync (higher = less CPU but more latency)
         gpuMaskSyncInterval: 1,     // Frames between GPU->CPU max/persistent syncs
+        gpuAsyncReadback: true,     // Read the field back through a pixel-pack buffer without stalling (arrives a frame later)
+        gpuFieldPrecision: 'float32', // GPU field texture: 'float32' (R32F) or 'float16' (R16F); RGBA32F where neither renders.
+                                      // float16 is for the normalized field only: Kelvin mode falls back to float32
         pauseBackgroundOnSlowCPU: false, // If true, pause animated background when CPU frames are slow
         slowCpuFrameMs: 22          // Threshold in ms to consider frame slow (about half refresh @ 60Hz)
     },
@@ -50,11 +205,23 @@ const BrushConfig = {
     
     // Visual appearance
     visual: {
-        // Thermal colormap thresholds
+        // Thermal colormap (colormaps.js) over the ambient..max temperature span
         colormap: {
+            name: 'thermal',         // 'thermal' | 'inferno' | 'viridis' | 'hot' | 'coolwarm'
+            stops: null,             // Custom map, overrides name: [[0, '#000'], [0.5, '#f00'], [1, '#fff']] or ['#000', '#f00', '#fff']
+            lutSize: 256,            // Lookup table entries
+            // Transitions of the 'thermal' map (fractions of the span)
             firstTransition: 0.33,   // Gray to red transition
             secondTransition: 0.80,   // Red to orange transition (increased to eliminate white)
-            thirdTransition: 0.95  // Orange to white transition (remaining) - now unused
+            thirdTransition: 0.95,  // Orange to white transition (remaining) - now unused
+            // On-canvas legend along the right edge
+            colorbar: {
+                enabled: true,
+                width: 12,
+                height: 160,
+                marginRight: 16,
+                ticks: 5
+            }
         },
         
         // Contour rendering
@@ -191,8 +358,8 @@ const BrushConfig = {
     // Debug settings
     debug: {
         enabled: false,
-        logInputPositions: false
-
+        logInputPositions: false,
+        logEvents: false             // Log simulation and app events (laser model, layers, scan paths, snapshots, recordings, saves)
     }
 };
 
@@ -0,0 +1,110 @@
+// Defect analysis over a region of a finished (or in-progress) layer: lack-of-fusion pixels that
+// never melted, keyhole-risk pixels whose peak went far past the melt threshold, and
+// 4-connected clusters of unfused pixels with their area and centroid.
+(function(){
+    const OK = 0;
+    const LACK_OF_FUSION = 1;
+    const KEYHOLE = 2;
+    const OUTSIDE = 3;
+
+    // Clamp a { x, y, width, height } rectangle (pixels) to the field; defaults to the whole field
+    function clampRegion(region, width, height) {
+        const r = region || { x: 0, y: 0, width, height };
+        const x0 = Math.max(0, Math.floor(r.x));
+        const y0 = Math.max(0, Math.floor(r.y));
+        const x1 = Math.min(width, Math.ceil(r.x + r.width));
+        const y1 = Math.min(height, Math.ceil(r.y + r.height));
+        return { x: x0, y: y0, width: Math.max(0, x1 - x0), height: Math.max(0, y1 - y0) };
+    }
+
+    // opts: { width, height, mask, peak, region, keyholeLevel, minClusterArea }
+    // Returns counts, clusters sorted by area (largest first) and a per-pixel classification map
+    function analyze(opts) {
+        const { width, height, mask } = opts;
+        const peak = opts.peak || null;
+        const keyholeLevel = (typeof opts.keyholeLevel === 'number') ? opts.keyholeLevel : Infinity;
+        const minClusterArea = Math.max(1, opts.minClusterArea ?? 1);
+        const region = clampRegion(opts.region, width, height);
+
+        const map = new Uint8Array(width * height).fill(OUTSIDE);
+        let fused = 0, lackOfFusion = 0, keyhole = 0;
+        for (let y = region.y; y < region.y + region.height; y++) {
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const i = y * width + x;
+                if (!mask[i]) {
+                    map[i] = LACK_OF_FUSION;
+                    lackOfFusion++;
+                } else {
+                    fused++;
+                    if (peak && peak[i] > keyholeLevel) {
+                        map[i] = KEYHOLE;
+                        keyhole++;
+                    } else {
+                        map[i] = OK;
+                    }
+                }
+            }
+        }
+
+        // Flood fill unfused clusters (4-connected, restricted to the region)
+        const clusters = [];
+        const visited = new Uint8Array(width * height);
+        const stack = new Int32Array(Math.max(1, region.width * region.height));
+        for (let y = region.y; y < region.y + region.height; y++) {
+            for (let x = region.x; x < region.x + region.width; x++) {
+                const seed = y * width + x;
+                if (map[seed] !== LACK_OF_FUSION || visited[seed]) continue;
+                let top = 0;
+                stack[top++] = seed;
+                visited[seed] = 1;
+                let area = 0, sumX = 0, sumY = 0;
+                let minX = x, maxX = x, minY = y, maxY = y;
+                while (top > 0) {
+                    const i = stack[--top];
+                    const px = i % width;
+                    const py = (i - px) / width;
+                    area++;
+                    sumX += px;
+                    sumY += py;
+                    if (px < minX) minX = px;
+                    if (px > maxX) maxX = px;
+                    if (py < minY) minY = py;
+                    if (py > maxY) maxY = py;
+                    if (px > region.x && map[i - 1] === LACK_OF_FUSION && !visited[i - 1]) { visited[i - 1] = 1; stack[top++] = i - 1; }
+                    if (px < region.x + region.width - 1 && map[i + 1] === LACK_OF_FUSION && !visited[i + 1]) { visited[i + 1] = 1; stack[top++] = i + 1; }
+                    if (py > region.y && map[i - width] === LACK_OF_FUSION && !visited[i - width]) { visited[i - width] = 1; stack[top++] = i - width; }
+                    if (py < region.y + region.height - 1 && map[i + width] === LACK_OF_FUSION && !visited[i + width]) { visited[i + width] = 1; stack[top++] = i + width; }
+                }
+                if (area >= minClusterArea) {
+                    clusters.push({
+                        area,
+                        centroid: { x: sumX / area, y: sumY / area },
+                        bbox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+                    });
+                }
+            }
+        }
+        clusters.sort((a, b) => b.area - a.area);
+
+        const regionArea = region.width * region.height;
+        return {
+            region,
+            regionArea,
+            fused,
+            lackOfFusion,
+            keyhole,
+            fusedFraction: regionArea ? fused / regionArea : 0,
+            clusters,
+            map
+        };
+    }
+
+    const DefectAnalysis = { OK, LACK_OF_FUSION, KEYHOLE, OUTSIDE, clampRegion, analyze };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DefectAnalysis;
+    }
+    if (typeof window !== 'undefined') {
+        window.DefectAnalysis = DefectAnalysis;
+    }
+})();
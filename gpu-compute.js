@@ -1,9 +1,13 @@
 // GPU-accelerated thermal simulation using WebGL2 compute shaders
 class GPUCompute {
-    constructor(width, height, maxBrushBatchSize = 8) {
+    // options.fieldPrecision: 'float32' (R32F field) or 'float16' (R16F, half the memory and bandwidth)
+    constructor(width, height, maxBrushBatchSize = 8, options = {}) {
         this.width = width;
         this.height = height;
         this.canvas = document.createElement('canvas');
+        // Visible output of renderThermal / renderParticles, composited onto 2D canvases with drawImage
+        this.canvas.width = width;
+        this.canvas.height = height;
         this.supported = false;
         const requestedBatch = Number.isFinite(maxBrushBatchSize) ? Math.floor(maxBrushBatchSize) : 0;
         this.maxBrushBatchSize = Math.max(1, requestedBatch || 8);
@@ -13,7 +17,38 @@ class GPUCompute {
         this._downloadScratch = null;
         this._persistentDownloadScratch = null;
         this._thermalResultBuffer = null;
-        this._persistentResultBuffer = null;
+        // Thermal field texture format, picked in setupFramebuffers: single-channel where the driver can
+        // render to it, RGBA32F otherwise. fieldReadFormat is what readPixels uses for the field.
+        this._fieldPrecision = options.fieldPrecision || 'float32';
+        this.fieldFormat = null;
+        this.fieldReadFormat = null;
+        // Asynchronous readback: pixel-pack buffer and the fence of the copy in flight
+        this._readbackBuffer = null;
+        this._readbackFence = null;
+        this._maskResult = null;
+        // Statistics pyramid for reduceStats: levels of ceil(size / 4), two RGBA attachments each,
+        // built on first use
+        this._reduceLevels = null;
+        this._reduceScratch = new Float32Array(8);
+        // requestStatsReadback: pixel-pack buffer (stats then bounds texel) and the fence of the copy in flight
+        this._statsBuffer = null;
+        this._statsFence = null;
+        // Brush kernel atlas (one kernel per variant, stacked vertically); null = analytic cone
+        this._brushKernelTex = null;
+        this._brushKernelSize = 0;
+        this.hasBrushKernels = false;
+        // Probe samples: one row per step of a probeCapacity x probeRows texture, read back in one go by
+        // readProbeSamples; positions are re-uploaded when a different array is passed
+        this.probeRows = 64;
+        this.probeCapacity = 0;
+        this._probeTex = null;
+        this._probeFb = null;
+        this._probePositionTex = null;
+        this._probeSource = null;
+        // Colormap lookup table (RGBA8, lutSize x 1) for renderThermal; re-uploaded when the array changes
+        this._colormapTex = null;
+        this._colormapSource = null;
+        this._colormapSize = 0;
 
         try {
             this.gl = this.canvas.getContext('webgl2');
@@ -46,11 +81,13 @@ class GPUCompute {
         if (!this.gl) throw new Error('WebGL2 context not available');
         
     // Create textures for thermal data (ping-pong buffers for blur)
-    this.thermalTexA = this.createFloatTexture(this.width, this.height);
-    this.thermalTexB = this.createFloatTexture(this.width, this.height);
-    // Ping-pong for persistent mask to avoid read-write hazards
-    this.persistentTexA = this.createByteTexture(this.width, this.height);
-    this.persistentTexB = this.createByteTexture(this.width, this.height);
+    this.fieldFormat = this.chooseFieldFormat(this._fieldPrecision);
+    this.thermalTexA = this.createFloatTexture(this.width, this.height, this.fieldFormat);
+    this.thermalTexB = this.createFloatTexture(this.width, this.height, this.fieldFormat);
+    // Ping-pong for the mask state to avoid read-write hazards:
+    // R = persistent mask, G = peak temperature, B = peak while molten (0 once below threshold)
+    this.persistentTexA = this.createFloatTexture(this.width, this.height);
+    this.persistentTexB = this.createFloatTexture(this.width, this.height);
         
     // Framebuffers
     this.fbA = this.createFramebuffer(this.thermalTexA);
@@ -70,7 +107,6 @@ class GPUCompute {
         
         checkFramebuffer(this.fbA, 'Thermal A');
         checkFramebuffer(this.fbB, 'Thermal B');
-    // Max tracking removed - using CPU fallback for max tracking
         checkFramebuffer(this.persistentFbA, 'Persistent A');
         checkFramebuffer(this.persistentFbB, 'Persistent B');
 
@@ -81,13 +117,42 @@ class GPUCompute {
             gl.clear(gl.COLOR_BUFFER_BIT);
         };
     [this.fbA, this.fbB, this.persistentFbA, this.persistentFbB].forEach(clearFb);
+
+        // Read the field as RED/FLOAT when the driver accepts that combination for this framebuffer;
+        // RGBA/FLOAT is always accepted for float colour buffers
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbA);
+        const readable = this.fieldFormat.channels === 1 &&
+            gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_FORMAT) === gl.RED &&
+            gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_TYPE) === gl.FLOAT;
+        this.fieldReadFormat = readable ? { format: gl.RED, channels: 1 } : { format: gl.RGBA, channels: 4 };
+    }
+
+    // Single-channel float format for the thermal field: R16F when asked for, else R32F, falling back
+    // to RGBA32F on drivers that cannot render to one-channel float targets
+    chooseFieldFormat(precision) {
+        const gl = this.gl;
+        const candidates = [];
+        if (precision === 'float16') candidates.push({ name: 'R16F', internalFormat: gl.R16F, format: gl.RED, channels: 1 });
+        candidates.push({ name: 'R32F', internalFormat: gl.R32F, format: gl.RED, channels: 1 });
+        for (const candidate of candidates) {
+            const tex = this.createFloatTexture(1, 1, candidate);
+            const fb = this.createFramebuffer(tex);
+            const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.deleteFramebuffer(fb);
+            gl.deleteTexture(tex);
+            if (complete) return candidate;
+        }
+        console.warn('Single-channel float render targets not supported, storing the thermal field as RGBA32F');
+        return { name: 'RGBA32F', internalFormat: gl.RGBA32F, format: gl.RGBA, channels: 4 };
     }
     
-    createFloatTexture(w, h) {
+    // RGBA32F unless a format from chooseFieldFormat is given
+    createFloatTexture(w, h, format = null) {
         const gl = this.gl;
         const tex = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, tex);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, w, h, 0, gl.RGBA, gl.FLOAT, null);
+        gl.texImage2D(gl.TEXTURE_2D, 0, format ? format.internalFormat : gl.RGBA32F, w, h, 0, format ? format.format : gl.RGBA, gl.FLOAT, null);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
@@ -132,19 +197,26 @@ class GPUCompute {
         
         // Brush application shader
         const maxBatch = this.maxBrushBatchSize;
+        // Brush data is (x, y, radius, intensity) for the analytic cone, or (x, y, variant, intensity)
+        // when kernels are uploaded. highp keeps Kelvin-scale fields exact on mobile GPUs.
         const brushFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
-            precision mediump float;
+            precision highp float;
             #define MAX_BRUSH_BATCH ${maxBatch}
             uniform sampler2D u_thermalData;
+            uniform sampler2D u_brushKernels;
             uniform vec2 u_resolution;
             uniform float u_centerMultiplier;
             uniform int u_brushCount;
+            uniform int u_kernelSize;
+            uniform bool u_useKernels;
             uniform vec4 u_brushData[MAX_BRUSH_BATCH];
             in vec2 v_texCoord;
             out vec4 outColor;
 
             void main() {
                 vec2 pixelPos = v_texCoord * u_resolution;
+                ivec2 pixel = ivec2(floor(pixelPos));
+                int halfSize = u_kernelSize / 2;
                 float currentValue = texture(u_thermalData, v_texCoord).r;
                 float brushContribution = 0.0;
 
@@ -154,6 +226,16 @@ class GPUCompute {
                     }
 
                     vec4 brush = u_brushData[i];
+                    if (u_useKernels) {
+                        // Same integer-offset lookup as ThermalBrush.applyBrushCPU (center dot baked in)
+                        ivec2 k = pixel - ivec2(brush.xy) + ivec2(halfSize);
+                        if (k.x >= 0 && k.y >= 0 && k.x < u_kernelSize && k.y < u_kernelSize) {
+                            int row = int(brush.z + 0.5) * u_kernelSize + k.y;
+                            brushContribution += texelFetch(u_brushKernels, ivec2(k.x, row), 0).r * brush.w;
+                        }
+                        continue;
+                    }
+
                     float radius = max(brush.z, 1.0);
                     float dist = distance(pixelPos, brush.xy);
 
@@ -198,22 +280,42 @@ class GPUCompute {
             }
         `);
         
-        // Decay shader
+        // Decay shader; also clamps the field to ambient..ceiling
         const decayFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
             precision highp float;
             uniform sampler2D u_thermalData;
             uniform float u_decayRate;
+            uniform float u_ambient;
+            uniform float u_ceiling;
             in vec2 v_texCoord;
             out vec4 outColor;
             
             void main() {
-                outColor = vec4(texture(u_thermalData, v_texCoord).r * u_decayRate, 0.0, 0.0, 1.0);
+                float value = texture(u_thermalData, v_texCoord).r;
+                outColor = vec4(clamp(u_ambient + (value - u_ambient) * u_decayRate, u_ambient, u_ceiling), 0.0, 0.0, 1.0);
             }
         `);
         
-        // Max tracking shader removed - max tracking will be performed on CPU
-        
-        // Persistent mask shader
+        // Explicit heat-equation step (5-point Laplacian, zero-flux edges via clamped fetches)
+        const conductionFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
+            precision highp float;
+            uniform sampler2D u_thermalData;
+            uniform float u_r;
+            out vec4 outColor;
+
+            void main() {
+                ivec2 p = ivec2(gl_FragCoord.xy);
+                ivec2 maxP = textureSize(u_thermalData, 0) - 1;
+                float c = texelFetch(u_thermalData, p, 0).r;
+                float l = texelFetch(u_thermalData, clamp(p - ivec2(1, 0), ivec2(0), maxP), 0).r;
+                float r = texelFetch(u_thermalData, clamp(p + ivec2(1, 0), ivec2(0), maxP), 0).r;
+                float d = texelFetch(u_thermalData, clamp(p - ivec2(0, 1), ivec2(0), maxP), 0).r;
+                float u = texelFetch(u_thermalData, clamp(p + ivec2(0, 1), ivec2(0), maxP), 0).r;
+                outColor = vec4(c + u_r * (l + r + d + u - 4.0 * c), 0.0, 0.0, 1.0);
+            }
+        `);
+
+        // Persistent mask / peak / molten peak update, same rules as ThermalSimulation.updatePersistentMaskCPU
         const persistentFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
             precision highp float;
             uniform sampler2D u_thermalData;
@@ -224,17 +326,108 @@ class GPUCompute {
             
             void main() {
                 float thermal = texture(u_thermalData, v_texCoord).r;
-                float persistent = texture(u_persistentMask, v_texCoord).r;
-                outColor = vec4((thermal >= u_threshold) ? 1.0 : persistent, 0.0, 0.0, 1.0);
+                vec4 state = texture(u_persistentMask, v_texCoord);
+                bool molten = thermal > u_threshold;
+                outColor = vec4(
+                    molten ? 1.0 : state.r,
+                    max(state.g, thermal),
+                    molten ? max(state.b, thermal) : 0.0,
+                    0.0);
+            }
+        `);
+
+        // Field statistics, reduced in 4x4 blocks into two render targets:
+        //   stats  = (sum, max, pixels above threshold, persistent pixels)
+        //   bounds = molten bounding box (min x, min y, max x, max y); empty boxes stay inverted
+        // The first pass reads the field (u_source) and mask state (u_sourceBounds); later passes
+        // combine the previous level's two targets.
+        const statsFragShader = (firstPass) => this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
+            precision highp float;
+            uniform sampler2D u_source;
+            uniform sampler2D u_sourceBounds;
+            uniform ivec2 u_sourceSize;
+            uniform float u_threshold;
+            layout(location = 0) out vec4 outStats;
+            layout(location = 1) out vec4 outBounds;
+
+            void main() {
+                ivec2 base = ivec2(gl_FragCoord.xy) * 4;
+                vec4 stats = vec4(0.0, -3.4e38, 0.0, 0.0);
+                vec4 bounds = vec4(3.4e38, 3.4e38, -3.4e38, -3.4e38);
+                for (int dy = 0; dy < 4; ++dy) {
+                    for (int dx = 0; dx < 4; ++dx) {
+                        ivec2 p = base + ivec2(dx, dy);
+                        if (p.x >= u_sourceSize.x || p.y >= u_sourceSize.y) continue;
+                        ${firstPass ? `float v = texelFetch(u_source, p, 0).r;
+                        stats.x += v;
+                        stats.y = max(stats.y, v);
+                        if (v > u_threshold) {
+                            stats.z += 1.0;
+                            bounds.xy = min(bounds.xy, vec2(p));
+                            bounds.zw = max(bounds.zw, vec2(p));
+                        }
+                        if (texelFetch(u_sourceBounds, p, 0).r > 0.5) stats.w += 1.0;` : `vec4 s = texelFetch(u_source, p, 0);
+                        vec4 b = texelFetch(u_sourceBounds, p, 0);
+                        stats.xzw += s.xzw;
+                        stats.y = max(stats.y, s.y);
+                        bounds.xy = min(bounds.xy, b.xy);
+                        bounds.zw = max(bounds.zw, b.zw);`}
+                    }
+                }
+                outStats = stats;
+                outBounds = bounds;
             }
         `);
         
+        // Display shader: field -> colormap LUT -> premultiplied RGBA on the default framebuffer.
+        // Matches ThermalBrush.render's CPU path (nearest LUT entry, alpha = floor(255 * t * scale)).
+        const renderFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
+            precision highp float;
+            uniform sampler2D u_thermalData;
+            uniform sampler2D u_colormap;
+            uniform int u_lutSize;
+            uniform float u_ambient;
+            uniform float u_span;
+            uniform bool u_opaque;
+            uniform float u_alphaScale;
+            in vec2 v_texCoord;
+            out vec4 outColor;
+
+            void main() {
+                // Field row 0 is the top of the canvas; the default framebuffer starts at the bottom
+                vec2 uv = vec2(v_texCoord.x, 1.0 - v_texCoord.y);
+                float t = clamp((texture(u_thermalData, uv).r - u_ambient) / u_span, 0.0, 1.0);
+                int index = int(floor(t * float(u_lutSize - 1) + 0.5));
+                vec3 color = texelFetch(u_colormap, ivec2(index, 0), 0).rgb;
+                float alpha = u_opaque ? 1.0 : floor(255.0 * t * u_alphaScale) / 255.0;
+                outColor = vec4(color * alpha, alpha);
+            }
+        `);
+
         // Create shader programs
+        // Probe sampling: column i of the target row receives the field at probe i, whose pixel
+        // position is texel i of u_probePositions
+        const probeFragShader = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
+            precision highp float;
+            uniform sampler2D u_thermalData;
+            uniform sampler2D u_probePositions;
+            out vec4 outColor;
+
+            void main() {
+                ivec2 p = ivec2(texelFetch(u_probePositions, ivec2(int(gl_FragCoord.x), 0), 0).xy);
+                outColor = vec4(texelFetch(u_thermalData, p, 0).r, 0.0, 0.0, 1.0);
+            }
+        `);
+
         this.brushProgram = this.createProgram(vertexShader, brushFragShader);
         this.blurProgram = this.createProgram(vertexShader, blurFragShader);
         this.decayProgram = this.createProgram(vertexShader, decayFragShader);
-    // this.maxTrackingProgram intentionally omitted
+        this.conductionProgram = this.createProgram(vertexShader, conductionFragShader);
         this.persistentProgram = this.createProgram(vertexShader, persistentFragShader);
+        this.renderProgram = this.createProgram(vertexShader, renderFragShader);
+        this.probeProgram = this.createProgram(vertexShader, probeFragShader);
+        this.statsFirstProgram = this.createProgram(vertexShader, statsFragShader(true));
+        this.statsReduceProgram = this.createProgram(vertexShader, statsFragShader(false));
 
         // Particle update shaders (X and Y components in separate passes)
         const particleUpdateXFrag = this.createShader(gl.FRAGMENT_SHADER, `#version 300 es
@@ -255,6 +448,7 @@ class GPUCompute {
             uniform float u_regionR;
             uniform vec2 u_regionHalfWH;
             uniform float u_time; // seconds
+            uniform float u_seed; // per-run noise offset (BrushConfig.random.seed)
             in vec2 v_texCoord;
             out vec4 outColor;
 
@@ -274,7 +468,7 @@ class GPUCompute {
                 vec2 pos = vec2(px, py);
                 if (dist > 0.0 && dist < u_pushRadius) {
                     float pushForce = (u_pushRadius - dist) / u_pushRadius;
-                    float r = rand(vec2(v_texCoord.x, u_time));
+                    float r = rand(vec2(v_texCoord.x + u_seed, u_time));
                     float forceVar = mix(u_forceVarMin, u_forceVarMax, r);
                     float pushDist = pushForce * u_baseStrength * forceVar;
                     float baseAngle = atan(toCenter.y, toCenter.x);
@@ -282,7 +476,7 @@ class GPUCompute {
                     float ang = baseAngle + angleVar;
                     vec2 nd = vec2(cos(ang), sin(ang));
                     // Drift
-                    float r2 = rand(vec2(v_texCoord.x + 0.37, u_time + 0.91));
+                    float r2 = rand(vec2(v_texCoord.x + u_seed + 0.37, u_time + 0.91));
                     float driftAng = r2 * 6.28318530718; // 2*pi
                     vec2 drift = vec2(cos(driftAng), sin(driftAng)) * (u_driftMax * (r2 - 0.5));
                     pos += nd * pushDist + drift;
@@ -328,6 +522,7 @@ class GPUCompute {
             uniform float u_regionR;
             uniform vec2 u_regionHalfWH;
             uniform float u_time; // seconds
+            uniform float u_seed; // per-run noise offset (BrushConfig.random.seed)
             in vec2 v_texCoord;
             out vec4 outColor;
 
@@ -347,7 +542,7 @@ class GPUCompute {
                 vec2 pos = vec2(px, py);
                 if (dist > 0.0 && dist < u_pushRadius) {
                     float pushForce = (u_pushRadius - dist) / u_pushRadius;
-                    float r = rand(vec2(v_texCoord.x, u_time));
+                    float r = rand(vec2(v_texCoord.x + u_seed, u_time));
                     float forceVar = mix(u_forceVarMin, u_forceVarMax, r);
                     float pushDist = pushForce * u_baseStrength * forceVar;
                     float baseAngle = atan(toCenter.y, toCenter.x);
@@ -355,7 +550,7 @@ class GPUCompute {
                     float ang = baseAngle + angleVar;
                     vec2 nd = vec2(cos(ang), sin(ang));
                     // Drift
-                    float r2 = rand(vec2(v_texCoord.x + 0.37, u_time + 0.91));
+                    float r2 = rand(vec2(v_texCoord.x + u_seed + 0.37, u_time + 0.91));
                     float driftAng = r2 * 6.28318530718;
                     vec2 drift = vec2(cos(driftAng), sin(driftAng)) * (u_driftMax * (r2 - 0.5));
                     pos += nd * pushDist + drift;
@@ -460,7 +655,10 @@ class GPUCompute {
             resolution: gl.getUniformLocation(this.brushProgram, 'u_resolution'),
             centerMultiplier: gl.getUniformLocation(this.brushProgram, 'u_centerMultiplier'),
             brushCount: gl.getUniformLocation(this.brushProgram, 'u_brushCount'),
-            brushData: gl.getUniformLocation(this.brushProgram, 'u_brushData[0]')
+            brushData: gl.getUniformLocation(this.brushProgram, 'u_brushData[0]'),
+            brushKernels: gl.getUniformLocation(this.brushProgram, 'u_brushKernels'),
+            kernelSize: gl.getUniformLocation(this.brushProgram, 'u_kernelSize'),
+            useKernels: gl.getUniformLocation(this.brushProgram, 'u_useKernels')
         };
         
         // Blur uniforms
@@ -476,10 +674,17 @@ class GPUCompute {
         gl.useProgram(this.decayProgram);
         this.decayUniforms = {
             thermalData: gl.getUniformLocation(this.decayProgram, 'u_thermalData'),
-            decayRate: gl.getUniformLocation(this.decayProgram, 'u_decayRate')
+            decayRate: gl.getUniformLocation(this.decayProgram, 'u_decayRate'),
+            ambient: gl.getUniformLocation(this.decayProgram, 'u_ambient'),
+            ceiling: gl.getUniformLocation(this.decayProgram, 'u_ceiling')
         };
         
-        // Max tracking removed: handled on CPU; no GPU uniforms to set here.
+        // Conduction uniforms
+        gl.useProgram(this.conductionProgram);
+        this.conductionUniforms = {
+            thermalData: gl.getUniformLocation(this.conductionProgram, 'u_thermalData'),
+            r: gl.getUniformLocation(this.conductionProgram, 'u_r')
+        };
         
         // Persistent uniforms
         gl.useProgram(this.persistentProgram);
@@ -489,6 +694,37 @@ class GPUCompute {
             threshold: gl.getUniformLocation(this.persistentProgram, 'u_threshold')
         };
 
+        // Statistics uniforms (same names in both passes)
+        this.statsUniforms = new Map();
+        for (const program of [this.statsFirstProgram, this.statsReduceProgram]) {
+            gl.useProgram(program);
+            this.statsUniforms.set(program, {
+                source: gl.getUniformLocation(program, 'u_source'),
+                sourceBounds: gl.getUniformLocation(program, 'u_sourceBounds'),
+                sourceSize: gl.getUniformLocation(program, 'u_sourceSize'),
+                threshold: gl.getUniformLocation(program, 'u_threshold')
+            });
+        }
+
+        // Display uniforms
+        gl.useProgram(this.renderProgram);
+        this.renderUniforms = {
+            thermalData: gl.getUniformLocation(this.renderProgram, 'u_thermalData'),
+            colormap: gl.getUniformLocation(this.renderProgram, 'u_colormap'),
+            lutSize: gl.getUniformLocation(this.renderProgram, 'u_lutSize'),
+            ambient: gl.getUniformLocation(this.renderProgram, 'u_ambient'),
+            span: gl.getUniformLocation(this.renderProgram, 'u_span'),
+            opaque: gl.getUniformLocation(this.renderProgram, 'u_opaque'),
+            alphaScale: gl.getUniformLocation(this.renderProgram, 'u_alphaScale')
+        };
+
+        // Probe uniforms
+        gl.useProgram(this.probeProgram);
+        this.probeUniforms = {
+            thermalData: gl.getUniformLocation(this.probeProgram, 'u_thermalData'),
+            probePositions: gl.getUniformLocation(this.probeProgram, 'u_probePositions')
+        };
+
         // Particle uniforms
         if (this.particleUpdateXProgram && this.particleUpdateYProgram) {
             gl.useProgram(this.particleUpdateXProgram);
@@ -507,7 +743,8 @@ class GPUCompute {
                 regionCenter: gl.getUniformLocation(this.particleUpdateXProgram, 'u_regionCenter'),
                 regionR: gl.getUniformLocation(this.particleUpdateXProgram, 'u_regionR'),
                 regionHalfWH: gl.getUniformLocation(this.particleUpdateXProgram, 'u_regionHalfWH'),
-                time: gl.getUniformLocation(this.particleUpdateXProgram, 'u_time')
+                time: gl.getUniformLocation(this.particleUpdateXProgram, 'u_time'),
+                seed: gl.getUniformLocation(this.particleUpdateXProgram, 'u_seed')
             };
             gl.useProgram(this.particleUpdateYProgram);
             this.particleYUniforms = {
@@ -525,7 +762,8 @@ class GPUCompute {
                 regionCenter: gl.getUniformLocation(this.particleUpdateYProgram, 'u_regionCenter'),
                 regionR: gl.getUniformLocation(this.particleUpdateYProgram, 'u_regionR'),
                 regionHalfWH: gl.getUniformLocation(this.particleUpdateYProgram, 'u_regionHalfWH'),
-                time: gl.getUniformLocation(this.particleUpdateYProgram, 'u_time')
+                time: gl.getUniformLocation(this.particleUpdateYProgram, 'u_time'),
+                seed: gl.getUniformLocation(this.particleUpdateYProgram, 'u_seed')
             };
         }
 
@@ -569,6 +807,38 @@ class GPUCompute {
         gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
     }
     
+    // Release every WebGL object and the context itself; the instance is unusable afterwards.
+    // Called when ThermalSimulation.reinitGPU replaces it (browsers cap the number of live contexts).
+    dispose() {
+        const gl = this.gl;
+        if (!gl) return;
+        this.cancelThermalReadback();
+        this.cancelStatsReadback();
+        const deleters = [
+            ['WebGLTexture', 'deleteTexture'],
+            ['WebGLFramebuffer', 'deleteFramebuffer'],
+            ['WebGLProgram', 'deleteProgram'],
+            ['WebGLBuffer', 'deleteBuffer'],
+            ['WebGLVertexArrayObject', 'deleteVertexArray']
+        ].filter(([type]) => typeof globalThis[type] === 'function');
+        const release = (obj) => {
+            for (const [type, method] of deleters) {
+                if (obj instanceof globalThis[type]) {
+                    gl[method](obj);
+                    return;
+                }
+            }
+        };
+        Object.values(this).forEach(release);
+        (this._reduceLevels || []).forEach(level => Object.values(level).forEach(release));
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+        this.gl = null;
+        this.supported = false;
+        this._currentProgram = null;
+        this._reduceLevels = null;
+    }
+
     createShader(type, source) {
         const gl = this.gl;
         const shader = gl.createShader(type);
@@ -584,17 +854,22 @@ class GPUCompute {
         return shader;
     }
     
+    // Throws when a shader did not compile or the program does not link, so initialisation fails with
+    // the reason instead of leaving null programs behind
     createProgram(vertexShader, fragmentShader) {
         const gl = this.gl;
+        if (!vertexShader || !fragmentShader) {
+            throw new Error('GPU shader compilation failed (see the shader compile error above)');
+        }
         const program = gl.createProgram();
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
         gl.linkProgram(program);
 
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            console.error('Program link error:', gl.getProgramInfoLog(program));
+            const log = gl.getProgramInfoLog(program);
             gl.deleteProgram(program);
-            return null;
+            throw new Error(`GPU program link failed: ${log}`);
         }
 
         return program;
@@ -622,6 +897,42 @@ class GPUCompute {
         });
     }
 
+    // Upload brush variant kernels ({ data, size, decayScale }) so the brush shader deposits exactly the
+    // CPU profile. The CPU center dot (intensity * centerMultiplier * decayScale) is baked into each copy.
+    setBrushKernels(variants, options = {}) {
+        if (!this.supported || !this.gl || !Array.isArray(variants) || variants.length === 0) return false;
+
+        const gl = this.gl;
+        const size = variants[0].size;
+        const count = variants.length;
+        if (variants.some(v => v.size !== size) || size * count > gl.getParameter(gl.MAX_TEXTURE_SIZE)) {
+            this.hasBrushKernels = false;
+            return false;
+        }
+
+        const centerMultiplier = (typeof options.centerMultiplier === 'number') ? options.centerMultiplier : 1.0;
+        const half = Math.floor(size / 2);
+        const atlas = new Float32Array(size * size * count);
+        for (let v = 0; v < count; v++) {
+            const variant = variants[v];
+            atlas.set(variant.data, v * size * size);
+            const decayScale = (typeof variant.decayScale === 'number') ? variant.decayScale : 1.0;
+            atlas[v * size * size + half * size + half] += centerMultiplier * decayScale;
+        }
+
+        if (!this._brushKernelTex) this._brushKernelTex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this._brushKernelTex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, size, size * count, 0, gl.RED, gl.FLOAT, atlas);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this._brushKernelSize = size;
+        this.hasBrushKernels = true;
+        return true;
+    }
+
     applyBrushBatch(brushes, options = {}) {
         if (!this.supported || !this.gl || !Array.isArray(brushes) || brushes.length === 0) return;
 
@@ -639,6 +950,11 @@ class GPUCompute {
         const centerMultiplier = (typeof options.centerMultiplier === 'number') ? options.centerMultiplier : 1.0;
         gl.uniform1f(this.brushUniforms.centerMultiplier, centerMultiplier);
         gl.uniform1i(this.brushUniforms.brushCount, count);
+        // Kernel lookups only apply when every brush names a variant
+        const useKernels = this.hasBrushKernels && brushes.slice(0, count).every(b => typeof b.variant === 'number');
+        gl.uniform1i(this.brushUniforms.useKernels, useKernels ? 1 : 0);
+        gl.uniform1i(this.brushUniforms.kernelSize, this._brushKernelSize);
+        gl.uniform1i(this.brushUniforms.brushKernels, 1);
 
         const data = this._brushDataBuffer;
         for (let i = 0; i < count; i++) {
@@ -646,11 +962,17 @@ class GPUCompute {
             const offset = i * 4;
             data[offset] = (typeof brush.x === 'number') ? brush.x : 0;
             data[offset + 1] = (typeof brush.y === 'number') ? brush.y : 0;
-            data[offset + 2] = (typeof brush.radius === 'number') ? brush.radius : 0;
+            if (useKernels) {
+                data[offset + 2] = brush.variant;
+            } else {
+                data[offset + 2] = (typeof brush.radius === 'number') ? brush.radius : 0;
+            }
             data[offset + 3] = (typeof brush.intensity === 'number') ? brush.intensity : 0;
         }
         gl.uniform4fv(this.brushUniforms.brushData, data.subarray(0, count * 4));
 
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, useKernels ? this._brushKernelTex : null);
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
 
@@ -692,7 +1014,8 @@ class GPUCompute {
         return true;
     }
     
-    applyDecay(decayRate) {
+    // Relax towards ambient by decayRate and clamp to ambient..ceiling in one pass (decayRate 1 only clamps)
+    applyDecay(decayRate, ambient = 0, ceiling = 1) {
         if (!this.supported) return false;
         
         const gl = this.gl;
@@ -701,6 +1024,8 @@ class GPUCompute {
         
         gl.uniform1i(this.decayUniforms.thermalData, 0);
         gl.uniform1f(this.decayUniforms.decayRate, decayRate);
+        gl.uniform1f(this.decayUniforms.ambient, ambient);
+        gl.uniform1f(this.decayUniforms.ceiling, ceiling);
         
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
@@ -715,11 +1040,31 @@ class GPUCompute {
         return true;
     }
     
-    updateMaxTracking() {
-        // Max tracking is handled on CPU now; GPU no-op
-        return false;
+    // Run `substeps` explicit conduction steps with mesh Fourier number r (caller keeps r <= 0.25)
+    applyConduction(r, substeps = 1) {
+        if (!this.supported) return false;
+        
+        const gl = this.gl;
+        this.bindProgram(this.conductionProgram);
+        gl.bindVertexArray(this.vao);
+        
+        gl.uniform1i(this.conductionUniforms.thermalData, 0);
+        gl.uniform1f(this.conductionUniforms.r, r);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.viewport(0, 0, this.width, this.height);
+        
+        for (let s = 0; s < substeps; s++) {
+            gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbB);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            [this.thermalTexA, this.thermalTexB] = [this.thermalTexB, this.thermalTexA];
+            [this.fbA, this.fbB] = [this.fbB, this.fbA];
+        }
+        
+        return true;
     }
     
+    // One pass updates the persistent mask, peak temperature and molten peak (see setupFramebuffers)
     updatePersistentMask(threshold) {
         if (!this.supported) return false;
         
@@ -746,99 +1091,504 @@ class GPUCompute {
         return true;
     }
     
+    // Whole-field statistics reduced on the GPU; only two texels are read back:
+    // { sum, max, above (pixels > threshold), persistent (melted pixels), bounds } where bounds is the
+    // bounding box of the pixels above threshold ({ minX, minY, maxX, maxY }, inclusive) or null
+    reduceStats(threshold) {
+        const last = this._runReduction(threshold);
+        if (!last) return null;
+        const gl = this.gl;
+        const px = this._reduceScratch;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, last.fb);
+        gl.readBuffer(gl.COLOR_ATTACHMENT1);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, px, 4);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, px, 0);
+        return this._statsFromPixels(px);
+    }
+
+    // Same reduction without waiting for the GPU: the 1x1 result is copied into a pixel-pack buffer and
+    // collected with pollStatsReadback() a frame or more later. Returns false while a copy is in flight.
+    requestStatsReadback(threshold) {
+        if (this._statsFence) return false;
+        const last = this._runReduction(threshold);
+        if (!last) return false;
+        const gl = this.gl;
+        if (!this._statsBuffer) {
+            this._statsBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._statsBuffer);
+            gl.bufferData(gl.PIXEL_PACK_BUFFER, 8 * 4, gl.STREAM_READ);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, last.fb);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._statsBuffer);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, 0);
+        gl.readBuffer(gl.COLOR_ATTACHMENT1);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, 4 * 4);
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        this._statsFence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+        gl.flush();
+        return true;
+    }
+
+    // Statistics from the last requestStatsReadback() once the GPU has finished them (as reduceStats),
+    // or null while still in flight or when none was requested
+    pollStatsReadback() {
+        const fence = this._statsFence;
+        if (!this.supported || !this.gl || !fence) return null;
+        const gl = this.gl;
+        const status = gl.clientWaitSync(fence, 0, 0);
+        if (status === gl.TIMEOUT_EXPIRED) return null;
+        gl.deleteSync(fence);
+        this._statsFence = null;
+        if (status === gl.WAIT_FAILED) return null;
+        const px = this._reduceScratch;
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._statsBuffer);
+        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, px);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        return this._statsFromPixels(px);
+    }
+
+    cancelStatsReadback() {
+        if (!this._statsFence) return;
+        if (this.gl) this.gl.deleteSync(this._statsFence);
+        this._statsFence = null;
+    }
+
+    // Stats and bounds texels (8 floats) -> reduceStats result
+    _statsFromPixels(px) {
+        return {
+            sum: px[0],
+            max: px[1],
+            above: Math.round(px[2]),
+            persistent: Math.round(px[3]),
+            bounds: px[2] > 0 ? { minX: px[4], minY: px[5], maxX: px[6], maxY: px[7] } : null
+        };
+    }
+
+    // Reduction passes down to a 1x1 level, which is returned (null without the stats programs)
+    _runReduction(threshold) {
+        if (!this.supported || !this.gl || !this.statsFirstProgram || !this.statsReduceProgram) return null;
+        const gl = this.gl;
+        if (!this._reduceLevels) {
+            this._reduceLevels = [];
+            let w = this.width, h = this.height;
+            do {
+                w = Math.ceil(w / 4);
+                h = Math.ceil(h / 4);
+                const stats = this.createFloatTexture(w, h);
+                const bounds = this.createFloatTexture(w, h);
+                const fb = this.createFramebuffer(stats);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, bounds, 0);
+                gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1]);
+                this._reduceLevels.push({ w, h, stats, bounds, fb });
+            } while (w > 1 || h > 1);
+        }
+
+        gl.bindVertexArray(this.vao);
+        let source = this.thermalTexA, sourceBounds = this.persistentTexA;
+        let sw = this.width, sh = this.height;
+        this._reduceLevels.forEach((level, index) => {
+            const program = index === 0 ? this.statsFirstProgram : this.statsReduceProgram;
+            const uniforms = this.statsUniforms.get(program);
+            this.bindProgram(program);
+            gl.uniform1i(uniforms.source, 0);
+            gl.uniform1i(uniforms.sourceBounds, 1);
+            gl.uniform2i(uniforms.sourceSize, sw, sh);
+            gl.uniform1f(uniforms.threshold, threshold);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, source);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, sourceBounds);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, level.fb);
+            gl.viewport(0, 0, level.w, level.h);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            source = level.stats;
+            sourceBounds = level.bounds;
+            sw = level.w;
+            sh = level.h;
+        });
+        return this._reduceLevels[this._reduceLevels.length - 1];
+    }
+
+    // Upload an RGBA colormap lookup table (Colormaps.buildLUT); skipped when it is already current
+    setColormap(lut) {
+        if (!this.supported || !lut || lut === this._colormapSource) return;
+        const gl = this.gl;
+        const size = lut.length / 4;
+        if (!this._colormapTex) {
+            this._colormapTex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this._colormapTex);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this._colormapTex);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, size, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            new Uint8Array(lut.buffer, lut.byteOffset, lut.length));
+        this._colormapSource = lut;
+        this._colormapSize = size;
+    }
+
+    // Draw the colormapped field onto this.canvas without leaving the GPU.
+    // opts: { lut, ambient, span, opaque, alphaScale } (ambient/span as in ThermalUnits)
+    renderThermal(opts = {}) {
+        if (!this.supported || !this.renderProgram) return false;
+        if (opts.lut) this.setColormap(opts.lut);
+        if (!this._colormapTex) return false;
+
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.width, this.height);
+        this.bindProgram(this.renderProgram);
+        gl.bindVertexArray(this.vao);
+
+        gl.uniform1i(this.renderUniforms.thermalData, 0);
+        gl.uniform1i(this.renderUniforms.colormap, 1);
+        gl.uniform1i(this.renderUniforms.lutSize, this._colormapSize);
+        gl.uniform1f(this.renderUniforms.ambient, opts.ambient ?? 0);
+        gl.uniform1f(this.renderUniforms.span, Math.max(1e-9, opts.span ?? 1));
+        gl.uniform1i(this.renderUniforms.opaque, opts.opaque ? 1 : 0);
+        gl.uniform1f(this.renderUniforms.alphaScale, opts.alphaScale ?? 1);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this._colormapTex);
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        return true;
+    }
+
     // Data transfer methods
     uploadThermalData(data) {
         if (!this.supported || !this.gl || !data) return;
         
         try {
             const gl = this.gl;
-            // Convert to RGBA format
+            // A copy still in flight would describe the replaced field
+            this.cancelThermalReadback();
+            this.cancelStatsReadback();
             const totalPixels = this.width * this.height;
-            if (!this._uploadScratch || this._uploadScratch.length !== totalPixels * 4) {
-                this._uploadScratch = new Float32Array(totalPixels * 4);
-            }
-            const rgbaData = this._uploadScratch;
-            for (let i = 0; i < totalPixels; i++) {
-                const base = i * 4;
-                rgbaData[base] = data[i];
-                rgbaData[base + 1] = 0.0;
-                rgbaData[base + 2] = 0.0;
-                rgbaData[base + 3] = 1.0;
+            let pixels;
+            if (this.fieldFormat.channels === 1) {
+                pixels = data instanceof Float32Array ? data : Float32Array.from(data);
+            } else {
+                // RGBA fallback: value in R
+                if (!this._uploadScratch || this._uploadScratch.length !== totalPixels * 4) {
+                    this._uploadScratch = new Float32Array(totalPixels * 4);
+                }
+                pixels = this._uploadScratch;
+                for (let i = 0; i < totalPixels; i++) {
+                    const base = i * 4;
+                    pixels[base] = data[i];
+                    pixels[base + 1] = 0.0;
+                    pixels[base + 2] = 0.0;
+                    pixels[base + 3] = 1.0;
+                }
             }
 
             gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
-            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, rgbaData);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.width, this.height, this.fieldFormat.format, gl.FLOAT, pixels);
         } catch (error) {
             console.warn('GPU thermal data upload failed:', error);
         }
     }
+
+    // Float32Array for readPixels / getBufferSubData in fieldReadFormat: the result buffer itself when
+    // the field reads back as one channel, an RGBA scratch to be repacked otherwise
+    _fieldReadTarget() {
+        const totalPixels = this.width * this.height;
+        if (!this._thermalResultBuffer || this._thermalResultBuffer.length !== totalPixels) {
+            this._thermalResultBuffer = new Float32Array(totalPixels);
+        }
+        if (this.fieldReadFormat.channels === 1) return this._thermalResultBuffer;
+        if (!this._downloadScratch || this._downloadScratch.length !== totalPixels * 4) {
+            this._downloadScratch = new Float32Array(totalPixels * 4);
+        }
+        return this._downloadScratch;
+    }
+
+    _fieldReadResult(target) {
+        const result = this._thermalResultBuffer;
+        if (target !== result) {
+            for (let i = 0; i < result.length; i++) {
+                result[i] = target[i * 4];
+            }
+        }
+        return result;
+    }
     
+    // Blocking field download; the returned buffer is reused by the next download
     downloadThermalData() {
         if (!this.supported || !this.gl) return null;
         
         try {
             const gl = this.gl;
-            const totalPixels = this.width * this.height;
-            if (!this._downloadScratch || this._downloadScratch.length !== totalPixels * 4) {
-                this._downloadScratch = new Float32Array(totalPixels * 4);
-            }
-            if (!this._thermalResultBuffer || this._thermalResultBuffer.length !== totalPixels) {
-                this._thermalResultBuffer = new Float32Array(totalPixels);
-            }
-
-            const scratch = this._downloadScratch;
+            const target = this._fieldReadTarget();
             gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbA);
-            gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, scratch);
-
-            const result = this._thermalResultBuffer;
-            for (let i = 0; i < totalPixels; i++) {
-                result[i] = scratch[i * 4];
-            }
-
-            return result;
+            gl.readPixels(0, 0, this.width, this.height, this.fieldReadFormat.format, gl.FLOAT, target);
+            return this._fieldReadResult(target);
         } catch (error) {
             console.warn('GPU thermal data download failed:', error);
             return null;
         }
     }
-    
-    downloadMaxData() {
-        // GPU max tracking removed; return null to indicate not available
-        return null;
+
+    // Start copying the field into a pixel-pack buffer without waiting for the GPU; collect it with
+    // pollThermalReadback(). Returns false while a previous copy is still in flight.
+    requestThermalReadback() {
+        if (!this.supported || !this.gl || this._readbackFence) return false;
+        const gl = this.gl;
+        if (!this._readbackBuffer) {
+            this._readbackBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._readbackBuffer);
+            gl.bufferData(gl.PIXEL_PACK_BUFFER, this.width * this.height * this.fieldReadFormat.channels * 4, gl.STREAM_READ);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbA);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._readbackBuffer);
+        gl.readPixels(0, 0, this.width, this.height, this.fieldReadFormat.format, gl.FLOAT, 0);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        this._readbackFence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+        // Make sure the copy is submitted even if nothing else is drawn this frame
+        gl.flush();
+        return true;
+    }
+
+    // Field from the last requestThermalReadback() once the GPU has finished it (same reused buffer as
+    // downloadThermalData), or null while it is still in flight or when none was requested
+    pollThermalReadback() {
+        const fence = this._readbackFence;
+        if (!this.supported || !this.gl || !fence) return null;
+        const gl = this.gl;
+        const status = gl.clientWaitSync(fence, 0, 0);
+        if (status === gl.TIMEOUT_EXPIRED) return null;
+        gl.deleteSync(fence);
+        this._readbackFence = null;
+        if (status === gl.WAIT_FAILED) return null;
+        const target = this._fieldReadTarget();
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._readbackBuffer);
+        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, target);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        return this._fieldReadResult(target);
+    }
+
+    // Drop a copy in flight (its contents are stale after an upload, clear or blocking download)
+    cancelThermalReadback() {
+        if (!this._readbackFence) return;
+        if (this.gl) this.gl.deleteSync(this._readbackFence);
+        this._readbackFence = null;
     }
     
-    downloadPersistentData() {
+    // Blocking read of a w x h window of the field whose first pixel is (x, y), row-major like the
+    // full download; cheap enough per frame for consumers that only look near the beam
+    readThermalRegion(x, y, w, h) {
+        if (!this.supported || !this.gl || w <= 0 || h <= 0) return null;
+        const gl = this.gl;
+        const channels = this.fieldReadFormat.channels;
+        const pixels = new Float32Array(w * h * channels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbA);
+        gl.readPixels(x, y, w, h, this.fieldReadFormat.format, gl.FLOAT, pixels);
+        if (channels === 1) return pixels;
+        const values = new Float32Array(w * h);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = pixels[i * 4];
+        }
+        return values;
+    }
+
+    // Read a single thermal value (probes); avoids a full-frame download
+    readThermalPixel(x, y) {
+        if (!this.supported || !this.gl) return NaN;
+        const gl = this.gl;
+        if (!this._pixelScratch) this._pixelScratch = new Float32Array(4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbA);
+        const { format, channels } = this.fieldReadFormat;
+        gl.readPixels(x, y, 1, 1, format, gl.FLOAT, this._pixelScratch.subarray(0, channels));
+        return this._pixelScratch[0];
+    }
+
+    // Copy the field at the probe pixels (positions: flat [x0, y0, x1, y1, ...]) into row `row` of the
+    // probe texture. No readback here; collect the rows with readProbeSamples().
+    sampleProbes(positions, row) {
+        if (!this.supported || !this.gl) return false;
+        const gl = this.gl;
+        const count = positions.length / 2;
+        if (!count || row < 0 || row >= this.probeRows) return false;
+        if (count > this.probeCapacity) {
+            // Grow to the next power of two; rows sampled before the growth are gone, so the caller
+            // reads back before changing its probe list
+            if (this._probeTex) gl.deleteTexture(this._probeTex);
+            if (this._probePositionTex) gl.deleteTexture(this._probePositionTex);
+            if (this._probeFb) gl.deleteFramebuffer(this._probeFb);
+            this.probeCapacity = Math.max(8, 1 << Math.ceil(Math.log2(count)));
+            this._probeTex = this.createFloatTexture(this.probeCapacity, this.probeRows);
+            this._probeFb = this.createFramebuffer(this._probeTex);
+            this._probePositionTex = this.createFloatTexture(this.probeCapacity, 1);
+            this._probeSource = null;
+        }
+        if (this._probeSource !== positions) {
+            const texels = new Float32Array(count * 4);
+            for (let i = 0; i < count; i++) {
+                texels[i * 4] = positions[i * 2];
+                texels[i * 4 + 1] = positions[i * 2 + 1];
+            }
+            gl.bindTexture(gl.TEXTURE_2D, this._probePositionTex);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, count, 1, gl.RGBA, gl.FLOAT, texels);
+            this._probeSource = positions;
+        }
+
+        this.bindProgram(this.probeProgram);
+        gl.bindVertexArray(this.vao);
+        gl.uniform1i(this.probeUniforms.thermalData, 0);
+        gl.uniform1i(this.probeUniforms.probePositions, 1);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.thermalTexA);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this._probePositionTex);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._probeFb);
+        gl.viewport(0, row, count, 1);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        return true;
+    }
+
+    // The first `rows` rows of probe samples as a rows x count Float32Array (row-major)
+    readProbeSamples(rows, count) {
+        if (!this.supported || !this.gl || !this._probeFb || !rows || !count) return null;
+        const gl = this.gl;
+        const scratch = new Float32Array(rows * count * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this._probeFb);
+        gl.readPixels(0, 0, count, rows, gl.RGBA, gl.FLOAT, scratch);
+        const values = new Float32Array(rows * count);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = scratch[i * 4];
+        }
+        return values;
+    }
+
+    // Read the mask state back: { persistent: Uint8Array, peak: Float32Array, molten: Float32Array }.
+    // The arrays are reused between calls.
+    downloadMaskData() {
         if (!this.supported) return null;
         
         const gl = this.gl;
         const totalPixels = this.width * this.height;
         if (!this._persistentDownloadScratch || this._persistentDownloadScratch.length !== totalPixels * 4) {
-            this._persistentDownloadScratch = new Uint8Array(totalPixels * 4);
+            this._persistentDownloadScratch = new Float32Array(totalPixels * 4);
         }
         const scratch = this._persistentDownloadScratch;
 
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.persistentFbA);
-        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.UNSIGNED_BYTE, scratch);
+        gl.readPixels(0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, scratch);
 
-        if (!this._persistentResultBuffer || this._persistentResultBuffer.length !== totalPixels) {
-            this._persistentResultBuffer = new Uint8Array(totalPixels);
+        if (!this._maskResult || this._maskResult.peak.length !== totalPixels) {
+            this._maskResult = {
+                persistent: new Uint8Array(totalPixels),
+                peak: new Float32Array(totalPixels),
+                molten: new Float32Array(totalPixels)
+            };
         }
 
-        const result = this._persistentResultBuffer;
+        const { persistent, peak, molten } = this._maskResult;
         for (let i = 0; i < totalPixels; i++) {
-            result[i] = scratch[i * 4];
+            const base = i * 4;
+            persistent[i] = scratch[base] > 0.5 ? 1 : 0;
+            peak[i] = scratch[base + 1];
+            molten[i] = scratch[base + 2];
         }
 
-        return result;
+        return this._maskResult;
+    }
+
+    // Molten peaks (B channel of the mask state) in a w x h window whose first pixel is (x, y), without
+    // downloading the whole RGBA mask state. The result is reused between calls.
+    readMoltenRegion(x, y, w, h) {
+        if (!this.supported || !this.gl || w <= 0 || h <= 0) return null;
+        const gl = this.gl;
+        const count = w * h;
+        if (!this._moltenRegionScratch || this._moltenRegionScratch.length < count * 4) {
+            this._moltenRegionScratch = new Float32Array(count * 4);
+            this._moltenRegionResult = new Float32Array(count);
+        }
+        const scratch = this._moltenRegionScratch.subarray(0, count * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.persistentFbA);
+        gl.readPixels(x, y, w, h, gl.RGBA, gl.FLOAT, scratch);
+        const molten = this._moltenRegionResult.subarray(0, count);
+        for (let i = 0; i < count; i++) {
+            molten[i] = scratch[i * 4 + 2];
+        }
+        return molten;
+    }
+
+    // Mask state in a w x h window whose first pixel is (x, y), in the same form as downloadMaskData()
+    readMaskRegion(x, y, w, h) {
+        if (!this.supported || !this.gl || w <= 0 || h <= 0) return null;
+        const gl = this.gl;
+        const count = w * h;
+        const scratch = new Float32Array(count * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.persistentFbA);
+        gl.readPixels(x, y, w, h, gl.RGBA, gl.FLOAT, scratch);
+        const persistent = new Uint8Array(count);
+        const peak = new Float32Array(count);
+        const molten = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            persistent[i] = scratch[i * 4] > 0.5 ? 1 : 0;
+            peak[i] = scratch[i * 4 + 1];
+            molten[i] = scratch[i * 4 + 2];
+        }
+        return { persistent, peak, molten };
+    }
+
+    // Replace the mask state (snapshot restore, GPU re-initialisation); missing arrays count as zero
+    uploadMaskData({ persistent, peak, molten } = {}) {
+        if (!this.supported) return;
+
+        const gl = this.gl;
+        const totalPixels = this.width * this.height;
+        if (!this._uploadScratch || this._uploadScratch.length !== totalPixels * 4) {
+            this._uploadScratch = new Float32Array(totalPixels * 4);
+        }
+        const rgbaData = this._uploadScratch;
+        for (let i = 0; i < totalPixels; i++) {
+            const base = i * 4;
+            rgbaData[base] = persistent ? persistent[i] : 0;
+            rgbaData[base + 1] = peak ? peak[i] : 0;
+            rgbaData[base + 2] = molten ? molten[i] : 0;
+            rgbaData[base + 3] = 0;
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.persistentTexA);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.width, this.height, gl.RGBA, gl.FLOAT, rgbaData);
+    }
+
+    downloadMaxData() {
+        const masks = this.downloadMaskData();
+        return masks ? masks.peak : null;
+    }
+    
+    downloadPersistentData() {
+        const masks = this.downloadMaskData();
+        return masks ? masks.persistent : null;
     }
     
-    clear() {
+    // thermalValue lets the field start at ambient temperature instead of zero
+    clear(thermalValue = 0) {
         if (!this.supported) return;
         
         const gl = this.gl;
+        this.cancelThermalReadback();
+        this.cancelStatsReadback();
         
-        // Clear all textures (max tracking removed)
-        [this.fbA, this.fbB, this.persistentFbA, this.persistentFbB].forEach(fb => {
+        // Clear the field and the mask state
+        [this.fbA, this.fbB].forEach(fb => {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+            gl.clearColor(thermalValue, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+        });
+        [this.persistentFbA, this.persistentFbB].forEach(fb => {
             gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
             gl.clearColor(0, 0, 0, 0);
             gl.clear(gl.COLOR_BUFFER_BIT);
@@ -947,7 +1697,7 @@ class GPUCompute {
         const setCommonUniforms = (isX) => {
             const prog = isX ? this.particleUpdateXProgram : this.particleUpdateYProgram;
             const U = isX ? this.particleXUniforms : this.particleYUniforms;
-            gl.useProgram(prog);
+            this.bindProgram(prog);
             gl.bindVertexArray(this.vao);
             gl.uniform1i(U.posX, 0);
             gl.uniform1i(U.posY, 1);
@@ -964,6 +1714,7 @@ class GPUCompute {
             gl.uniform1f(U.regionR, this.pRegion.r);
             gl.uniform2f(U.regionHalfWH, this.pRegion.halfW, this.pRegion.halfH);
             gl.uniform1f(U.time, timeSec);
+            gl.uniform1f(U.seed, params.seed ?? 0);
         };
 
         // Bind inputs
@@ -1023,7 +1774,7 @@ class GPUCompute {
         const gl = this.gl;
         gl.bindFramebuffer(gl.FRAMEBUFFER, null); // draw to canvas
         gl.viewport(0, 0, this.width, this.height);
-        gl.useProgram(this.particleRenderProgram);
+        this.bindProgram(this.particleRenderProgram);
         gl.bindVertexArray(this.vao);
         gl.disable(gl.DEPTH_TEST);
         gl.enable(gl.BLEND);
@@ -1054,6 +1805,8 @@ class GPUCompute {
 
         // Draw N points
         gl.drawArrays(gl.POINTS, 0, this.particleCount);
+        // Compute passes write float targets, which cannot blend
+        gl.disable(gl.BLEND);
         return true;
     }
 }
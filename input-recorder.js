@@ -0,0 +1,110 @@
+// Input recording: the pointer stream entering ThermalBrush (start / move / stop, in canvas pixels)
+// plus enqueuePosition calls from other components, stamped with wall-clock ms since the recording
+// started and the simulation step that consumes them. InputReplay feeds a recording back either on
+// the step clock (exact, frame-rate independent) or on the wall clock, optionally faster.
+(function(){
+    const FORMAT = 'lpbf-input';
+    const VERSION = 1;
+    const TYPES = ['start', 'move', 'stop', 'enqueue'];
+
+    class InputRecorder {
+        constructor() {
+            this.events = [];
+            this.recording = false;
+            this.meta = {};
+        }
+
+        // meta: JSON-serialisable run description (canvas size, seed, dt...)
+        start(now, step, meta = {}) {
+            this.events = [];
+            this.recording = true;
+            this.meta = meta;
+            this._startTime = now;
+            this._startStep = step;
+        }
+
+        // Returns the finished recording
+        stop() {
+            this.recording = false;
+            return this.toJSON();
+        }
+
+        // event: { type, x, y, ...extra }; step is the simulation step that will consume it
+        record(event, now, step) {
+            if (!this.recording) return;
+            this.events.push(Object.assign({
+                t: Math.max(0, now - this._startTime),
+                step: Math.max(0, step - this._startStep)
+            }, event));
+        }
+
+        toJSON() {
+            const last = this.events[this.events.length - 1];
+            return {
+                format: FORMAT,
+                version: VERSION,
+                meta: this.meta,
+                duration: last ? { t: last.t, step: last.step } : { t: 0, step: 0 },
+                events: this.events.slice()
+            };
+        }
+
+        // Parse and validate a recording (object or JSON text)
+        static parse(input) {
+            const data = typeof input === 'string' ? JSON.parse(input) : input;
+            if (!data || data.format !== FORMAT || !Array.isArray(data.events)) {
+                throw new Error('InputRecorder: not an input recording');
+            }
+            if (data.version > VERSION) throw new Error(`InputRecorder: unsupported version ${data.version}`);
+            data.events.forEach((e, i) => {
+                if (!TYPES.includes(e.type)) throw new Error(`InputRecorder: unknown event type '${e.type}' at ${i}`);
+                if (e.type !== 'stop' && !(Number.isFinite(e.x) && Number.isFinite(e.y))) {
+                    throw new Error(`InputRecorder: event ${i} has no position`);
+                }
+            });
+            return data;
+        }
+    }
+
+    class InputReplay {
+        // opts: { timing: 'step' | 'time', speed, dispatch(event) }
+        constructor(recording, opts = {}) {
+            this.recording = InputRecorder.parse(recording);
+            this.timing = opts.timing === 'time' ? 'time' : 'step';
+            this.speed = Math.max(1e-3, opts.speed ?? 1);
+            this.dispatch = opts.dispatch || (() => {});
+            this.index = 0;
+            this.elapsed = 0;
+        }
+
+        get done() {
+            return this.index >= this.recording.events.length;
+        }
+
+        get progress() {
+            const n = this.recording.events.length;
+            return n ? this.index / n : 1;
+        }
+
+        // Advance by delta (steps or ms, per timing) scaled by speed; dispatches every event now due.
+        // Returns true once the recording is exhausted
+        advance(delta) {
+            this.elapsed += delta * this.speed;
+            const key = this.timing === 'time' ? 't' : 'step';
+            const events = this.recording.events;
+            while (this.index < events.length && events[this.index][key] <= this.elapsed) {
+                this.dispatch(events[this.index++]);
+            }
+            return this.done;
+        }
+    }
+
+    const InputRecording = { FORMAT, VERSION, InputRecorder, InputReplay };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = InputRecording;
+    }
+    if (typeof window !== 'undefined') {
+        window.InputRecording = InputRecording;
+    }
+})();
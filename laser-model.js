@@ -0,0 +1,93 @@
+// Laser process model: converts power (W), scan speed (mm/s) and spot diameter (um) into
+// the brush radius, per-position energy and position spacing used by the thermal brush.
+(function(){
+    class LaserModel {
+        constructor(cfg = {}, opts = {}) {
+            this.powerW = Math.max(0, cfg.powerW ?? 200);
+            this.scanSpeedMmS = Math.max(1e-6, cfg.scanSpeedMmS ?? 1000);
+            this.spotDiameterUm = Math.max(1e-3, cfg.spotDiameterUm ?? 80);
+            this.hatchSpacingUm = Math.max(1e-3, cfg.hatchSpacingUm ?? 100);
+            this.layerThicknessUm = Math.max(1e-3, cfg.layerThicknessUm ?? 30);
+            this.absorptivity = Math.max(0, Math.min(1, cfg.absorptivity ?? 0.35));
+
+            // Pixel-to-um scale shared with the conduction model (BrushConfig.canvas.pixelSizeUm)
+            this.pixelSizeUm = Math.max(1e-6, opts.pixelSizeUm ?? 10);
+            this.dt = Math.max(0, opts.dt ?? 2e-5);
+            this.positionsPerStep = Math.max(1, opts.positionsPerStep ?? 1);
+
+            const mat = opts.material || {};
+            this.density = mat.densityKgM3 ?? 4430;
+            this.specificHeat = mat.specificHeatJKgK ?? 526;
+        }
+
+        // Returns a model when BrushConfig.laser.enabled is set, otherwise null (legacy brush)
+        static resolve(config) {
+            const cfg = config || {};
+            if (!cfg.laser || !cfg.laser.enabled) return null;
+            return new LaserModel(cfg.laser, {
+                pixelSizeUm: cfg.canvas?.pixelSizeUm,
+                dt: cfg.simulation?.dt,
+                positionsPerStep: cfg.performance?.maxPositionsPerFrame,
+                material: cfg.material
+            });
+        }
+
+        // Each queued position stands for dt / N seconds of exposure
+        get dwellPerPosition() {
+            return this.dt / this.positionsPerStep;
+        }
+
+        get spotRadiusPx() {
+            return (this.spotDiameterUm / 2) / this.pixelSizeUm;
+        }
+
+        // Distance between consecutive queued positions so N positions cover speed * dt per step
+        get spacingPx() {
+            return (this.scanSpeedMmS * 1000 * this.dwellPerPosition) / this.pixelSizeUm;
+        }
+
+        get hatchSpacingPx() {
+            return this.hatchSpacingUm / this.pixelSizeUm;
+        }
+
+        // Absorbed energy deposited by one queued position (J)
+        get energyPerPosition() {
+            return this.absorptivity * this.powerW * this.dwellPerPosition;
+        }
+
+        // Linear energy density P/v (J/mm)
+        get linearEnergyDensity() {
+            return this.powerW / this.scanSpeedMmS;
+        }
+
+        // Volumetric energy density P/(v*h*t) (J/mm^3)
+        get volumetricEnergyDensity() {
+            return this.powerW / (this.scanSpeedMmS * (this.hatchSpacingUm / 1000) * (this.layerThicknessUm / 1000));
+        }
+
+        // Sum over kernel pixels of the temperature rise (K) caused by one position: the absorbed
+        // energy heats a pixel column of dx * dx * layer thickness
+        get temperatureRiseIntegral() {
+            const dx = this.pixelSizeUm * 1e-6;
+            const heatCapacityPerPixel = this.density * this.specificHeat * dx * dx * (this.layerThicknessUm * 1e-6);
+            return this.energyPerPosition / heatCapacityPerPixel;
+        }
+
+        // Per-pixel rise (K) for a kernel with peak 1 whose weights sum to kernelSum
+        temperatureRiseFor(kernelSum) {
+            return this.temperatureRiseIntegral / Math.max(1e-9, kernelSum);
+        }
+
+        describe() {
+            return `${this.powerW.toFixed(0)} W @ ${this.scanSpeedMmS.toFixed(0)} mm/s, spot ${this.spotDiameterUm.toFixed(0)} um, ` +
+                `${(this.energyPerPosition * 1e6).toFixed(1)} uJ/pos, ${this.volumetricEnergyDensity.toFixed(1)} J/mm^3`;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LaserModel;
+    }
+    if (typeof window !== 'undefined') {
+        window.LaserModel = LaserModel;
+    }
+})();
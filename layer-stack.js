@@ -0,0 +1,72 @@
+// Layer history for multi-layer builds. Each recoat stores the finished layer's melt mask and
+// peak temperatures; fusedCount tracks how many layers melted each pixel across the whole build.
+(function(){
+    class LayerStack {
+        constructor(width, height, opts = {}) {
+            this.width = width;
+            this.height = height;
+            // Layers kept for browsing; older ones are dropped but still counted in fusedCount
+            this.maxHistory = Math.max(1, Math.floor(opts.maxHistory ?? 20));
+            this.reset();
+        }
+
+        reset() {
+            this.layers = [];
+            // Number of completed layers (the live layer's index)
+            this.total = 0;
+            this.fusedCount = new Uint16Array(this.width * this.height);
+        }
+
+        // Store a finished layer; mask is 0/1 per pixel, peak the highest temperature reached
+        push(mask, peak, info = {}) {
+            const len = this.width * this.height;
+            if (!mask || mask.length !== len) throw new Error('LayerStack.push: mask size mismatch');
+            const layer = {
+                index: this.total,
+                mask: new Uint8Array(mask),
+                peak: peak && peak.length === len ? new Float32Array(peak) : null,
+                fusedArea: 0,
+                simTime: info.simTime ?? null,
+                label: info.label || ''
+            };
+            for (let i = 0; i < len; i++) {
+                if (mask[i]) {
+                    layer.fusedArea++;
+                    if (this.fusedCount[i] < 0xffff) this.fusedCount[i]++;
+                }
+            }
+            this.layers.push(layer);
+            if (this.layers.length > this.maxHistory) this.layers.shift();
+            this.total++;
+            return layer;
+        }
+
+        // Stored layer by build index, or null when it has been dropped from history
+        get(index) {
+            const first = this.total - this.layers.length;
+            return (index >= first && index < this.total) ? this.layers[index - first] : null;
+        }
+
+        get oldestIndex() {
+            return this.total - this.layers.length;
+        }
+
+        // 1 where every completed layer melted the pixel
+        fusedInAll(out) {
+            const len = this.width * this.height;
+            const result = (out && out.length === len) ? out : new Uint8Array(len);
+            const n = this.total;
+            for (let i = 0; i < len; i++) {
+                result[i] = (n > 0 && this.fusedCount[i] >= n) ? 1 : 0;
+            }
+            return result;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LayerStack;
+    }
+    if (typeof window !== 'undefined') {
+        window.LayerStack = LayerStack;
+    }
+})();
@@ -0,0 +1,48 @@
+// Line sampling shared by the line-profile tool and diagnoseLineUniformity
+(function(){
+    // Pixel indices along start -> end, one sample per sampleStep pixels of length (clamped to the field)
+    function sampleLine(width, height, start, end, sampleStep = 1) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const dist = Math.max(1, Math.ceil(Math.hypot(dx, dy)));
+        const step = Math.max(1, sampleStep);
+        const indices = [];
+        const offsets = [];
+        for (let i = 0; i <= dist; i += step) {
+            const t = i / dist;
+            const x = Math.max(0, Math.min(width - 1, Math.floor(start.x + dx * t)));
+            const y = Math.max(0, Math.min(height - 1, Math.floor(start.y + dy * t)));
+            indices.push(y * width + x);
+            offsets.push(t * Math.hypot(dx, dy));
+        }
+        return { indices, offsets, length: Math.hypot(dx, dy) };
+    }
+
+    // Values of a field at the sampled indices
+    function pick(field, indices) {
+        const out = new Array(indices.length);
+        for (let i = 0; i < indices.length; i++) out[i] = field[indices[i]];
+        return out;
+    }
+
+    // mean / min / max / population sd of a list of values; null when empty
+    function stats(values) {
+        if (!values.length) return null;
+        let sum = 0, min = Infinity, max = -Infinity;
+        for (const v of values) { sum += v; if (v < min) min = v; if (v > max) max = v; }
+        const mean = sum / values.length;
+        let sd = 0;
+        for (const v of values) sd += (v - mean) * (v - mean);
+        sd = Math.sqrt(sd / values.length);
+        return { mean, min, max, sd, count: values.length };
+    }
+
+    const LineProfile = { sampleLine, pick, stats };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LineProfile;
+    }
+    if (typeof window !== 'undefined') {
+        window.LineProfile = LineProfile;
+    }
+})();
@@ -1,4 +1,17 @@
-class ThermalBrush {
+class ThermalBrush extends ThermalSimulation {
+    // Trigger a browser download of text content (CSV exports)
+    downloadText(filename, text, type = 'text/csv') {
+        this.downloadBlob(filename, new Blob([text], { type }));
+    }
+    downloadBlob(filename, blob) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
     // Debug: save all brush variants as CSV files for inspection
     debugSaveBrushVariantsCSV(prefix = 'brush_variant') {
         if (!this.brushVariants || !this.brushVariants.length) {
@@ -17,14 +30,7 @@ class ThermalBrush {
                 csv += row.join(',') + '\n';
             }
             const filename = `${prefix}_${idx}.csv`;
-            const blob = new Blob([csv], { type: 'text/csv' });
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(blob);
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(link.href);
+            this.downloadText(filename, csv);
             console.log(`[Debug] Saved brush variant ${idx} as ${filename}`);
         });
     }
@@ -44,14 +50,21 @@ class ThermalBrush {
         const dx = end.x - start.x;
         const dy = end.y - start.y;
         const dist = Math.max(1, Math.ceil(Math.hypot(dx, dy)));
-        for (let i = 0; i <= dist; i += step) {
-            const t = i / dist;
-            const x = Math.round(start.x + dx * t);
-            const y = Math.round(start.y + dy * t);
-            this.enqueuePosition({ x, y });
+        const queuedBefore = this.positionQueue.length;
+        if (this.laser) {
+            // Laser mode: spacing follows the commanded scan speed rather than `step`
+            this._laserCarry = 0;
+            this.addLinePositionsLaser(start, end, true);
+        } else {
+            for (let i = 0; i <= dist; i += step) {
+                const t = i / dist;
+                const x = Math.round(start.x + dx * t);
+                const y = Math.round(start.y + dy * t);
+                this.enqueuePosition({ x, y });
+            }
         }
         if (BrushConfig.debug?.logInputPositions) {
-            console.log(`[Debug] Enqueued line from`, start, 'to', end, `(${dist+1} positions)`);
+            console.log(`[Debug] Enqueued line from`, start, 'to', end, `(${this.positionQueue.length - queuedBefore} positions)`);
         }
         // Diagnose the uniformity of the thermal field along the line after enqueuing
         // Wait until the positionQueue is empty (line processed), then call diagnoseLineUniformity
@@ -85,10 +98,21 @@ class ThermalBrush {
         this.ctx.restore();
     }
     constructor() {
+        // Physics, fields and layers live in ThermalSimulation (sim-core.js); this class adds the
+        // canvas, pointer input, rendering and analysis panels on top
+        super(BrushConfig);
         this.canvas = document.getElementById('canvas');
         this.ctx = this.canvas.getContext('2d');
-        this.width = BrushConfig.canvas.width;
-        this.height = BrushConfig.canvas.height;
+        // Fixed-timestep clock: physics advances in steps of dt simulated seconds,
+        // stepsPerSecond times per wall-clock second regardless of refresh rate
+        const simCfg = BrushConfig.simulation || {};
+        // Seeded streams (BrushConfig.random); lockstep defaults on when the seed is fixed so the
+        // same seed and input replay the same frames
+        const randomCfg = BrushConfig.random || {};
+        this.rng = SeededRandom.fromConfig(randomCfg, 'spatter');
+        this.clock = new SimulationClock(Object.assign({}, simCfg, {
+            lockstep: randomCfg.lockstep ?? Number.isFinite(randomCfg.seed)
+        }));
         
         // Performance tracking
         this.performanceStats = {
@@ -100,31 +124,6 @@ class ThermalBrush {
             lastFpsTime: performance.now()
         };
         
-        // Initialize GPU compute if available
-        this.useGPU = false;
-        this.gpuCompute = null;
-        this.brushBatch = [];
-        this.maxBatchSize = Math.max(1, BrushConfig.performance?.gpuBatchSize || 8);
-        this._gpuBrushScratch = null;
-
-        // Try GPU initialization if enabled
-        if (BrushConfig.performance?.useGPU !== false) {
-            try {
-                if (typeof GPUCompute !== 'undefined') {
-                    const requestedBatch = BrushConfig.performance?.gpuBatchSize;
-                    this.gpuCompute = new GPUCompute(this.width, this.height, requestedBatch);
-                    if (this.gpuCompute && this.gpuCompute.supported) {
-                        this.useGPU = true;
-                        this.maxBatchSize = this.gpuCompute.maxBrushBatchSize;
-                    }
-                }
-            } catch (error) {
-                console.warn('GPU initialization failed, using CPU fallback:', error);
-                this.useGPU = false;
-                this.gpuCompute = null;
-            }
-        }
-        
         console.log(`Using ${this.useGPU ? 'GPU' : 'CPU'} acceleration`);
         
         // Add GPU status display
@@ -134,98 +133,42 @@ class ThermalBrush {
         gpuStatus.innerHTML = `GPU: ${this.useGPU ? '<span style="color: #4f4">Accelerated</span>' : '<span style="color: #ff4">CPU Mode</span>'}`;
         document.getElementById('stage').appendChild(gpuStatus);
         
-        // Thermal data - using Float32Array for performance
-        this.thermalData = new Float32Array(this.width * this.height);
-        this.persistentMask = new Uint8Array(this.width * this.height);
-
-        // Tracks whether a pixel is currently at/above threshold (boolean as 0/1)
-        this.aboveThreshold = new Uint8Array(this.width * this.height);
-        // Tracks the maximum intensity a pixel has reached while at/above threshold
-        this.maxThresholded = new Float32Array(this.width * this.height);
-        this.maxMolten = new Float32Array(this.width * this.height);
-        this.isThereMolten = false;
-        // Parameters from config
-        this.brushRadius = BrushConfig.brush.radius;
-        this.blurSigma = BrushConfig.thermal.blurSigma;
-        this.threshold = BrushConfig.brush.threshold;
-        this.brushIntensity = BrushConfig.brush.intensity;
-        // centerMultiplier may have been removed from config; provide a sensible default
-        this.centerMultiplier = (BrushConfig.thermal && typeof BrushConfig.thermal.centerMultiplier === 'number') ? BrushConfig.thermal.centerMultiplier : 1.0;
+        // Colormap lookup table for render() (rebuilt by updateColormap after config edits)
+        this.updateColormap();
+
+        // layerView selects a stored layer (or 'all') to display
+        this.layerView = null;
+        // Defect overlay state (see runDefectAnalysis)
+        this.defectOverlay = false;
+        this.defectReport = null;
+        // Settings panel: built on first open; defaults are the config as loaded, for exporting overrides
+        this._settingsBuilt = false;
+        this._configDefaults = JSON.parse(JSON.stringify(BrushConfig));
+        // Process window map: the running grid (one track per timer tick) and its last result
+        this.processWindowRun = null;
+        this.processWindowResult = null;
+        // Per-track melt pool time series (see updateMeltPool)
+        this.meltPool = new MeltPool.MeltPoolTracker({ maxTracks: BrushConfig.meltPool?.maxTracks });
+        // Microstructure overlay fed by the simulation's solidification recorder
+        this.microstructureMode = BrushConfig.solidification?.overlay || 'off';
+        this.microstructureCounts = null;
+        // Line profile tool: profileMode makes drags define the line instead of painting
+        this.profileMode = false;
+        this.profileLine = null;
+        this._profileDrag = false;
+        // Pointer / enqueue stream recording and replay
+        this.inputRecorder = new InputRecording.InputRecorder();
+        this.inputReplay = null;
         
         // Drawing state
         this.isDrawing = false;
         this.lastPos = null;
-        this.positionQueue = [];
         this.brushPositions = [];
         this.particles = [];
         this.particleSprites = new Map();
-        this.maxPositionsPerFrame = BrushConfig.performance.maxPositionsPerFrame;
         
-        // Frame counter for timing
+        // Rendered frame counter (simulation progress is tracked by stepCounter)
         this.frameCounter = 0;
-        
-        // Smoothing properties
-        this.smoothAlpha = BrushConfig.smoothing.alpha;
-        this.prevSmooth = null;
-        
-        // Always initialize CPU components (needed for fallback)
-        this.brush = this.createFeatheredBrush(this.brushRadius);
-        this.initializeGaussianKernel();
-    // Precompute diffused brush variants (Gaussian-blur of base kernel)
-    this.maxPositionsPerFrame = Math.max(1, BrushConfig.performance?.maxPositionsPerFrame || 1);
-    this.brushVariants = [];
-    this.brushVariantRadii = [];
-
-    // Precompute per-step decay factor so we can bake it into brush variants
-    const configuredDecay = (BrushConfig.thermal && typeof BrushConfig.thermal.decayRate === 'number') ? BrushConfig.thermal.decayRate : 1.0;
-    this._configuredDecay = configuredDecay;
-    this._stepDecay = Math.pow(configuredDecay, 1 / Math.max(1, this.maxPositionsPerFrame));
-
-    try {
-            const base = this.brush;
-
-            // We'll create variants by computing a single padded separable gaussian blur of the base kernel
-            // and linearly interpolating intermediate variants between the base and the blurred result.
-            if (!this.gaussianKernel) this.initializeGaussianKernel();
-            // Create one maximum-blur variant (single pass with padding equal to kernel radius)
-            const blurredMax = this.createBlurredVariant(base);
-            const outSize = blurredMax.size;
-
-            // Create padded base array matching outSize
-            const pad = Math.floor((outSize - base.size) / 2);
-            const basePadded = new Float32Array(outSize * outSize);
-            for (let by = 0; by < base.size; by++) {
-                for (let bx = 0; bx < base.size; bx++) {
-                    basePadded[(by + pad) * outSize + (bx + pad)] = base.data[by * base.size + bx];
-                }
-            }
-
-            for (let i = 0; i < this.maxPositionsPerFrame; i++) {
-                const t = (this.maxPositionsPerFrame === 1) ? 0 : (i / (this.maxPositionsPerFrame - 1));
-                // Interpolate between basePadded and blurredMax.data
-                const data = new Float32Array(outSize * outSize);
-                for (let k = 0; k < data.length; k++) {
-                    data[k] = basePadded[k] * (1 - t) + blurredMax.data[k] * t;
-                }
-
-                // Bake step-decay scaling into the precomputed variant so we don't need to
-                // multiply the entire thermal field per-position in the animate loop.
-                // Use exponent (n / N) with n = 1..N so variants receive configuredDecay^(n/N).
-                // For zero-based index i, n = i+1.
-                const variantDecayScale = Math.pow(this._configuredDecay, (i + 1) / this.maxPositionsPerFrame);
-                if (variantDecayScale !== 1.0) {
-                    for (let k = 0; k < data.length; k++) data[k] *= variantDecayScale;
-                }
-
-                this.brushVariants.push({ data, size: outSize, decayScale: variantDecayScale });
-                this.brushVariantRadii.push(Math.floor((outSize - 1) / 2));
-            }
-        } catch (e) {
-            // fallback: single variant equals base
-            // ensure fallback variant includes decayScale
-            this.brushVariants = [ Object.assign({ decayScale: 1.0 }, this.brush) ];
-            this.brushVariantRadii = [ this.brushRadius ];
-        }
 
         // Setup events
         this.setupEvents();
@@ -257,113 +200,15 @@ class ThermalBrush {
 
     // Diagnostic helper: sample thermalData along an integer line and report stats
     diagnoseLineUniformity(start, end, sampleStep = 1) {
-        const samples = [];
-        const dx = end.x - start.x;
-        const dy = end.y - start.y;
-        const dist = Math.max(1, Math.ceil(Math.hypot(dx, dy)));
-        for (let i = 0; i <= dist; i += sampleStep) {
-            const t = i / dist;
-            const x = Math.max(0, Math.min(this.width - 1, Math.floor(start.x + dx * t)));
-            const y = Math.max(0, Math.min(this.height - 1, Math.floor(start.y + dy * t)));
-            samples.push(this.thermalData[y * this.width + x]);
-        }
-        if (samples.length === 0) return null;
-        let sum = 0, min = Infinity, max = -Infinity;
-        for (const v of samples) { sum += v; min = Math.min(min, v); max = Math.max(max, v); }
-        const mean = sum / samples.length;
-        let sd = 0;
-        for (const v of samples) sd += (v - mean) * (v - mean);
-        sd = Math.sqrt(sd / samples.length);
+        const line = LineProfile.sampleLine(this.width, this.height, start, end, sampleStep);
+        const samples = LineProfile.pick(this.thermalData, line.indices);
+        const summary = LineProfile.stats(samples);
+        if (!summary) return null;
+        const { mean, min, max, sd } = summary;
         console.log('diagnoseLineUniformity', { start, end, samples: samples.length, mean, min, max, sd, raw: samples });
         return { mean, min, max, sd, samples };
     }
 
-    // Synchronize GPU buffers back into CPU arrays for rendering/metrics
-    // Throttled by caller usage; kept lightweight and robust here
-    syncFromGPU() {
-        if (!this.useGPU || !this.gpuCompute || !this.gpuCompute.supported) return;
-        // Download thermal field
-        const thermal = this.gpuCompute.downloadThermalData();
-        if (!thermal || thermal.length !== this.thermalData.length) {
-            throw new Error('GPU thermal download failed or size mismatch');
-        }
-        this.thermalData.set(thermal);
-    }
-    
-    createFeatheredBrush(radius) {
-        const size = radius * 2 + 1;
-        const brush = new Float32Array(size * size);
-        const center = radius;
-        
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const dx = x - center;
-                const dy = y - center;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance <= radius) {
-                    const intensity = 1.0 - (distance / radius);
-                    brush[y * size + x] = intensity;
-                }
-            }
-        }
-        return { data: brush, size };
-    }
-
-    // Create a blurred variant of a square brush kernel using the precomputed separable gaussian kernel
-    // Performs a single padded separable convolution and returns the padded blurred result
-    createBlurredVariant(baseBrush) {
-        // baseBrush: { data: Float32Array, size: number }
-        const baseSize = baseBrush.size;
-        const kernel = this.gaussianKernel;
-        const kRadius = Math.floor(kernel.length / 2);
-
-        // Pad by kernel radius so blurred output can expand naturally
-        const pad = kRadius;
-        const outSize = baseSize + pad * 2;
-
-        // Create padded source and copy base brush into the center
-        const src = new Float32Array(outSize * outSize);
-        for (let by = 0; by < baseSize; by++) {
-            for (let bx = 0; bx < baseSize; bx++) {
-                src[(by + pad) * outSize + (bx + pad)] = baseBrush.data[by * baseSize + bx];
-            }
-        }
-
-        const temp = new Float32Array(outSize * outSize);
-        const out = new Float32Array(outSize * outSize);
-
-        // Horizontal pass: src -> temp
-        for (let y = 0; y < outSize; y++) {
-            for (let x = 0; x < outSize; x++) {
-                let s = 0;
-                const startX = Math.max(0, x - kRadius);
-                const endX = Math.min(outSize - 1, x + kRadius);
-                for (let nx = startX; nx <= endX; nx++) {
-                    const kIdx = nx - x + kRadius;
-                    s += src[y * outSize + nx] * kernel[kIdx];
-                }
-                temp[y * outSize + x] = s;
-            }
-        }
-
-        // Vertical pass: temp -> out
-        for (let y = 0; y < outSize; y++) {
-            for (let x = 0; x < outSize; x++) {
-                let s = 0;
-                const startY = Math.max(0, y - kRadius);
-                const endY = Math.min(outSize - 1, y + kRadius);
-                for (let ny = startY; ny <= endY; ny++) {
-                    const kIdx = ny - y + kRadius;
-                    s += temp[ny * outSize + x] * kernel[kIdx];
-                }
-                out[y * outSize + x] = s;
-            }
-        }
-
-        return { data: out, size: outSize };
-    }
-    
     setupEvents() {
         // Mouse events
         this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
@@ -411,500 +256,1111 @@ class ThermalBrush {
             e.preventDefault();
             this.stopDrawing();
         }, { passive: false });
-    }
-    
-    getEventPos(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        return {
-            x: Math.floor((e.clientX - rect.left) * (this.width / rect.width)),
-            y: Math.floor((e.clientY - rect.top) * (this.height / rect.height))
-        };
-    }
-    
-    startDrawing(e) {
-        this.isDrawing = true;
-        const pos = this.getEventPos(e);
-        this.lastPos = pos;
-        this.positionQueue.push(pos);
-        if (BrushConfig.debug?.logInputPositions) {
-            console.log('[Input] startDrawing: added', pos);
+
+        this.setupLayerControls();
+
+        // Snapshot files
+        const snapInput = document.getElementById('snapshotInput');
+        if (snapInput) {
+            snapInput.addEventListener('change', async () => {
+                const file = snapInput.files && snapInput.files[0];
+                if (!file) return;
+                try {
+                    this.restoreSnapshot(await file.arrayBuffer());
+                } catch (error) {
+                    console.warn('Failed to load snapshot:', error);
+                }
+                snapInput.value = '';
+            });
         }
-    }
-    
-    draw(e) {
-        if (!this.isDrawing) return;
-        const pos = this.getEventPos(e);
-        this.addLinePositions(this.lastPos, pos);
-        if (BrushConfig.debug?.logInputPositions) {
-            console.log('[Input] draw: from', this.lastPos, 'to', pos);
+
+        // Input recordings
+        const replayInput = document.getElementById('replayInputFile');
+        if (replayInput) {
+            replayInput.addEventListener('change', async () => {
+                const file = replayInput.files && replayInput.files[0];
+                if (!file) return;
+                try {
+                    this.replayInput(await file.text());
+                } catch (error) {
+                    console.warn('Failed to load input recording:', error);
+                }
+                replayInput.value = '';
+            });
         }
-        this.lastPos = pos;
-    }
-    
-    stopDrawing() {
-        this.isDrawing = false;
-    }
 
-    // Allow external components (e.g., background) to enqueue a draw position
-    enqueuePosition(pos) {
-        if (!pos || typeof pos.x !== 'number' || typeof pos.y !== 'number') return;
-        const x = Math.max(0, Math.min(this.width - 1, Math.floor(pos.x)));
-        const y = Math.max(0, Math.min(this.height - 1, Math.floor(pos.y)));
-        const last = this.positionQueue[this.positionQueue.length - 1];
-        if (!last || last.x !== x || last.y !== y) {
-            this.positionQueue.push({ x, y });
-            if (BrushConfig.debug?.logInputPositions) {
-                console.log('[Input] enqueuePosition: added', { x, y });
-            }
+        // Scan path files (G-code / CLI / JSON)
+        const scanInput = document.getElementById('scanPathInput');
+        if (scanInput) {
+            scanInput.addEventListener('change', async () => {
+                const file = scanInput.files && scanInput.files[0];
+                if (!file) return;
+                try {
+                    this.loadScanPath(await file.text(), file.name);
+                } catch (error) {
+                    console.warn('Failed to load scan path:', error);
+                }
+                scanInput.value = '';
+            });
         }
     }
-    
-    addLinePositions(start, end) {
-        if (BrushConfig.smoothing.useBresenham) {
-            this.addLinePositionsBresenham(start, end);
-        } else {
-            this.addLinePositionsLinear(start, end);
+
+    // Layer slider: the rightmost position is the live layer, lower values browse stored layers
+    setupLayerControls() {
+        const slider = document.getElementById('layerSlider');
+        const fusedAll = document.getElementById('layerFusedAll');
+        if (slider) {
+            slider.addEventListener('input', () => {
+                const value = parseInt(slider.value, 10);
+                this.layerView = (value >= this.layerStack.total) ? null : value;
+                if (fusedAll) fusedAll.checked = false;
+                this.updateLayerControls();
+                if (this.defectOverlay) this.runDefectAnalysis();
+            });
         }
+        if (fusedAll) {
+            fusedAll.addEventListener('change', () => {
+                this.layerView = fusedAll.checked ? 'all' : null;
+                if (slider) slider.value = String(this.layerStack.total);
+                this.updateLayerControls();
+            });
+        }
+        this.updateLayerControls();
     }
-    
-    addLinePositionsBresenham(start, end) {
-        let x0 = Math.floor(start.x);
-        let y0 = Math.floor(start.y);
-        let x1 = Math.floor(end.x);
-        let y1 = Math.floor(end.y);
-        
-        const dx = Math.abs(x1 - x0);
-        const dy = Math.abs(y1 - y0);
-        const sx = x0 < x1 ? 1 : -1;
-        const sy = y0 < y1 ? 1 : -1;
-        let err = dx - dy;
-        
-        while (true) {
-            // Apply EMA smoothing
-            let smoothedPos;
-            if (!this.prevSmooth) {
-                smoothedPos = { x: x0, y: y0 };
-                this.prevSmooth = smoothedPos;
+
+    updateLayerControls() {
+        const stack = this.layerStack;
+        const slider = document.getElementById('layerSlider');
+        const label = document.getElementById('layerLabel');
+        if (slider) {
+            slider.min = String(stack.oldestIndex);
+            slider.max = String(stack.total);
+            if (this.layerView === null) slider.value = String(stack.total);
+        }
+        if (label) {
+            if (this.layerView === 'all') {
+                label.textContent = `Fused in all ${stack.total} layers`;
+            } else if (this.layerView !== null) {
+                const layer = stack.get(this.layerView);
+                label.textContent = `Layer ${this.layerView} / ${stack.total}` + (layer ? ` (${layer.fusedArea} px fused)` : '');
             } else {
-                const a = this.smoothAlpha;
-                smoothedPos = {
-                    x: Math.round(a * x0 + (1 - a) * this.prevSmooth.x),
-                    y: Math.round(a * y0 + (1 - a) * this.prevSmooth.y)
-                };
-                this.prevSmooth = smoothedPos;
+                label.textContent = `Layer ${stack.total} (live)`;
             }
-            // Only add if position is different from the last one in queue
-            const lastPos = this.positionQueue[this.positionQueue.length - 1];
-            if (!lastPos || lastPos.x !== smoothedPos.x || lastPos.y !== smoothedPos.y) {
-                this.positionQueue.push({ x: smoothedPos.x, y: smoothedPos.y });
-                if (BrushConfig.debug?.logInputPositions) {
-                    console.log('[Input] addLinePositionsBresenham: added', { x: smoothedPos.x, y: smoothedPos.y });
+        }
+    }
+
+    // Draw the selected stored layer: fused pixels colored by their peak temperature, or for 'all'
+    // green where every layer fused and dim gray where only some did
+    paintLayerView(data) {
+        const stack = this.layerStack;
+        const len = this.width * this.height;
+        if (this.layerView === 'all') {
+            const n = stack.total;
+            for (let i = 0; i < len; i++) {
+                const count = stack.fusedCount[i];
+                const p = i * 4;
+                if (n > 0 && count >= n) {
+                    data[p] = 40; data[p + 1] = 220; data[p + 2] = 90; data[p + 3] = 255;
+                } else if (count > 0) {
+                    data[p] = data[p + 1] = data[p + 2] = 90; data[p + 3] = 200;
+                } else {
+                    data[p + 3] = 0;
                 }
             }
-            // Check if we've reached the end point
-            if (x0 === x1 && y0 === y1) break;
-            const e2 = 2 * err;
-            if (e2 > -dy) {
-                err -= dy;
-                x0 += sx;
-            }
-            if (e2 < dx) {
-                err += dx;
-                y0 += sy;
+            return;
+        }
+        const layer = stack.get(this.layerView);
+        if (!layer) return;
+        for (let i = 0; i < len; i++) {
+            const p = i * 4;
+            if (!layer.mask[i]) {
+                data[p + 3] = 0;
+                continue;
             }
+            const o = Colormaps.lutIndex(this.colormapLUT, layer.peak ? this.units.toNormalized(layer.peak[i]) : 1);
+            data[p] = this.colormapLUT[o];
+            data[p + 1] = this.colormapLUT[o + 1];
+            data[p + 2] = this.colormapLUT[o + 2];
+            data[p + 3] = 255;
         }
     }
-    
-    addLinePositionsLinear(start, end) {
-        const dx = end.x - start.x;
-        const dy = end.y - start.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        if (distance <= 0) return;
-
-        const steps = Math.max(1, Math.ceil(distance));
-        for (let i = 0; i <= steps; i++) {
-            const t = i / steps;
-            const x = Math.floor(start.x + dx * t);
-            const y = Math.floor(start.y + dy * t);
-            // EMA smoothing
-            if (!this.prevSmooth) {
-                this.prevSmooth = { x, y };
-            } else {
-                const a = this.smoothAlpha;
-                this.prevSmooth = {
-                    x: Math.round(a * x + (1 - a) * this.prevSmooth.x),
-                    y: Math.round(a * y + (1 - a) * this.prevSmooth.y),
-                };
-            }
-            // Only add if position is different from the last one in queue
-            const lastPos = this.positionQueue[this.positionQueue.length - 1];
-            if (!lastPos || lastPos.x !== this.prevSmooth.x || lastPos.y !== this.prevSmooth.y) {
-                this.positionQueue.push({ x: this.prevSmooth.x, y: this.prevSmooth.y });
-                if (BrushConfig.debug?.logInputPositions) {
-                    console.log('[Input] addLinePositionsLinear: added', { x: this.prevSmooth.x, y: this.prevSmooth.y });
-                }
+
+    // Analyse the layer being viewed (a stored layer while browsing, otherwise the live one)
+    // inside the build square and refresh the summary table
+    runDefectAnalysis() {
+        const cfg = BrushConfig.defects || {};
+        const stored = (typeof this.layerView === 'number') ? this.layerStack.get(this.layerView) : null;
+        if (!stored) this.syncMasksFromGPU();
+        const mask = stored ? stored.mask : this.persistentMask;
+        const peak = stored ? stored.peak : this.maxThresholded;
+        const region = (window.bg && typeof window.bg.getSquareOverlayRect === 'function') ? window.bg.getSquareOverlayRect() : null;
+        const keyholeLevel = this.threshold + (cfg.keyholeFraction ?? 0.8) * (this.units.ceiling - this.threshold);
+
+        const report = DefectAnalysis.analyze({
+            width: this.width,
+            height: this.height,
+            mask,
+            peak,
+            region,
+            keyholeLevel,
+            minClusterArea: cfg.minClusterArea
+        });
+        report.keyholeLevel = keyholeLevel;
+        report.layer = stored ? stored.index : this.layerStack.total;
+        this.defectReport = report;
+
+        // Bake the classification map into an offscreen canvas drawn over the field each frame
+        if (!this._defectCanvas) {
+            this._defectCanvas = document.createElement('canvas');
+            this._defectCanvas.width = this.width;
+            this._defectCanvas.height = this.height;
+            this._defectCtx = this._defectCanvas.getContext('2d');
+        }
+        const image = this._defectCtx.createImageData(this.width, this.height);
+        const px = image.data;
+        for (let i = 0; i < report.map.length; i++) {
+            const cls = report.map[i];
+            const p = i * 4;
+            if (cls === DefectAnalysis.LACK_OF_FUSION) {
+                px[p] = 255; px[p + 1] = 60; px[p + 2] = 60; px[p + 3] = 150;
+            } else if (cls === DefectAnalysis.KEYHOLE) {
+                px[p] = 200; px[p + 1] = 0; px[p + 2] = 255; px[p + 3] = 180;
             }
         }
+        this._defectCtx.putImageData(image, 0, 0);
+
+        this.updateDefectPanel();
+        return report;
     }
-    
-    applyBrush(x, y) {
-        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
-        
-        if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-            try {
-                // Batch brush applications for GPU
-                this.brushBatch.push({ x, y });
-                if (this.brushBatch.length >= this.maxBatchSize) {
-                    this.flushBrushBatch();
-                }
-            } catch (error) {
-                console.warn('GPU brush failed, falling back to CPU:', error);
-                this.useGPU = false;
-                this.applyBrushCPU(x, y);
-            }
+
+    drawDefectOverlay() {
+        const report = this.defectReport;
+        if (!report || !this._defectCanvas) return;
+        this.ctx.drawImage(this._defectCanvas, 0, 0);
+        const listed = report.clusters.slice(0, Math.max(0, BrushConfig.defects?.maxListed ?? 8));
+        this.ctx.save();
+        this.ctx.strokeStyle = 'yellow';
+        this.ctx.fillStyle = 'yellow';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '10px monospace';
+        listed.forEach((c, idx) => {
+            this.ctx.strokeRect(c.bbox.x - 0.5, c.bbox.y - 0.5, c.bbox.width + 1, c.bbox.height + 1);
+            this.ctx.fillText(String(idx + 1), c.bbox.x, c.bbox.y - 2);
+        });
+        this.ctx.restore();
+    }
+
+    updateDefectPanel() {
+        const panel = document.getElementById('defectPanel');
+        const report = this.defectReport;
+        if (!panel) return;
+        panel.style.display = this.defectOverlay ? 'block' : 'none';
+        if (!report) return;
+
+        const pxArea = Math.pow(BrushConfig.canvas.pixelSizeUm ?? 10, 2) * 1e-6; // mm^2 per pixel
+        const pct = (n) => report.regionArea ? `${(100 * n / report.regionArea).toFixed(1)}%` : '-';
+        const listed = report.clusters.slice(0, Math.max(0, BrushConfig.defects?.maxListed ?? 8));
+        const rows = listed.map((c, idx) => `<tr><td>${idx + 1}</td><td>${c.area}</td><td>${(c.area * pxArea).toFixed(4)}</td><td>${c.centroid.x.toFixed(1)}, ${c.centroid.y.toFixed(1)}</td></tr>`).join('');
+        panel.innerHTML = `
+            <div style="font-weight: bold;">Defects, layer ${report.layer}</div>
+            Region: ${report.region.width}x${report.region.height} px<br>
+            Fused: ${report.fused} (${pct(report.fused)})<br>
+            <span style="color: #f66;">Lack of fusion: ${report.lackOfFusion} (${pct(report.lackOfFusion)})</span><br>
+            <span style="color: #c6f;">Keyhole risk: ${report.keyhole} (${pct(report.keyhole)}) &gt; ${this.units.format(report.keyholeLevel)}</span><br>
+            Unfused clusters: ${report.clusters.length}
+            ${rows ? `<table><tr><td>#</td><td>px</td><td>mm&sup2;</td><td>centroid</td></tr>${rows}</table>` : ''}
+        `;
+    }
+
+    toggleDefectOverlay(force) {
+        this.defectOverlay = (typeof force === 'boolean') ? force : !this.defectOverlay;
+        if (this.defectOverlay) {
+            this.runDefectAnalysis();
         } else {
-            // CPU path: pick a precomputed variant based on current queue length or a round-robin index
-            // Caller (animate) will pass variant -> fallback here to base
-            this.applyBrushCPU(x, y, this.brush);
+            this.updateDefectPanel();
         }
+        return this.defectOverlay;
     }
-    
-    applyBrushCPU(x, y, brushObj) {
-        // brushObj is expected to be { data: Float32Array, size: number }
-        const brush = brushObj || this.brush;
-        const brushSizeLocal = brush.size;
-        // Derive local radius from the brush size
-        const localRadius = Math.floor((brushSizeLocal - 1) / 2);
-
-        // Compute bounds using localRadius so larger/smaller variants are applied correctly
-        const startX = Math.max(0, x - localRadius);
-        const endX = Math.min(this.width, x + localRadius + 1);
-        const startY = Math.max(0, y - localRadius);
-        const endY = Math.min(this.height, y + localRadius + 1);
-
-        for (let cy = startY; cy < endY; cy++) {
-            for (let cx = startX; cx < endX; cx++) {
-                const bx = cx - x + localRadius;
-                const by = cy - y + localRadius;
-
-                if (bx >= 0 && bx < brushSizeLocal && by >= 0 && by < brushSizeLocal) {
-                    const brushIndex = by * brushSizeLocal + bx;
-                    const canvasIndex = cy * this.width + cx;
-                    // Apply brush influence scaled by configured intensity
-                    this.thermalData[canvasIndex] += brush.data[brushIndex] * this.brushIntensity;
-                }
-            }
+
+    toggleSettingsPanel(force) {
+        const panel = document.getElementById('settingsPanel');
+        const body = document.getElementById('settingsBody');
+        if (!panel || !body) return false;
+        const show = (typeof force === 'boolean') ? force : panel.style.display !== 'block';
+        if (show && !this._settingsBuilt) {
+            SettingsPanel.build(body, BrushConfig, { onChange: (path) => this.applySetting(path) });
+            this._settingsBuilt = true;
         }
+        panel.style.display = show ? 'block' : 'none';
+        const btn = document.getElementById('settingsBtn');
+        if (btn) btn.classList.toggle('active', show);
+        return show;
+    }
 
-        // Center dot: ensure we still use the exact x,y canvas index
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-            const centerIndex = y * this.width + x;
-            const centerScale = (brush.decayScale !== undefined) ? brush.decayScale : 1.0;
-            this.thermalData[centerIndex] += this.brushIntensity * this.centerMultiplier * centerScale;
+    // Apply a live BrushConfig edit: rebuild whatever SettingsPanel.actionsFor(path) names
+    applySetting(path) {
+        const actions = SettingsPanel.actionsFor(path);
+        if (actions.includes('brush')) {
+            // Queued GPU brushes were built with the old kernels
+            this.flushBrushBatch();
+            this.configureBrush();
+        }
+        if (actions.includes('gpu')) {
+            // The background shares the GPUCompute that reinitGPU disposes
+            if (window.bg && typeof window.bg.releaseGpu === 'function') window.bg.releaseGpu(this.gpuCompute);
+            this.reinitGPU();
+            this.logEvent(`[Settings] GPU re-initialised: ${this.useGPU ? `batch size ${this.maxBatchSize}` : 'CPU mode'}`);
+        }
+        if (actions.includes('contour') && window.bg && typeof window.bg._prepareContourConfig === 'function') {
+            window.bg._prepareContourConfig({ width: this.width, height: this.height });
+        }
+        if (actions.includes('colormap')) {
+            this.updateColormap();
         }
+        if (actions.includes('background') && window.bg && typeof window.bg.applyConfig === 'function') {
+            window.bg.applyConfig(path);
+        }
+        if (BrushConfig.debug?.enabled) console.log(`[Settings] ${path} = ${JSON.stringify(SettingsPanel.getPath(BrushConfig, path))}`, actions);
     }
-    
-    flushBrushBatch() {
-        if (!this.useGPU || !this.gpuCompute || this.brushBatch.length === 0) return;
 
-        try {
-            const chunkSize = this.gpuCompute.maxBrushBatchSize || this.maxBatchSize;
-            if (!this._gpuBrushScratch || this._gpuBrushScratch.length !== chunkSize) {
-                this._gpuBrushScratch = Array.from({ length: chunkSize }, () => ({ x: 0, y: 0, radius: 0, intensity: 0 }));
-            }
-            const scratch = this._gpuBrushScratch;
-
-            for (let start = 0; start < this.brushBatch.length; start += chunkSize) {
-                const end = Math.min(start + chunkSize, this.brushBatch.length);
-                let writeIdx = 0;
-                for (let i = start; i < end; i++) {
-                    const brush = this.brushBatch[i];
-                    const variantIdx = (typeof brush.variant === 'number') ? Math.max(0, Math.min(this.brushVariants.length - 1, brush.variant)) : 0;
-                    const variant = this.brushVariants[variantIdx] || this.brush;
-                    const radius = this.brushVariantRadii[variantIdx] || this.brushRadius;
-                    const decayScale = (variant && typeof variant.decayScale === 'number') ? variant.decayScale : 1.0;
-                    const entry = scratch[writeIdx];
-                    entry.x = Math.max(0, Math.min(this.width - 1, brush.x));
-                    entry.y = Math.max(0, Math.min(this.height - 1, brush.y));
-                    entry.radius = radius;
-                    entry.intensity = this.brushIntensity * decayScale;
-                    writeIdx++;
-                }
+    // Download the panel's changes from the loaded config as JSON (usable with batch-runner.js --config)
+    saveSettingsOverrides(filename = 'config_overrides.json') {
+        const diff = SettingsPanel.overrides(this._configDefaults, BrushConfig);
+        this.downloadText(filename, JSON.stringify(diff, null, 2), 'application/json');
+    }
 
-                const originalLength = scratch.length;
-                scratch.length = writeIdx;
-                if (writeIdx > 0) {
-                    this.gpuCompute.applyBrushBatch(scratch, { centerMultiplier: this.centerMultiplier });
-                }
-                scratch.length = originalLength;
-            }
-        } catch (error) {
-            console.warn('GPU batch flush failed, falling back to CPU:', error);
-            this.useGPU = false;
-            // Process remaining batch with CPU
-            for (const b of this.brushBatch) {
-                const vi = (typeof b.variant === 'number') ? Math.max(0, Math.min(this.brushVariants.length - 1, b.variant)) : 0;
-                const vb = this.brushVariants[vi] || this.brush;
-                this.applyBrushCPU(b.x, b.y, vb);
+    toggleProcessWindowPanel(force) {
+        const panel = document.getElementById('windowPanel');
+        if (!panel) return false;
+        const show = (typeof force === 'boolean') ? force : panel.style.display !== 'block';
+        panel.style.display = show ? 'block' : 'none';
+        if (show) this.drawProcessWindow();
+        return show;
+    }
+
+    // Run the configured intensity x speed grid on separate CPU simulations, one track per timer
+    // tick so painting continues meanwhile; calling it again while running cancels the run
+    runProcessWindow() {
+        if (this.processWindowRun) {
+            this.processWindowRun = null;
+            this.drawProcessWindow();
+            return null;
+        }
+        const run = new ProcessWindow.ProcessWindowRun(BrushConfig);
+        this.processWindowRun = run;
+        this.processWindowResult = run.result;
+        const started = performance.now();
+        const tick = () => {
+            if (this.processWindowRun !== run) return;
+            run.step();
+            this.processWindowResult = run.result;
+            if (run.done) {
+                this.processWindowRun = null;
+                this.logEvent(`[ProcessWindow] ${run.cells.length} tracks in ${((performance.now() - started) / 1000).toFixed(1)} s`);
+            } else {
+                setTimeout(tick, 0);
             }
+            this.drawProcessWindow();
+        };
+        setTimeout(tick, 0);
+        this.drawProcessWindow();
+        return run;
+    }
+
+    // Heatmap (speed to the right, intensity upwards) plus the per-track table
+    drawProcessWindow() {
+        const canvas = document.getElementById('windowChart');
+        const statusEl = document.getElementById('windowStatus');
+        const tableEl = document.getElementById('windowTable');
+        const runBtn = document.getElementById('windowRunBtn');
+        const running = this.processWindowRun;
+        if (runBtn) runBtn.textContent = running ? 'Cancel' : 'Run';
+        const result = this.processWindowResult || Object.assign({ cells: [] }, ProcessWindow.plan(BrushConfig));
+        const fmt = (v) => String(Number(v.toPrecision(3)));
+        if (canvas) {
+            const image = ProcessWindow.renderImage(result, { cellPx: BrushConfig.processWindow?.cellPx });
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        }
+        if (statusEl) {
+            const total = result.intensities.length * result.speeds.length;
+            const counts = {};
+            for (const c of result.cells) counts[c.class] = (counts[c.class] || 0) + 1;
+            const legend = ProcessWindow.CLASSES.map(k => `<span style="color: rgb(${ProcessWindow.COLORS[k]});">${k} ${counts[k] || 0}</span>`).join(' ');
+            statusEl.innerHTML = `${result.intensityLabel} ${fmt(result.intensities[0])}..${fmt(result.intensities[result.intensities.length - 1])} (up) x speed ${result.speeds[0]}..${result.speeds[result.speeds.length - 1]} mm/s (right)<br>` +
+                `${running ? 'Running' : 'Tracks'} ${result.cells.length}/${total}: ${legend}`;
+        }
+        if (tableEl) {
+            const rows = result.cells.map(c => `<tr style="color: rgb(${ProcessWindow.COLORS[c.class]});"><td>${fmt(c.intensity)}</td><td>${c.speedMmS.toFixed(0)}</td><td>${c.widthUm.toFixed(0)}</td><td>${(c.continuity * 100).toFixed(0)}%</td><td>${this.units.format(c.peakTemperature)}</td><td>${c.class}</td></tr>`).join('');
+            tableEl.innerHTML = rows ? `<table><tr><td>${result.intensityLabel}</td><td>mm/s</td><td>width um</td><td>cont.</td><td>peak</td><td>class</td></tr>${rows}</table>` : '';
         }
-        
-        this.brushBatch.length = 0;
     }
-    
-    // Optimized Gaussian blur with GPU/CPU hybrid approach
-    applyGaussianBlur() {
-        if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-            try {
-                this.gpuCompute.applyGaussianBlur(this.blurSigma);
-            } catch (error) {
-                console.warn('GPU blur failed, falling back to CPU:', error);
-                this.useGPU = false;
-                this.applyGaussianBlurCPU();
-            }
-        } else {
-            this.applyGaussianBlurCPU();
+
+    saveProcessWindowCSV(filename = 'process_window.csv') {
+        if (!this.processWindowResult || !this.processWindowResult.cells.length) {
+            console.warn('[ProcessWindow] Nothing to save; run the map first.');
+            return;
         }
+        this.downloadText(filename, ProcessWindow.toCSV(this.processWindowResult));
     }
-    
-    applyGaussianBlurCPU() {
-        if (!this.gaussianKernel) {
-            this.initializeGaussianKernel();
+
+    saveProcessWindowImage(filename = 'process_window.png') {
+        const canvas = document.getElementById('windowChart');
+        if (!canvas || !this.processWindowResult) return;
+        canvas.toBlob(blob => blob && this.downloadBlob(filename, blob), 'image/png');
+    }
+
+    // Measure the melt pool at the latest laser position processed since the last frame and append
+    // it to the current track. Idle frames and long jumps close the track.
+    updateMeltPool() {
+        const cfg = BrushConfig.meltPool || {};
+        if (cfg.enabled === false) return;
+        const opts = {
+            width: this.width,
+            height: this.height,
+            field: this.thermalData,
+            threshold: this.threshold,
+            time: this.simTime,
+            searchRadiusPx: cfg.searchRadiusPx,
+            newTrackGapPx: cfg.newTrackGapPx,
+            pixelSizeUm: BrushConfig.canvas.pixelSizeUm
+        };
+        // On the GPU only the search window around the newest position is read back, so the pool is
+        // measured on this frame's field without a full download
+        const last = this.brushPositions[this.brushPositions.length - 1];
+        if (last && this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+            const r = Math.max(1, Math.floor(cfg.searchRadiusPx ?? 100));
+            const x0 = Math.max(0, Math.floor(last.x) - r), x1 = Math.min(this.width - 1, Math.floor(last.x) + r);
+            const y0 = Math.max(0, Math.floor(last.y) - r), y1 = Math.min(this.height - 1, Math.floor(last.y) + r);
+            const field = (x0 <= x1 && y0 <= y1) ? this.gpuCompute.readThermalRegion(x0, y0, x1 - x0 + 1, y1 - y0 + 1) : null;
+            if (field) Object.assign(opts, { field, width: x1 - x0 + 1, height: y1 - y0 + 1, originX: x0, originY: y0 });
         }
-        
-        if (!this.tempBuffer) {
-            this.tempBuffer = new Float32Array(this.thermalData.length);
+        this.meltPool.observe(this.brushPositions, opts);
+    }
+
+    // Simulation step that will consume an input arriving now: the running step when called from
+    // inside step() (scan playback), otherwise the next one
+    _inputStep() {
+        return this.stepCounter + (this._inStep ? 0 : 1);
+    }
+
+    _recordInput(event) {
+        if (this.inputRecorder.recording) {
+            this.inputRecorder.record(event, performance.now(), this._inputStep());
         }
-        
-        const kernel = this.gaussianKernel;
-        const radius = this.gaussianRadius;
-        const temp = this.tempBuffer;
-        
-        // Horizontal pass - optimized with bounds checking outside inner loop
-        for (let y = 0; y < this.height; y++) {
-            const rowOffset = y * this.width;
-            
-            for (let x = 0; x < this.width; x++) {
-                let sum = 0;
-                const startX = Math.max(0, x - radius);
-                const endX = Math.min(this.width - 1, x + radius);
-                
-                // Use direct array access for better performance
-                for (let nx = startX; nx <= endX; nx++) {
-                    const weight = kernel[nx - x + radius];
-                    sum += this.thermalData[rowOffset + nx] * weight;
-                }
-                
-                temp[rowOffset + x] = sum;
-            }
+    }
+
+    startInputRecording() {
+        this.inputRecorder.start(performance.now(), this.stepCounter, {
+            created: new Date().toISOString(),
+            width: this.width,
+            height: this.height,
+            seed: this.rng.seed,
+            dt: this.dt,
+            stepsPerSecond: this.clock.stepsPerSecond,
+            lockstep: this.clock.lockstep,
+            layer: this.layerStack.total
+        });
+        this.updateInputButtons();
+    }
+
+    // Stop recording and (by default) download it as JSON; returns the recording
+    stopInputRecording(save = true) {
+        if (!this.inputRecorder.recording) return null;
+        const recording = this.inputRecorder.stop();
+        if (save) {
+            this.downloadText(`lpbf_input_${recording.meta.created.replace(/[:.]/g, '-')}.json`, JSON.stringify(recording), 'application/json');
         }
-        
-        // Vertical pass - optimized with pre-calculated offsets
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.height; y++) {
-                let sum = 0;
-                const startY = Math.max(0, y - radius);
-                const endY = Math.min(this.height - 1, y + radius);
-                
-                for (let ny = startY; ny <= endY; ny++) {
-                    const weight = kernel[ny - y + radius];
-                    sum += temp[ny * this.width + x] * weight;
-                }
-                
-                this.thermalData[y * this.width + x] = sum;
-            }
+        this.logEvent(`Recorded ${recording.events.length} input events over ${recording.duration.step} steps`);
+        this.updateInputButtons();
+        return recording;
+    }
+
+    toggleInputRecording() {
+        if (this.inputRecorder.recording) this.stopInputRecording();
+        else this.startInputRecording();
+    }
+
+    // Feed a recording back through the same entry points. timing 'step' reproduces the original
+    // step alignment exactly; 'time' follows the wall clock. speed > 1 replays faster
+    replayInput(recording, opts = {}) {
+        const cfg = BrushConfig.inputRecording || {};
+        this.inputReplay = new InputRecording.InputReplay(recording, {
+            timing: opts.timing ?? cfg.timing,
+            speed: opts.speed ?? cfg.replaySpeed,
+            dispatch: (event) => this._dispatchInput(event)
+        });
+        const meta = this.inputReplay.recording.meta || {};
+        if (meta.width && (meta.width !== this.width || meta.height !== this.height)) {
+            console.warn(`Input recorded on a ${meta.width}x${meta.height} canvas, replaying on ${this.width}x${this.height}`);
         }
+        this._replayLastTime = performance.now();
+        this.isDrawing = false;
+        this.updateInputButtons();
+        return this.inputReplay;
     }
-    
-    initializeGaussianKernel() {
-        const sigma = BrushConfig.thermal.blurSigma;
-        // Use configured multipliers when present, otherwise fall back to reasonable defaults
-        const sigmaMultiplier = (BrushConfig.thermal && typeof BrushConfig.thermal.sigmaMultiplier === 'number') ? BrushConfig.thermal.sigmaMultiplier : 2.5;
-        const maxGaussianRadius = (BrushConfig.thermal && typeof BrushConfig.thermal.maxGaussianRadius === 'number') ? BrushConfig.thermal.maxGaussianRadius : 30;
-        this.gaussianRadius = Math.min(Math.ceil(sigma * sigmaMultiplier), maxGaussianRadius);
-        const radius = this.gaussianRadius;
-        
-        this.gaussianKernel = new Float32Array(radius * 2 + 1);
-        const twoSigmaSquared = 2 * sigma * sigma;
-        let sum = 0;
-        
-        // Calculate kernel weights
-        for (let i = -radius; i <= radius; i++) {
-            const weight = Math.exp(-(i * i) / twoSigmaSquared);
-            this.gaussianKernel[i + radius] = weight;
-            sum += weight;
+
+    stopInputReplay() {
+        if (!this.inputReplay) return;
+        this.inputReplay = null;
+        this.stopDrawing();
+        this.updateInputButtons();
+    }
+
+    _advanceInputReplay(delta) {
+        if (this.inputReplay.advance(delta)) {
+            this.logEvent(`Input replay finished (${this.inputReplay.recording.events.length} events)`);
+            this.stopInputReplay();
         }
-        
-        // Normalize kernel to prevent brightness changes
-        for (let i = 0; i < this.gaussianKernel.length; i++) {
-            this.gaussianKernel[i] /= sum;
+    }
+
+    _dispatchInput(event) {
+        const e = { canvasPos: { x: event.x, y: event.y }, shiftKey: !!event.shiftKey, altKey: !!event.altKey };
+        switch (event.type) {
+            case 'start': this.startDrawing(e); break;
+            case 'move': this.draw(e); break;
+            case 'stop': this.stopDrawing(); break;
+            case 'enqueue': this.enqueuePosition(event, { allowRepeat: !!event.allowRepeat }); break;
         }
     }
-    
-    thermalColormap(value) {
-        // Clamp to 0-1
-        //value = Math.max(0, Math.min(1, value));
-        
-        // Thermal colormap: gray -> red -> orange -> white
-        if (value < BrushConfig.visual.colormap.firstTransition) {
-            const t = value / BrushConfig.visual.colormap.firstTransition;
-            return {
-                r: Math.floor(128 + (255 - 128) * t),
-                g: Math.floor(128 * (1 - t)),
-                b: Math.floor(128 * (1 - t))
-            };
-        } else if (value < BrushConfig.visual.colormap.secondTransition) {
-            const t = (value - BrushConfig.visual.colormap.firstTransition) / BrushConfig.visual.colormap.firstTransition;
-            return {
-                r: 255,
-                g: Math.floor(128 * t),
-                b: 0
-            };
-        } else {
-            const remainingRange = 1.0 - BrushConfig.visual.colormap.secondTransition;
-            const t = (value - BrushConfig.visual.colormap.secondTransition) / remainingRange;
-            return {
-                r: 255,
-                g: Math.floor(128 + 127 * t),
-                b: Math.floor(255 * t)
-            };
+
+    updateInputButtons() {
+        const recordBtn = document.getElementById('recordInputBtn');
+        if (recordBtn) {
+            recordBtn.textContent = this.inputRecorder.recording ? 'Stop Rec' : 'Record';
+            recordBtn.classList.toggle('active', this.inputRecorder.recording);
+        }
+        const replayBtn = document.getElementById('replayInputBtn');
+        if (replayBtn) {
+            replayBtn.textContent = this.inputReplay ? 'Stop Replay' : 'Replay';
+            replayBtn.classList.toggle('active', !!this.inputReplay);
         }
     }
-    
-    updatePersistentMask() {
-        this.updatePersistentMaskCPU();
+
+    toggleProfileTool(force) {
+        this.profileMode = (typeof force === 'boolean') ? force : !this.profileMode;
+        const btn = document.getElementById('profileBtn');
+        if (btn) btn.classList.toggle('active', this.profileMode);
+        if (!this.profileMode) {
+            this.profileLine = null;
+            const panel = document.getElementById('profilePanel');
+            if (panel) panel.style.display = 'none';
+        }
+        return this.profileMode;
     }
-    
-    updatePersistentMaskCPU() {
-        // CPU path - persistently track peak temperature per pixel
-        const thr = this.threshold;
-        const len = this.thermalData.length;
-        this.isThereMolten = false;
-        for (let i = 0; i < len; i++) {
-            const v = this.thermalData[i];
-            if (v > this.maxThresholded[i]) {
-                this.maxThresholded[i] = v;
+
+    drawProfileLine() {
+        const { start, end } = this.profileLine;
+        this.debugDrawLine(start, end, BrushConfig.lineProfile?.color ?? '#0ff', 1);
+    }
+
+    // Temperature, peak temperature and melt mask at the given pixels. On the GPU only their bounding
+    // box is read back, field and masks from the same step; the CPU arrays are used otherwise.
+    sampleProfileFields(indices) {
+        if (this.useGPU && this.gpuCompute && this.gpuCompute.supported && indices.length) {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const i of indices) {
+                const x = i % this.width, y = (i - x) / this.width;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
             }
-            if (v > thr) {
-                this.isThereMolten = true;
-                this.persistentMask[i] = 1;
+            const w = maxX - minX + 1, h = maxY - minY + 1;
+            const field = this.gpuCompute.readThermalRegion(minX, minY, w, h);
+            const masks = this.gpuCompute.readMaskRegion(minX, minY, w, h);
+            if (field && masks) {
+                const local = indices.map(i => {
+                    const x = i % this.width, y = (i - x) / this.width;
+                    return (y - minY) * w + (x - minX);
+                });
+                return {
+                    temps: LineProfile.pick(field, local),
+                    peaks: LineProfile.pick(masks.peak, local),
+                    melted: LineProfile.pick(masks.persistent, local)
+                };
+            }
+        }
+        return {
+            temps: LineProfile.pick(this.thermalData, indices),
+            peaks: LineProfile.pick(this.maxThresholded, indices),
+            melted: LineProfile.pick(this.persistentMask, indices)
+        };
+    }
 
-                if (v > this.maxMolten[i]) {
-                 this.maxMolten[i] = v;
-                }
+    // Sample temperature, peak temperature and melt mask along the profile line and redraw the chart
+    updateLineProfile() {
+        const line = this.profileLine;
+        const panel = document.getElementById('profilePanel');
+        const canvas = document.getElementById('profileChart');
+        const statsEl = document.getElementById('profileStats');
+        if (!line) return null;
+        if (panel) panel.style.display = 'flex';
+
+        const sampled = LineProfile.sampleLine(this.width, this.height, line.start, line.end);
+        const { temps, peaks, melted } = this.sampleProfileFields(sampled.indices);
+        const summary = LineProfile.stats(temps);
+        const meltedFraction = melted.reduce((a, v) => a + (v ? 1 : 0), 0) / Math.max(1, melted.length);
+        const profile = { offsets: sampled.offsets, temps, peaks, melted, stats: summary, meltedFraction };
+        this.lineProfileData = profile;
+
+        if (canvas) {
+            const ctx = canvas.getContext('2d');
+            const w = canvas.width, h = canvas.height;
+            const pad = { l: 6, r: 6, t: 6, b: 14 };
+            const plotW = w - pad.l - pad.r;
+            const plotH = h - pad.t - pad.b;
+            const n = temps.length;
+            const xOf = (i) => pad.l + plotW * (n > 1 ? i / (n - 1) : 0);
+            const yOf = (v) => pad.t + plotH * (1 - Math.max(0, Math.min(1, this.units.toNormalized(v))));
+            ctx.clearRect(0, 0, w, h);
+            ctx.strokeStyle = '#666';
+            ctx.strokeRect(pad.l, pad.t, plotW, plotH);
+
+            // Melted mask as a band along the bottom
+            ctx.fillStyle = 'rgba(255, 60, 60, 0.8)';
+            for (let i = 0; i < n; i++) {
+                if (melted[i]) ctx.fillRect(xOf(i) - plotW / n / 2, h - pad.b + 2, Math.max(1, plotW / n), 4);
             }
-            
-            if (v <= thr) {
-                this.maxMolten[i] = 0;
+
+            ctx.save();
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = '#f66';
+            ctx.beginPath();
+            ctx.moveTo(pad.l, yOf(this.threshold));
+            ctx.lineTo(w - pad.r, yOf(this.threshold));
+            ctx.stroke();
+            ctx.restore();
+
+            const plot = (values, color) => {
+                ctx.strokeStyle = color;
+                ctx.beginPath();
+                values.forEach((v, i) => (i === 0 ? ctx.moveTo(xOf(i), yOf(v)) : ctx.lineTo(xOf(i), yOf(v))));
+                ctx.stroke();
+            };
+            plot(peaks, '#fa4');
+            plot(temps, '#fff');
+        }
+
+        if (statsEl && summary) {
+            const f = (v) => this.units.format(v, this.units.isPhysical ? 0 : 3);
+            const um = BrushConfig.canvas.pixelSizeUm ?? 10;
+            statsEl.innerHTML = `
+                Length: ${(sampled.length * um).toFixed(0)} um<br>
+                Mean: ${f(summary.mean)}<br>
+                Min: ${f(summary.min)}<br>
+                Max: ${f(summary.max)}<br>
+                SD: ${f(summary.sd)}<br>
+                Melted: ${(meltedFraction * 100).toFixed(1)}%<br>
+                <span style="color: #fff;">&#9472; temp</span><br>
+                <span style="color: #fa4;">&#9472; peak</span><br>
+                <span style="color: #f66;">&#9632; melted</span>
+            `;
+        }
+        return profile;
+    }
+
+    toggleProbeAt(pos) {
+        const existing = this.probes.find(pos.x, pos.y);
+        if (existing) {
+            this.probes.remove(existing);
+        } else {
+            this.probes.add(pos.x, pos.y);
+        }
+        this.drawProbeChart();
+    }
+
+    drawProbeMarkers() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+        for (const p of this.probes.probes) {
+            ctx.strokeStyle = p.color;
+            ctx.beginPath();
+            ctx.moveTo(p.x - 5, p.y + 0.5);
+            ctx.lineTo(p.x + 6, p.y + 0.5);
+            ctx.moveTo(p.x + 0.5, p.y - 5);
+            ctx.lineTo(p.x + 0.5, p.y + 6);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Plot every probe trace against simulated time with the melt threshold as a dashed line
+    drawProbeChart() {
+        const panel = document.getElementById('probePanel');
+        const canvas = document.getElementById('probeChart');
+        const legend = document.getElementById('probeLegend');
+        const probes = this.probes.probes;
+        if (panel) panel.style.display = probes.length ? 'block' : 'none';
+        if (!canvas || !probes.length) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width, h = canvas.height;
+        const pad = { l: 42, r: 6, t: 6, b: 16 };
+        ctx.clearRect(0, 0, w, h);
+
+        let t0 = Infinity, t1 = -Infinity;
+        for (const p of probes) {
+            if (!p.times.length) continue;
+            t0 = Math.min(t0, p.times[0]);
+            t1 = Math.max(t1, p.times[p.times.length - 1]);
+        }
+        const vMin = this.units.ambient;
+        const vMax = this.units.ceiling;
+        const xOf = (t) => pad.l + (w - pad.l - pad.r) * ((t - t0) / Math.max(1e-12, t1 - t0));
+        const yOf = (v) => h - pad.b - (h - pad.t - pad.b) * ((v - vMin) / Math.max(1e-12, vMax - vMin));
+
+        ctx.strokeStyle = '#666';
+        ctx.strokeRect(pad.l, pad.t, w - pad.l - pad.r, h - pad.t - pad.b);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.fillText(this.units.format(vMax, this.units.isPhysical ? 0 : 2), 2, pad.t + 8);
+        ctx.fillText(this.units.format(vMin, this.units.isPhysical ? 0 : 2), 2, h - pad.b);
+        if (Number.isFinite(t0)) {
+            ctx.fillText(`${(t0 * 1000).toFixed(2)} ms`, pad.l, h - 3);
+            const end = `${(t1 * 1000).toFixed(2)} ms`;
+            ctx.fillText(end, w - pad.r - ctx.measureText(end).width, h - 3);
+        }
+
+        ctx.save();
+        ctx.setLineDash([4, 3]);
+        ctx.strokeStyle = '#f66';
+        ctx.beginPath();
+        ctx.moveTo(pad.l, yOf(this.threshold));
+        ctx.lineTo(w - pad.r, yOf(this.threshold));
+        ctx.stroke();
+        ctx.restore();
+
+        for (const p of probes) {
+            if (p.times.length < 2) continue;
+            // Decimate to roughly one point per chart pixel
+            const stride = Math.max(1, Math.floor(p.times.length / (w - pad.l - pad.r)));
+            ctx.strokeStyle = p.color;
+            ctx.beginPath();
+            for (let i = 0; i < p.times.length; i += stride) {
+                const x = xOf(p.times[i]);
+                const y = yOf(p.values[i]);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
             }
+            ctx.stroke();
+        }
 
+        if (legend) {
+            legend.innerHTML = probes.map(p => `<span style="color: ${p.color};">#${p.id} (${p.x},${p.y}) melts: ${p.meltCount}</span>`).join(' ');
+        }
+    }
 
+    saveProbesCSV(filename = 'probe_traces.csv') {
+        if (!this.probes.probes.length) {
+            console.warn('[Probes] No probes to save.');
+            return;
         }
+        this.flushProbes();
+        this.downloadText(filename, this.probes.toCSV(1000, 'time_ms'));
+        this.logEvent(`[Probes] Saved ${this.probes.probes.length} probe traces as ${filename}`);
     }
-    
-    applyThermalDecay() {
+
+    clearProbes() {
+        this.probes.clear();
+        this.drawProbeChart();
+    }
+
+    // Push the selected solidification map to the background overlay
+    updateMicrostructureOverlay() {
+        if (!this.solidification || !window.bg || typeof window.bg.updateMicrostructureOverlay !== 'function') return;
+        const cfg = BrushConfig.solidification || {};
+        const mode = this.microstructureMode;
+        const params = { width: this.width, height: this.height, mode, alpha: cfg.alpha };
+        if (mode === 'class') {
+            const result = this.solidification.classify(cfg, this._microClasses);
+            this._microClasses = result.classes;
+            this.microstructureCounts = result.counts;
+            params.classes = result.classes;
+        } else if (mode !== 'off') {
+            this._microValues = this.solidification.map(mode, this._microValues);
+            params.values = this._microValues;
+        }
+        window.bg.updateMicrostructureOverlay(params);
+    }
+
+    cycleMicrostructureOverlay() {
+        const modes = ['off', 'class', 'G', 'R', 'GR'];
+        this.microstructureMode = modes[(modes.indexOf(this.microstructureMode) + 1) % modes.length];
+        const btn = document.getElementById('microBtn');
+        if (btn) btn.textContent = `Microstructure: ${this.microstructureMode === 'GR' ? 'G\u00d7R' : this.microstructureMode}`;
+        this.updateMicrostructureOverlay();
+        return this.microstructureMode;
+    }
+
+    // Encode the full simulation state (fields, masks, queue, layer counters, background particles)
+    captureSnapshot() {
         if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+            // Pending brush work must land before the field is read back
+            this.flushBrushBatch();
             try {
-                this.gpuCompute.applyDecay(BrushConfig.thermal.decayRate);
+                this.syncFromGPU();
             } catch (error) {
-                console.warn('GPU decay failed, falling back to CPU:', error);
-                this.useGPU = false;
-                this.applyThermalDecayCPU();
+                console.warn('GPU snapshot sync failed, saving CPU copy:', error);
             }
-        } else {
-            this.applyThermalDecayCPU();
         }
+        const queue = new Int32Array(this.positionQueue.length * 2);
+        this.positionQueue.forEach((p, i) => { queue[i * 2] = p.x; queue[i * 2 + 1] = p.y; });
+        const particles = (window.bg && typeof window.bg.getParticleState === 'function') ? window.bg.getParticleState() : null;
+
+        return Snapshot.encode({
+            created: new Date().toISOString(),
+            width: this.width,
+            height: this.height,
+            layer: this.layerStack.total,
+            simTime: this.simTime,
+            stepCounter: this.stepCounter,
+            seed: this.rng.seed,
+            units: this.units.mode,
+            config: BrushConfig
+        }, {
+            thermalData: this.thermalData,
+            persistentMask: this.persistentMask,
+            maxThresholded: this.maxThresholded,
+            maxMolten: this.maxMolten,
+            positionQueue: queue,
+            fusedCount: this.layerStack.fusedCount,
+            particles
+        });
     }
-    
-    applyThermalDecayCPU() {
-        // CPU path
-        const decayRate = BrushConfig.thermal.decayRate;
-        for (let i = 0; i < this.thermalData.length; i++) {
-            this.thermalData[i] *= decayRate;
-        }
+
+    saveSnapshot(filename = `lpbf_layer${this.layerStack.total}_step${this.stepCounter}.lpbf`) {
+        const buffer = this.captureSnapshot();
+        this.downloadBlob(filename, new Blob([buffer], { type: 'application/octet-stream' }));
+        this.logEvent(`Saved snapshot ${filename} (${(buffer.byteLength / 1024).toFixed(0)} KiB)`);
     }
-    
-    render() {
-        // Sync GPU data to CPU for rendering, throttled by config to avoid stalling
+
+    // Restore a snapshot produced by captureSnapshot; the GPU field is re-uploaded from the CPU copy
+    restoreSnapshot(buffer) {
+        const { header, arrays } = Snapshot.decode(buffer);
+        if (header.width !== this.width || header.height !== this.height) {
+            throw new Error(`Snapshot is ${header.width}x${header.height}, canvas is ${this.width}x${this.height}`);
+        }
+        if (header.units && header.units !== this.units.mode) {
+            throw new Error(`Snapshot uses '${header.units}' units, simulator uses '${this.units.mode}'`);
+        }
+        // Kernels and timestep are built from the running config, so differences are reported rather than applied
+        const differing = Object.keys(header.config || {}).filter(k => JSON.stringify(header.config[k]) !== JSON.stringify(BrushConfig[k]));
+        if (differing.length) {
+            console.warn(`Snapshot config differs in: ${differing.join(', ')}; resuming with the current config`);
+        }
+
+        const n = this.width * this.height;
+        const restore = (target, source) => {
+            if (source && source.length === target.length) target.set(source);
+            else target.fill(0);
+        };
+        if (!arrays.thermalData || arrays.thermalData.length !== n) throw new Error('Snapshot has no thermal field');
+        this.thermalData.set(arrays.thermalData);
+        restore(this.persistentMask, arrays.persistentMask);
+        restore(this.maxThresholded, arrays.maxThresholded);
+        restore(this.maxMolten, arrays.maxMolten);
+        this._moltenRect = { minX: 0, minY: 0, maxX: this.width - 1, maxY: this.height - 1 };
+        this.aboveThreshold.fill(0);
+        this._fieldStats = null;
+
+        this.positionQueue.length = 0;
+        const queue = arrays.positionQueue;
+        if (queue) {
+            for (let i = 0; i + 1 < queue.length; i += 2) this.positionQueue.push({ x: queue[i], y: queue[i + 1] });
+        }
+        this.scanPlayer = null;
+
+        // Layer history is not stored; the counter and fused-in-every-layer counts are
+        this.layerStack.reset();
+        this.layerStack.total = header.layer ?? 0;
+        restore(this.layerStack.fusedCount, arrays.fusedCount);
+        this.layerView = null;
+        this.simTime = header.simTime ?? 0;
+        this.stepCounter = header.stepCounter ?? 0;
+        this.clock.reset();
+        if (this.solidification) this.solidification.reset();
+        this.defectReport = null;
+
+        if (arrays.particles && window.bg && typeof window.bg.setParticleState === 'function') {
+            window.bg.setParticleState(arrays.particles);
+        }
+
         if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-            const syncEvery = Math.max(1, BrushConfig.performance?.gpuSyncInterval || 1);
-            const syncMasksEvery = Math.max(syncEvery, BrushConfig.performance?.gpuMaskSyncInterval || (syncEvery * 3));
             try {
-                // Always keep thermal reasonably fresh
-                if ((this.frameCounter % syncEvery) === 0) {
-                    const thermal = this.gpuCompute.downloadThermalData();
-                    if (thermal && thermal.length === this.thermalData.length) {
-                        // Check if data is valid (not NaN or infinite)
-                        let valid = true;
-                        for (let i = 0; i < thermal.length; i += 100) { // Sample check
-                            if (!Number.isFinite(thermal[i])) {
-                                valid = false;
-                                break;
-                            }
-                        }
-                        if (valid) {
-                            this.thermalData.set(thermal);
-                        } else {
-                            console.warn('GPU thermal data contains invalid values, falling back to CPU');
-                            this.useGPU = false;
-                        }
-                    } else {
-                        console.warn('GPU thermal download failed or size mismatch, falling back to CPU');
-                        this.useGPU = false;
-                    }
-                }
-                // Persistent mask is pulled less often; max tracking handled on CPU
-                if ((this.frameCounter % syncMasksEvery) === 0) {
-                    const persistent = this.gpuCompute.downloadPersistentData();
-                    if (persistent && persistent.length === this.persistentMask.length) {
-                        this.persistentMask.set(persistent);
-                    }
-                }
+                this.brushBatch.length = 0;
+                this.gpuCompute.clear(this.units.ambient);
+                this.gpuCompute.uploadThermalData(this.thermalData);
+                this.gpuCompute.uploadMaskData({ persistent: this.persistentMask, peak: this.maxThresholded, molten: this.maxMolten });
+                this._masksStale = false;
             } catch (error) {
-                console.warn('GPU render sync failed, using current CPU data:', error);
+                console.warn('GPU snapshot upload failed, continuing on CPU:', error);
                 this.useGPU = false;
             }
         }
-        
+
+        this.isThereMolten = this.maxMolten.some(v => v > 0);
+        this.updateLayerControls();
+        this.logEvent(`Restored snapshot from ${header.created || 'unknown time'}: layer ${this.layerStack.total}, ${(this.simTime * 1000).toFixed(2)} ms`);
+        return header;
+    }
+
+    // Recoat (see ThermalSimulation.recoatLayer), then reset the per-layer views
+    recoatLayer() {
+        const layer = super.recoatLayer();
+        this.layerView = null;
+        this.defectReport = null;
+        this.updateMicrostructureOverlay();
+        this.updateLayerControls();
+        return layer;
+    }
+
+    // Fill a region (canvas pixels; default the background's build square) with the configured
+    // scan strategy for the next layer and start playing it
+    startScanStrategy(regionPx = null, overrides = {}) {
+        const cfg = Object.assign({}, BrushConfig.scanStrategy, overrides);
+        const mmPerPx = BrushConfig.canvas.pixelSizeUm / 1000;
+        const rect = regionPx
+            || (window.bg && typeof window.bg.getSquareOverlayRect === 'function' ? window.bg.getSquareOverlayRect() : null)
+            || { x: 0, y: 0, width: this.width, height: this.height };
+        // Hatch rotation follows the build layer being scanned
+        const layer = this.layerStack.total;
+        const path = ScanStrategy.generate({
+            x: rect.x * mmPerPx,
+            y: rect.y * mmPerPx,
+            width: rect.width * mmPerPx,
+            height: rect.height * mmPerPx
+        }, {
+            pattern: cfg.pattern,
+            hatchSpacingMm: (cfg.hatchSpacingUm ?? BrushConfig.laser?.hatchSpacingUm ?? 100) / 1000,
+            angleDeg: cfg.angleDeg,
+            layerRotationDeg: cfg.layerRotationDeg,
+            stripeWidthMm: (cfg.stripeWidthUm ?? 1000) / 1000,
+            islandSizeMm: (cfg.islandSizeUm ?? 1000) / 1000,
+            contour: cfg.contour,
+            speedMmS: cfg.speedMmS,
+            contourSpeedMmS: cfg.contourSpeedMmS
+        }, layer);
+        this.logEvent(`Scan strategy ${path.format}, layer ${layer} at ${ScanStrategy.layerAngle(cfg, layer).toFixed(0)} deg: ${path.moves.length} moves`);
+        return this.playScanPath(path, { placement: 'origin', flipY: false });
+    }
+
+    getEventPos(e) {
+        // Replayed input already carries canvas coordinates
+        if (e.canvasPos) return { x: e.canvasPos.x, y: e.canvasPos.y };
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.floor((e.clientX - rect.left) * (this.width / rect.width)),
+            y: Math.floor((e.clientY - rect.top) * (this.height / rect.height))
+        };
+    }
+    
+    startDrawing(e) {
+        const pos = this.getEventPos(e);
+        this._recordInput({ type: 'start', x: pos.x, y: pos.y, shiftKey: !!e.shiftKey, altKey: !!e.altKey });
+        // Shift-click places a probe, or removes the one under the cursor
+        if (e.shiftKey) {
+            this.toggleProbeAt(pos);
+            return;
+        }
+        // Profile mode (or Alt-drag) draws the line-profile cross-section
+        if (this.profileMode || e.altKey) {
+            this._profileDrag = true;
+            this.profileLine = { start: pos, end: pos };
+            return;
+        }
+        this.isDrawing = true;
+        this.lastPos = pos;
+        this._laserCarry = 0;
+        this.positionQueue.push(pos);
+        if (BrushConfig.debug?.logInputPositions) {
+            console.log('[Input] startDrawing: added', pos);
+        }
+    }
+    
+    draw(e) {
+        if (!this._profileDrag && !this.isDrawing) return;
+        const pos = this.getEventPos(e);
+        this._recordInput({ type: 'move', x: pos.x, y: pos.y });
+        // The profile is resampled every lineProfile.refreshInterval frames and once on release
+        if (this._profileDrag) {
+            this.profileLine.end = pos;
+            return;
+        }
+        this.addLinePositions(this.lastPos, pos);
+        if (BrushConfig.debug?.logInputPositions) {
+            console.log('[Input] draw: from', this.lastPos, 'to', pos);
+        }
+        this.lastPos = pos;
+    }
+    
+    stopDrawing() {
+        if (this.isDrawing || this._profileDrag) this._recordInput({ type: 'stop' });
+        const profileDone = this._profileDrag;
+        this.isDrawing = false;
+        this._profileDrag = false;
+        if (profileDone) this.updateLineProfile();
+    }
+
+    // Enqueued positions are part of the recorded input stream
+    enqueuePosition(pos, options = {}) {
+        if (pos && typeof pos.x === 'number' && typeof pos.y === 'number') {
+            this._recordInput({ type: 'enqueue', x: pos.x, y: pos.y, allowRepeat: !!options.allowRepeat });
+        }
+        super.enqueuePosition(pos, options);
+    }
+
+    // Bake BrushConfig.visual.colormap into the RGBA lookup table used by render()
+    updateColormap() {
+        const cfg = BrushConfig.visual?.colormap || {};
+        this.colormapLUT = Colormaps.buildLUT(Colormaps.resolveStops(cfg), cfg.lutSize ?? 256);
+    }
+
+    // Legend for the thermal overlay, vertically centred on the right edge
+    drawColorbar() {
+        const cfg = BrushConfig.visual?.colormap?.colorbar || {};
+        const height = Math.min(cfg.height ?? 160, this.height - 40);
+        const width = cfg.width ?? 12;
+        if (height < 20) return;
+        Colormaps.drawColorbar(this.ctx, this.colormapLUT, {
+            x: this.width - width - (cfg.marginRight ?? 16),
+            y: Math.round((this.height - height) / 2),
+            width,
+            height,
+            units: this.units,
+            ticks: cfg.ticks,
+            threshold: this.units.threshold
+        });
+    }
+
+    // Whether anything reads the CPU copy of the field between renders (with GPU rendering the
+    // download is skipped otherwise): the solidification recorder while its overlay is shown and the
+    // downloaded copy or the field is molten, so the copy after the pool has cooled shows the crossings.
+    // Masks are tracked on the GPU and fetched separately (syncMasksFromGPU); the melt pool and the
+    // line profile read what they need themselves (updateMeltPool, updateLineProfile).
+    needsCPUField() {
+        if (!this.solidification || this.microstructureMode === 'off') return false;
+        return this.isThereMolten || this._moltenAtSync;
+    }
+
+    // Live field drawn by GPUCompute.renderThermal and composited onto the 2D canvas; false when the
+    // GPU draw is unavailable so the caller falls back to the CPU loop
+    drawFieldGPU(opaque, alphaScale) {
+        try {
+            const drawn = this.gpuCompute.renderThermal({
+                lut: this.colormapLUT,
+                ambient: this.units.ambient,
+                span: this.units.span,
+                opaque,
+                alphaScale
+            });
+            if (!drawn) return false;
+            this.ctx.clearRect(0, 0, this.width, this.height);
+            this.ctx.drawImage(this.gpuCompute.canvas, 0, 0);
+            return true;
+        } catch (e) {
+            console.warn('GPU field render failed; falling back to CPU draw:', e);
+            this._gpuRenderFailed = true;
+            // The CPU draw needs a current copy of the field
+            this.downloadGPUField({ wait: true });
+            return false;
+        }
+    }
+
+    // CPU colormap of thermalData (or the stored layer being browsed) through the lookup table
+    drawFieldCPU(opaque, alphaScale) {
         const imageData = this.ctx.createImageData(this.width, this.height);
         const data = imageData.data;
-        
-        const overlayCfg = BrushConfig.visual?.overlay || { alphaMode: 'temperature', alphaScale: 1.0 };
-        const mode = overlayCfg.alphaMode;
-        const alphaScale = Math.max(0, Math.min(1, overlayCfg.alphaScale ?? 1.0));
 
-        // Apply thermal colormap (vectorized for better performance)
         const len = this.thermalData.length;
+        const units = this.units;
+        const lut = this.colormapLUT;
+        const lutMax = lut.length / 4 - 1;
         for (let i = 0; i < len; i++) {
-            const raw = this.thermalData[i];
-            const color = this.thermalColormap(raw);
+            const raw = units.toNormalized(this.thermalData[i]);
+            const t = raw > 0 ? (raw < 1 ? raw : 1) : 0;
+            const o = Math.round(t * lutMax) * 4;
             const pixelIndex = i * 4;
 
-            data[pixelIndex] = color.r;
-            data[pixelIndex + 1] = color.g;
-            data[pixelIndex + 2] = color.b;
-
-            let a;
-            if (mode === 'opaque') {
-                a = 255;
-            } else {
-                const t = Math.max(0, Math.min(1, raw));
-                a = Math.floor(255 * t * alphaScale);
-            }
-            data[pixelIndex + 3] = a;
+            data[pixelIndex] = lut[o];
+            data[pixelIndex + 1] = lut[o + 1];
+            data[pixelIndex + 2] = lut[o + 2];
+            data[pixelIndex + 3] = opaque ? 255 : Math.floor(255 * t * alphaScale);
         }
         
+        // Browsing a stored layer replaces the live field
+        if (this.layerView !== null) {
+            this.paintLayerView(data);
+        }
+
         this.ctx.putImageData(imageData, 0, 0);
+    }
+
+    render() {
+        const overlayCfg = BrushConfig.visual?.overlay || { alphaMode: 'temperature', alphaScale: 1.0 };
+        const opaque = overlayCfg.alphaMode === 'opaque';
+        const alphaScale = Math.max(0, Math.min(1, overlayCfg.alphaScale ?? 1.0));
+        const onGPU = () => this.useGPU && this.gpuCompute && this.gpuCompute.supported;
+        // The live field is drawn on the GPU unless disabled, failed before, or a stored layer is shown
+        const gpuDraw = () => onGPU() && BrushConfig.performance?.gpuRender !== false && !this._gpuRenderFailed && this.layerView === null;
+
+        // Sync GPU data to CPU, throttled by config to avoid stalling: for the CPU draw, or for analytics
+        if (onGPU()) {
+            const syncEvery = Math.max(1, BrushConfig.performance?.gpuSyncInterval || 1);
+            if ((this.frameCounter % syncEvery) === 0 && (!gpuDraw() || this.needsCPUField())) {
+                this.downloadGPUField();
+            }
+        }
+
+        if (!(gpuDraw() && this.drawFieldGPU(opaque, alphaScale))) {
+            this.drawFieldCPU(opaque, alphaScale);
+        }
+
+        if (this.microstructureMode !== 'off') {
+            const every = Math.max(1, BrushConfig.solidification?.refreshInterval ?? 15);
+            if ((this.frameCounter % every) === 0) this.updateMicrostructureOverlay();
+        }
+
+        if (this.defectOverlay) {
+            const every = Math.max(1, BrushConfig.defects?.refreshInterval ?? 30);
+            if (!this.defectReport || (this.frameCounter % every) === 0) this.runDefectAnalysis();
+            this.drawDefectOverlay();
+        }
         
-        // Draw contours in background overlay
+        // Draw contours in background overlay; on the GPU only the molten peaks around the pool are
+        // downloaded for it, every gpuMaskSyncInterval frames
         if (window.bg && typeof window.bg.updateContourOverlay === 'function'&& this.isThereMolten) {
-            window.bg.updateContourOverlay({
-                width: this.width,
-                height: this.height,
-                molten_pixels: this.maxMolten,
-         });
+            const every = this.useGPU ? Math.max(1, BrushConfig.performance?.gpuMaskSyncInterval || 1) : 1;
+            if ((this.frameCounter % every) === 0) {
+                this.syncMoltenFromGPU();
+                window.bg.updateContourOverlay({
+                    width: this.width,
+                    height: this.height,
+                    molten_pixels: this.getNormalizedMolten(),
+             });
+            }
         }
         
+        // Melt pool geometry around this frame's laser positions
+        this.updateMeltPool();
+
+        if (this.profileLine) {
+            this.drawProfileLine();
+            const every = Math.max(1, BrushConfig.lineProfile?.refreshInterval ?? 5);
+            if ((this.frameCounter % every) === 0) this.updateLineProfile();
+        }
+
+        // GPU probe samples of this frame's steps, read back together
+        this.flushProbes();
+        if (this.probes.probes.length) {
+            this.drawProbeMarkers();
+            const every = Math.max(1, BrushConfig.probes?.chartInterval ?? 10);
+            if ((this.frameCounter % every) === 0) this.drawProbeChart();
+        }
+
+        if (BrushConfig.visual?.colormap?.colorbar?.enabled !== false) this.drawColorbar();
+
         // Draw laser positions
         this.drawLaserPositions();
         
@@ -951,17 +1407,17 @@ class ThermalBrush {
         const maxParticles = particleCfg.maxParticles ?? 100;
         for (const pos of this.brushPositions) {
             const baseNum = Math.floor(numPerPosition);
-            const extra = Math.random() < (numPerPosition - baseNum) ? 1 : 0;
+            const extra = this.rng.next() < (numPerPosition - baseNum) ? 1 : 0;
             const numParticles = Math.max(1, baseNum + extra);
             for (let i = 0; i < numParticles; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const velocity = velMin + Math.random() * (velMax - velMin);
+                const angle = this.rng.next() * Math.PI * 2;
+                const velocity = this.rng.range(velMin, velMax);
                 this.particles.push({
                     x: pos.x,
                     y: pos.y,
                     vx: Math.cos(angle) * velocity,
                     vy: Math.sin(angle) * velocity,
-                    color: colors[Math.floor(Math.random() * colors.length)],
+                    color: this.rng.pick(colors),
                     alpha: startAlpha
                 });
             }
@@ -978,37 +1434,87 @@ class ThermalBrush {
         }
     }
     
+    // The contour overlay expects normalized molten peaks; convert when the field is in Kelvin
+    getNormalizedMolten() {
+        if (!this.units.isPhysical) return this.maxMolten;
+        if (!this._normalizedMolten || this._normalizedMolten.length !== this.maxMolten.length) {
+            this._normalizedMolten = new Float32Array(this.maxMolten.length);
+        }
+        const out = this._normalizedMolten;
+        for (let i = 0; i < out.length; i++) {
+            const v = this.maxMolten[i];
+            out[i] = v > 0 ? this.units.toNormalized(v) : 0;
+        }
+        return out;
+    }
+
+    // Debug panel lines for the current melt pool track (um, um^2)
+    describeMeltPool() {
+        const last = this.meltPool.last;
+        const stats = this.meltPool.summary();
+        if (!last || !stats) return '';
+        const fmt = (key, digits = 0) => `${last[key].toFixed(digits)} (${stats[key].mean.toFixed(digits)} &plusmn; ${stats[key].sd.toFixed(digits)})`;
+        return `
+            Melt Pool (track ${stats.id}, ${stats.samples} samples):<br>
+            &nbsp;Width: ${fmt('width')} um<br>
+            &nbsp;Length: ${fmt('length')} um<br>
+            &nbsp;Trailing: ${fmt('trailing')} um<br>
+            &nbsp;Area: ${(last.area / 1e6).toFixed(4)} (${(stats.area.mean / 1e6).toFixed(4)}) mm&sup2;<br>
+        `;
+    }
+
+    // Debug panel lines for the solidification overlay
+    describeMicrostructure() {
+        if (!this.solidification || this.microstructureMode === 'off') return '';
+        const mode = this.microstructureMode;
+        if (mode === 'class') {
+            const c = this.microstructureCounts;
+            const total = c ? c.columnar + c.mixed + c.equiaxed : 0;
+            if (!total) return 'Microstructure: no solidified pixels<br>';
+            const pct = (n) => `${(100 * n / total).toFixed(0)}%`;
+            return `Microstructure: <span style="color: #7af;">columnar ${pct(c.columnar)}</span>, ` +
+                `<span style="color: #c6e;">mixed ${pct(c.mixed)}</span>, <span style="color: #fb4;">equiaxed ${pct(c.equiaxed)}</span><br>`;
+        }
+        const range = window.bg?._microRange;
+        const unit = { G: 'K/m', R: 'm/s', GR: 'K/s' }[mode];
+        return range ? `${mode === 'GR' ? 'G&times;R' : mode}: ${range.min.toExponential(2)} .. ${range.max.toExponential(2)} ${unit}<br>` : '';
+    }
+
     // drawContours removed; contours are rendered by the background overlay
     
     updateDebugInfo() {
         const debug = document.getElementById('debug');
         if (!debug) return;
         
-        // Cheaper debug computations: sample arrays instead of full scans
-        const step = Math.max(1, BrushConfig.performance?.debugSampleStep || 1);
-        let aboveThreshold = 0;
-        let persistentArea = 0;
-        let maxTemp = 0;
-        for (let i = 0; i < this.thermalData.length; i += step) {
-            const v = this.thermalData[i];
-            if (v >= this.threshold) aboveThreshold++;
-            if (v > maxTemp) maxTemp = v;
-            if (this.persistentMask[i]) persistentArea++;
-        }
+        // Field statistics are reduced on the GPU when it holds the field (no download)
+        const stats = this.fieldStats();
+        const box = stats.bounds;
         const frameTime = this.performanceStats?.frameTime || 0;
         const fps = this.performanceStats?.fps || 0;
         
         const gpuParticles = (window.bg && window.bg._gpuParticlesEnabled) ? 'On' : 'Off';
         const particleCount = (window.bg && Array.isArray(window.bg.topLayerCircles)) ? window.bg.topLayerCircles.length : 0;
         debug.innerHTML = `
-            <div style="color: ${this.useGPU ? '#4f4' : '#ff4'}; font-weight: bold;">GPU: ${this.useGPU ? 'Accelerated' : 'CPU Mode'}</div>
+            <div style="color: ${this.useGPU ? '#4f4' : '#ff4'}; font-weight: bold;">GPU: ${this.useGPU ? `Accelerated (${this.gpuCompute.fieldFormat.name})` : 'CPU Mode'}</div>
             <div style="color: #4ff; font-weight: bold;">FPS: ${fps}</div>
             GPU Particles: ${gpuParticles} (${particleCount})<br>
             Queue: ${this.positionQueue.length}<br>
-            Threshold: ${this.threshold.toFixed(2)}<br>
-            Above Threshold: ${aboveThreshold}<br>
-            Persistent Area: ${persistentArea}<br>
-            Max Temp: ${maxTemp.toFixed(3)}<br>
+            Sim Time: ${(this.simTime * 1000).toFixed(2)} ms (${this.stepCounter} steps)<br>
+            Seed: ${this.rng.seed}${this.clock.lockstep ? ' (lockstep)' : ''}<br>
+            Layer: ${this.layerStack.total}<br>
+            ${this.inputRecorder.recording ? `Recording: ${this.inputRecorder.events.length} events<br>` : ''}
+            ${this.inputReplay ? `Replay: ${(this.inputReplay.progress * 100).toFixed(0)}% (x${this.inputReplay.speed})<br>` : ''}
+            ${this.describeMeltPool()}
+            ${this.describeMicrostructure()}
+            ${this.laser ? `Laser: ${this.laser.describe()}<br>` : ''}
+            ${this.scanPlayer ? `Scan Path: ${this.scanPlayer.path.name || this.scanPlayer.path.format} ${(this.scanPlayer.progress * 100).toFixed(0)}%<br>` : ''}
+            Threshold: ${this.units.format(this.threshold, this.units.isPhysical ? 0 : 2)}<br>
+            ${this.units.isPhysical ? `Solidus/Liquidus: ${this.units.solidus.toFixed(0)} / ${this.units.liquidus.toFixed(0)} K<br>` : ''}
+            Above Threshold: ${stats.above}<br>
+            ${box ? `Molten Box: ${box.maxX - box.minX + 1} x ${box.maxY - box.minY + 1} px<br>` : ''}
+            Persistent Area: ${stats.persistent}<br>
+            Max Temp: ${this.units.format(stats.max)}<br>
+            Mean Temp: ${this.units.format(stats.mean)}<br>
             Frame Time: ${frameTime.toFixed(1)}ms
         `;
 
@@ -1038,76 +1544,51 @@ class ThermalBrush {
         this.ctx.restore();
     }
 
+    // Step-timed input replay dispatches the events recorded for this step first
+    onStepStart() {
+        if (this.inputReplay && this.inputReplay.timing === 'step') {
+            this._advanceInputReplay(1);
+        }
+    }
 
+    // Deposited positions drive spatter particles, the melt pool tracker and the background push
+    onBrushPosition(pos) {
+        this.brushPositions.push(pos);
+        if (window.bg && typeof window.bg.onBrushPosition === 'function') {
+            window.bg.onBrushPosition(pos);
+        }
+    }
 
-    animate() {
+    animate(timestamp) {
         // Performance timing
         const frameStart = performance.now();
         
         // If paused (during freeze & wipe), skip all updates but keep the RAF loop alive
         if (this._paused) {
-            requestAnimationFrame(() => this.animate());
+            this.clock.reset();
+            requestAnimationFrame((t) => this.animate(t));
             return;
         }
 
-        this.frameCounter++;
-        
-        // Process queue
-        let processed = 0;
-        while (this.positionQueue.length > 0 && processed < this.maxPositionsPerFrame) {
-            const pos = this.positionQueue.shift();
-            // Select variant based on processed index (clamped)
-            const variantIndex = Math.min(processed, this.brushVariants.length - 1);
-            const variantBrush = this.brushVariants[variantIndex] || this.brush;
-
-            if (BrushConfig.debug?.logInputPositions) {
-                console.log('[Process] animate: processing', pos, 'with variant', variantIndex);
-            }
-
-            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-                // Include variant index so GPU flush can decide behavior if desired
-                this.brushBatch.push({ x: pos.x, y: pos.y, variant: variantIndex });
-                if (this.brushBatch.length >= this.maxBatchSize) this.flushBrushBatch();
-            } else {
-                // CPU path: apply using the precomputed variant
-                this.applyBrushCPU(pos.x, pos.y, variantBrush);
-            }
-
-            this.brushPositions.push(pos);
-
-            if (window.bg && typeof window.bg.onBrushPosition === 'function') {
-                window.bg.onBrushPosition(pos);
-            }
-
-            processed++;
-        }
-        
-        // Flush any remaining brush batch for GPU
-        if (this.useGPU) {
-            this.flushBrushBatch();
+        // Wall-clock input replay runs ahead of this frame's steps
+        if (this.inputReplay && this.inputReplay.timing === 'time') {
+            this._advanceInputReplay(frameStart - this._replayLastTime);
+            this._replayLastTime = frameStart;
         }
 
-        // Always apply the configured full-frame decay once per frame (now handled centrally in animate)
-        if (this._configuredDecay && this._configuredDecay !== 1.0) {
-            this.applyThermalDecay();
+        // Run however many fixed steps are due for the elapsed wall-clock time (may be zero)
+        const steps = this.clock.advance(typeof timestamp === 'number' ? timestamp : frameStart);
+        for (let i = 0; i < steps; i++) {
+            this.step();
         }
-        
-        // Apply blur every few frames
-        if (this.frameCounter % BrushConfig.thermal.blurInterval === 0) {
-            this.applyGaussianBlur();
-        }
-        
-        // Update persistent mask
-        this.updatePersistentMask();
-        
-        // Clamp thermal data to 0-1 to prevent overflow
-        for (let i = 0; i < this.thermalData.length; i++) {
-            this.thermalData[i] = Math.max(0, Math.min(1, this.thermalData[i]));
+        this.performanceStats.stepsLastFrame = steps;
+
+        // Render only when the field changed
+        if (steps > 0) {
+            this.frameCounter++;
+            this.render();
         }
         
-        // Render
-        this.render();
-        
         // Update performance stats
         const frameEnd = performance.now();
         this.performanceStats.frameTime = frameEnd - frameStart;
@@ -1145,28 +1626,18 @@ class ThermalBrush {
             this.performanceStats.lastFpsTime = now;
         }
         
-        requestAnimationFrame(() => this.animate());
+        requestAnimationFrame((t) => this.animate(t));
     }
 }
 
 // Start the app
 window.thermalBrush = new ThermalBrush();
 
-// Freeze current frame, overlay it, recreate background, then wipe overlay left-to-right
+// Freeze current frame, overlay it, recoat (store the layer, keep residual heat), recreate background, then wipe overlay left-to-right
 ThermalBrush.prototype.freezeFrameAndWipe = function() {
     if (this._freezing) return;
     this._freezing = true;
 
-    // Sync GPU data before clearing
-    if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-        try {
-            this.syncFromGPU();
-        } catch (error) {
-            console.warn('GPU freeze sync failed:', error);
-            this.useGPU = false;
-        }
-    }
-
     // 1) Capture current composite view: draw bgCanvas + main canvas into overlay
     const bgCanvas = document.getElementById('bgCanvas');
     this.overlayCtx.clearRect(0, 0, this.width, this.height);
@@ -1181,27 +1652,13 @@ ThermalBrush.prototype.freezeFrameAndWipe = function() {
         window.bg.stop();
     }
 
-    // 2b) Reset all simulation arrays/state to zero so the new layer starts clean
-    if (this.tempBuffer) this.tempBuffer.fill(0);
-    if (this.thermalData) this.thermalData.fill(0);
-    if (this.persistentMask) this.persistentMask.fill(0);
-    if (this.maxThresholded) this.maxThresholded.fill(0);
-    if (this.aboveThreshold) this.aboveThreshold.fill(0);
+    // 2b) Recoat: store the finished layer in the layer stack and start the next one with residual heat
     this.positionQueue.length = 0;
+    this.scanPlayer = null;
     this.lastPos = null;
     this.prevSmooth = null;
     this.isDrawing = false;
-    
-    // Clear GPU data as well
-    if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
-        try {
-            this.gpuCompute.clear();
-            this.brushBatch.length = 0;
-        } catch (error) {
-            console.warn('GPU clear failed:', error);
-            this.useGPU = false;
-        }
-    }
+    this.recoatLayer();
     
     // Clear the foreground canvas so no old frame remains under the overlay
     this.ctx.clearRect(0, 0, this.width, this.height);
@@ -0,0 +1,184 @@
+// Melt pool geometry around the laser: the connected region above threshold that contains (or
+// touches) the beam position, measured along and across the scan direction. MeltPoolTracker keeps
+// a time series of those measurements per track (one continuous laser-on stroke).
+(function(){
+    // opts: { width, height, field, threshold, x, y, dirX, dirY, searchRadius }
+    // Returns { area, length, width, leading, trailing } in pixels, or null when nothing is molten
+    function measure(opts) {
+        const { width, height, field, threshold } = opts;
+        const r = Math.max(1, Math.floor(opts.searchRadius ?? 100));
+        const cx = Math.floor(opts.x);
+        const cy = Math.floor(opts.y);
+        const x0 = Math.max(0, cx - r), x1 = Math.min(width - 1, cx + r);
+        const y0 = Math.max(0, cy - r), y1 = Math.min(height - 1, cy + r);
+        if (x0 > x1 || y0 > y1) return null;
+
+        // Seed at the beam pixel, or the nearest molten pixel within a few pixels of it
+        let seed = -1;
+        for (let d = 0; d <= 3 && seed < 0; d++) {
+            for (let yy = Math.max(y0, cy - d); yy <= Math.min(y1, cy + d) && seed < 0; yy++) {
+                for (let xx = Math.max(x0, cx - d); xx <= Math.min(x1, cx + d); xx++) {
+                    if (field[yy * width + xx] > threshold) { seed = yy * width + xx; break; }
+                }
+            }
+        }
+        if (seed < 0) return null;
+
+        let dx = opts.dirX ?? 1, dy = opts.dirY ?? 0;
+        const norm = Math.hypot(dx, dy);
+        if (norm > 1e-9) { dx /= norm; dy /= norm; } else { dx = 1; dy = 0; }
+
+        // 4-connected flood fill inside the search window
+        const winW = x1 - x0 + 1;
+        const visited = new Uint8Array(winW * (y1 - y0 + 1));
+        const stack = [seed];
+        visited[(Math.floor(seed / width) - y0) * winW + (seed % width - x0)] = 1;
+        let area = 0;
+        let uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+        while (stack.length) {
+            const i = stack.pop();
+            const px = i % width;
+            const py = (i - px) / width;
+            area++;
+            const u = (px - cx) * dx + (py - cy) * dy;
+            const v = -(px - cx) * dy + (py - cy) * dx;
+            if (u < uMin) uMin = u;
+            if (u > uMax) uMax = u;
+            if (v < vMin) vMin = v;
+            if (v > vMax) vMax = v;
+            const neighbors = [[px - 1, py], [px + 1, py], [px, py - 1], [px, py + 1]];
+            for (const [nx, ny] of neighbors) {
+                if (nx < x0 || nx > x1 || ny < y0 || ny > y1) continue;
+                const w = (ny - y0) * winW + (nx - x0);
+                if (visited[w]) continue;
+                const j = ny * width + nx;
+                if (field[j] > threshold) {
+                    visited[w] = 1;
+                    stack.push(j);
+                }
+            }
+        }
+
+        return {
+            area,
+            length: uMax - uMin + 1,
+            width: vMax - vMin + 1,
+            leading: Math.max(0, uMax),
+            trailing: Math.max(0, -uMin)
+        };
+    }
+
+    class MeltPoolTracker {
+        constructor(opts = {}) {
+            this.maxTracks = Math.max(1, opts.maxTracks ?? 50);
+            this.maxSamples = Math.max(1, opts.maxSamples ?? 5000);
+            this.tracks = [];
+            this.current = null;
+            this._nextId = 0;
+            // Newest position seen by observe() and the current scan direction
+            this._lastPos = null;
+            this._dir = { x: 1, y: 0 };
+        }
+
+        startTrack(time = 0) {
+            this.current = { id: this._nextId++, startTime: time, samples: [] };
+            this.tracks.push(this.current);
+            if (this.tracks.length > this.maxTracks) this.tracks.shift();
+            return this.current;
+        }
+
+        // The laser went idle or jumped; the next sample opens a new track
+        endTrack() {
+            this.current = null;
+        }
+
+        record(sample) {
+            if (!this.current) this.startTrack(sample.time ?? 0);
+            const samples = this.current.samples;
+            samples.push(sample);
+            if (samples.length > this.maxSamples) samples.shift();
+            return this.current;
+        }
+
+        // Feed the positions deposited since the previous call and measure the pool at the newest one.
+        // A frame without positions, or a jump longer than newTrackGapPx, ends the current track.
+        // opts: { width, height, field, threshold, time, searchRadiusPx, newTrackGapPx, pixelSizeUm,
+        // originX, originY } - field may be a width x height window whose top-left pixel is (originX, originY)
+        // Returns the recorded sample (sizes in um / um^2) or null
+        observe(positions, opts) {
+            if (!positions.length) {
+                this.endTrack();
+                this._lastPos = null;
+                return null;
+            }
+
+            const first = positions[0];
+            const last = positions[positions.length - 1];
+            const prev = this._lastPos;
+            const gap = Math.max(1, opts.newTrackGapPx ?? 20);
+            if (prev && Math.hypot(first.x - prev.x, first.y - prev.y) > gap) {
+                this.endTrack();
+            }
+            // Scan direction from this frame's motion, falling back to the previous frame's
+            const from = (positions.length > 1) ? first : prev;
+            if (from && (last.x !== from.x || last.y !== from.y)) {
+                this._dir = { x: last.x - from.x, y: last.y - from.y };
+            }
+            this._lastPos = last;
+
+            const geom = measure({
+                width: opts.width,
+                height: opts.height,
+                field: opts.field,
+                threshold: opts.threshold,
+                x: last.x - (opts.originX ?? 0),
+                y: last.y - (opts.originY ?? 0),
+                dirX: this._dir.x,
+                dirY: this._dir.y,
+                searchRadius: opts.searchRadiusPx
+            });
+            if (!geom) return null;
+
+            const um = opts.pixelSizeUm ?? 10;
+            const sample = {
+                time: opts.time ?? 0,
+                x: last.x,
+                y: last.y,
+                width: geom.width * um,
+                length: geom.length * um,
+                trailing: geom.trailing * um,
+                area: geom.area * um * um
+            };
+            this.record(sample);
+            return sample;
+        }
+
+        get last() {
+            const s = this.current?.samples;
+            return (s && s.length) ? s[s.length - 1] : null;
+        }
+
+        // Mean and standard deviation of each metric over a track (default: the current one)
+        summary(track = this.current) {
+            if (!track || !track.samples.length) return null;
+            const keys = ['width', 'length', 'area', 'trailing'];
+            const out = { id: track.id, samples: track.samples.length };
+            for (const key of keys) {
+                let sum = 0, sumSq = 0;
+                for (const s of track.samples) { sum += s[key]; sumSq += s[key] * s[key]; }
+                const mean = sum / track.samples.length;
+                out[key] = { mean, sd: Math.sqrt(Math.max(0, sumSq / track.samples.length - mean * mean)) };
+            }
+            return out;
+        }
+    }
+
+    const MeltPool = { measure, MeltPoolTracker };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MeltPool;
+    }
+    if (typeof window !== 'undefined') {
+        window.MeltPool = MeltPool;
+    }
+})();
@@ -0,0 +1,114 @@
+// Virtual thermocouples: fixed points that sample the thermal field every simulation step.
+// Each probe keeps its own time series and counts melt events (upward threshold crossings).
+(function(){
+    const DEFAULT_COLORS = ['#4ff', '#ff4', '#f4f', '#4f4', '#f84', '#88f', '#fff', '#f44'];
+
+    class ProbeSet {
+        constructor(opts = {}) {
+            this.maxSamples = Math.max(2, Math.floor(opts.maxSamples ?? 20000));
+            this.colors = (Array.isArray(opts.colors) && opts.colors.length) ? opts.colors : DEFAULT_COLORS;
+            this.probes = [];
+            this._nextId = 0;
+        }
+
+        add(x, y) {
+            const id = this._nextId++;
+            const probe = {
+                id,
+                x: Math.floor(x),
+                y: Math.floor(y),
+                color: this.colors[id % this.colors.length],
+                times: [],
+                values: [],
+                meltCount: 0,
+                peak: -Infinity,
+                _molten: false
+            };
+            this.probes.push(probe);
+            return probe;
+        }
+
+        // Nearest probe within maxDistance pixels, or null
+        find(x, y, maxDistance = 4) {
+            let best = null;
+            let bestD = maxDistance;
+            for (const p of this.probes) {
+                const d = Math.hypot(p.x - x, p.y - y);
+                if (d <= bestD) { best = p; bestD = d; }
+            }
+            return best;
+        }
+
+        remove(probe) {
+            const i = this.probes.indexOf(probe);
+            if (i >= 0) this.probes.splice(i, 1);
+        }
+
+        clear() {
+            this.probes.length = 0;
+        }
+
+        // Reset every probe's history but keep the probes in place
+        clearHistory() {
+            for (const p of this.probes) {
+                p.times.length = 0;
+                p.values.length = 0;
+                p.meltCount = 0;
+                p.peak = -Infinity;
+                p._molten = false;
+            }
+        }
+
+        // sample(x, y) returns the field value at a probe location
+        record(time, sample, threshold) {
+            this.recordValues(time, this.probes.map(p => sample(p.x, p.y)), threshold);
+        }
+
+        // values[i] is the sample for probes[i]; probes defaults to the current set (the GPU path passes
+        // the list its samples were taken for)
+        recordValues(time, values, threshold, probes = this.probes) {
+            for (let i = 0; i < probes.length; i++) {
+                const p = probes[i];
+                const v = values[i];
+                if (!Number.isFinite(v)) continue;
+                p.times.push(time);
+                p.values.push(v);
+                if (v > p.peak) p.peak = v;
+                const molten = v > threshold;
+                if (molten && !p._molten) p.meltCount++;
+                p._molten = molten;
+                // Drop the oldest quarter in one go rather than shifting every step
+                if (p.values.length > this.maxSamples) {
+                    const drop = Math.ceil(this.maxSamples / 4);
+                    p.times.splice(0, drop);
+                    p.values.splice(0, drop);
+                }
+            }
+        }
+
+        // One row per recorded step: time followed by each probe's value (probes share the step clock,
+        // so rows are aligned from the end of each trace)
+        toCSV(timeScale = 1, timeLabel = 'time_s') {
+            const header = [timeLabel].concat(this.probes.map(p => `probe${p.id}_x${p.x}_y${p.y}`));
+            const longest = this.probes.reduce((a, p) => (p.times.length > a.times.length ? p : a), { times: [] });
+            const rows = [header.join(',')];
+            const n = longest.times.length;
+            for (let r = 0; r < n; r++) {
+                const row = [longest.times[r] * timeScale];
+                for (const p of this.probes) {
+                    const idx = p.values.length - (n - r);
+                    row.push(idx >= 0 ? p.values[idx] : '');
+                }
+                rows.push(row.join(','));
+            }
+            return rows.join('\n') + '\n';
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProbeSet;
+    }
+    if (typeof window !== 'undefined') {
+        window.ProbeSet = ProbeSet;
+    }
+})();
@@ -0,0 +1,240 @@
+// Process window maps: a grid of single straight tracks across intensity (laser.powerW with the laser
+// model, brush.intensity otherwise) and scan speed, each run on its own small CPU simulation and
+// classified from its melted width and peak temperature as lack-of-fusion, good or keyhole.
+// Used by the "Process Window" panel and headless by batch-runner.js --process-window.
+(function(){
+    const load = (file) => (typeof require === 'function' ? require(file) : null);
+    const ThermalSimulationRef = (typeof ThermalSimulation !== 'undefined') ? ThermalSimulation : load('./sim-core.js');
+
+    const CLASSES = ['lack-of-fusion', 'good', 'keyhole'];
+    // Heatmap colours (RGB), matching the defect panel's lack-of-fusion red and keyhole violet
+    const COLORS = {
+        'lack-of-fusion': [221, 68, 68],
+        good: [68, 187, 85],
+        keyhole: [170, 85, 221]
+    };
+
+    const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+    // [min, max] -> steps evenly spaced values; longer arrays are used as given
+    function axisValues(range, steps) {
+        if (!Array.isArray(range) || range.length < 2) throw new Error('ProcessWindow: an axis needs [min, max] or a value list');
+        if (range.length > 2) return range.slice();
+        const n = Math.max(2, Math.round(steps ?? 6));
+        return Array.from({ length: n }, (_, i) => range[0] + (range[1] - range[0]) * i / (n - 1));
+    }
+
+    // Axes and classification criteria resolved from config.processWindow
+    function plan(config) {
+        const cfg = config.processWindow || {};
+        const laserOn = !!config.laser?.enabled;
+        const minWidthUm = cfg.minWidthUm ?? config.laser?.hatchSpacingUm ?? 100;
+        return {
+            intensityKey: laserOn ? 'laser.powerW' : 'brush.intensity',
+            intensityLabel: laserOn ? 'Power (W)' : 'Intensity',
+            intensities: axisValues(laserOn ? (cfg.powerW ?? [100, 400]) : (cfg.intensity ?? [0.004, 0.024]), cfg.intensitySteps),
+            speeds: axisValues(cfg.speedMmS ?? [250, 2000], cfg.speedSteps),
+            criteria: {
+                minWidthUm,
+                maxWidthUm: cfg.maxWidthUm ?? minWidthUm * (cfg.maxWidthFactor ?? 2.5),
+                minContinuity: cfg.minContinuity ?? 0.95,
+                keyholeLevel: cfg.keyholeLevel ?? null,
+                keyholeFraction: cfg.keyholeFraction ?? config.defects?.keyholeFraction ?? 0.8,
+                maxKeyholeShare: cfg.maxKeyholeShare ?? 0.95
+            }
+        };
+    }
+
+    // Peak temperature above which a pixel is a keyhole risk: keyholeLevel, else threshold + keyholeFraction
+    // of the remaining span as in the defect panel (null when neither is set)
+    function keyholeLevelFor(criteria, threshold, ceiling) {
+        if (criteria.keyholeLevel !== null && criteria.keyholeLevel !== undefined) return criteria.keyholeLevel;
+        if (criteria.keyholeFraction === null || criteria.keyholeFraction === undefined) return null;
+        return threshold + criteria.keyholeFraction * (ceiling - threshold);
+    }
+
+    // Keyhole / over-melt first (more than maxKeyholeShare of the melted track peaked above the keyhole
+    // level, or wider than maxWidthUm), then lack of fusion (narrower than minWidthUm or broken), otherwise
+    // good. The share is used rather than the single hottest pixel: the field is clamped at the ceiling,
+    // which the core of nearly every melting track reaches.
+    function classify(result, criteria) {
+        const has = (v) => v !== null && v !== undefined;
+        if (has(criteria.maxKeyholeShare) && result.keyholeShare > criteria.maxKeyholeShare) return 'keyhole';
+        if (has(criteria.maxWidthUm) && result.widthUm > criteria.maxWidthUm) return 'keyhole';
+        if (result.widthUm < criteria.minWidthUm || result.continuity < criteria.minContinuity) return 'lack-of-fusion';
+        return 'good';
+    }
+
+    // Config for one track: the intensity and speed applied, the canvas cropped to the track plus margins
+    function trackConfig(config, intensityKey, intensity, speedMmS) {
+        const cfg = clone(config);
+        const pw = cfg.processWindow || {};
+        const px = cfg.canvas.pixelSizeUm;
+        if (intensityKey === 'laser.powerW') cfg.laser.powerW = intensity;
+        else cfg.brush.intensity = intensity;
+        cfg.laser.scanSpeedMmS = speedMmS;
+        const radiusPx = cfg.laser?.enabled ? (cfg.laser.spotDiameterUm / 2) / px : cfg.brush.radius;
+        const margin = Math.ceil(Math.max((pw.marginUm ?? 300) / px, 3 * radiusPx));
+        const length = Math.max(4, Math.round((pw.trackLengthUm ?? 1500) / px));
+        cfg.canvas.width = length + 2 * margin;
+        cfg.canvas.height = 2 * margin + 1;
+        cfg.performance.useGPU = false;
+        return { cfg, start: { x: margin, y: margin }, end: { x: margin + length, y: margin } };
+    }
+
+    // Queue a straight track as debugEnqueueLine does: laser mode walks it at the commanded speed,
+    // the legacy brush gets the same speed-implied spacing (speed * dt / positions per step)
+    function enqueueTrack(sim, start, end, speedMmS) {
+        if (sim.laser) {
+            sim._laserCarry = 0;
+            sim.addLinePositionsLaser(start, end, true);
+            return;
+        }
+        const spacing = Math.max(1e-3, (speedMmS * 1000 * sim.dt / sim.maxPositionsPerFrame) / sim.config.canvas.pixelSizeUm);
+        const distance = Math.hypot(end.x - start.x, end.y - start.y);
+        for (let d = 0; d <= distance; d += spacing) {
+            const t = d / distance;
+            sim.enqueuePosition({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t }, { allowRepeat: true });
+        }
+    }
+
+    // Run one track to completion and measure the central half (start and end transients excluded):
+    // mean / minimum fused width per column, fraction of fused columns, the peak temperature and the share
+    // of fused pixels that peaked above the keyhole level (opts.criteria, default plan(config).criteria)
+    function runTrack(config, intensityKey, intensity, speedMmS, opts = {}) {
+        const { cfg, start, end } = trackConfig(config, intensityKey, intensity, speedMmS);
+        const sim = new ThermalSimulationRef(cfg, { useGPU: false });
+        enqueueTrack(sim, start, end, speedMmS);
+        let steps = sim.runUntilIdle(opts.maxSteps ?? 100000);
+        const settle = cfg.processWindow?.settleSteps ?? 400;
+        for (let i = 0; i < settle && sim.isThereMolten; i++, steps++) sim.step();
+
+        const { width, height, persistentMask: mask, maxThresholded: peakField } = sim;
+        const level = keyholeLevelFor(opts.criteria || plan(config).criteria, sim.threshold, sim.units.ceiling);
+        const length = end.x - start.x;
+        const x0 = Math.round(start.x + length / 4), x1 = Math.round(end.x - length / 4);
+        let widthSum = 0, minWidth = Infinity, fusedColumns = 0, keyholePx = 0, peak = sim.units.ambient;
+        for (let x = x0; x <= x1; x++) {
+            let w = 0;
+            for (let y = 0; y < height; y++) {
+                const i = y * width + x;
+                w += mask[i];
+                if (mask[i] && level !== null && peakField[i] > level) keyholePx++;
+                if (peakField[i] > peak) peak = peakField[i];
+            }
+            widthSum += w;
+            if (w < minWidth) minWidth = w;
+            if (w > 0) fusedColumns++;
+        }
+        const columns = x1 - x0 + 1;
+        const px = cfg.canvas.pixelSizeUm;
+        return {
+            intensity,
+            speedMmS,
+            widthUm: widthSum / columns * px,
+            minWidthUm: minWidth * px,
+            continuity: fusedColumns / columns,
+            peakTemperature: peak,
+            // 0 at the melt threshold, 1 at the top of the temperature range
+            peakFraction: (peak - sim.threshold) / Math.max(1e-12, sim.units.ceiling - sim.threshold),
+            keyholeShare: widthSum ? keyholePx / widthSum : 0,
+            linearEnergyJmm: sim.laser ? sim.laser.linearEnergyDensity : null,
+            steps
+        };
+    }
+
+    // Runs the grid one track per step() so the browser can yield between tracks;
+    // cells are ordered speed-major within each intensity row
+    class ProcessWindowRun {
+        constructor(config, opts = {}) {
+            this.config = config;
+            this.plan = plan(config);
+            this.cells = [];
+            this.maxSteps = opts.maxSteps;
+            this._total = this.plan.intensities.length * this.plan.speeds.length;
+        }
+
+        // Number of cells in the grid
+        get total() {
+            return this._total;
+        }
+
+        get done() {
+            return this.cells.length >= this._total;
+        }
+
+        get progress() {
+            return this._total ? this.cells.length / this._total : 1;
+        }
+
+        // Run the next track; returns the finished cell or null when done
+        step() {
+            if (this.done) return null;
+            const { intensities, speeds, intensityKey, criteria } = this.plan;
+            const row = Math.floor(this.cells.length / speeds.length);
+            const col = this.cells.length % speeds.length;
+            const result = runTrack(this.config, intensityKey, intensities[row], speeds[col], { maxSteps: this.maxSteps, criteria });
+            const cell = Object.assign({ row, col }, result, { class: classify(result, criteria) });
+            this.cells.push(cell);
+            return cell;
+        }
+
+        runAll(onCell) {
+            while (!this.done) {
+                const cell = this.step();
+                if (onCell) onCell(cell, this);
+            }
+            return this.result;
+        }
+
+        get result() {
+            const { intensityKey, intensityLabel, intensities, speeds, criteria } = this.plan;
+            return { intensityKey, intensityLabel, intensities, speeds, criteria, cells: this.cells.slice() };
+        }
+    }
+
+    // RGBA heatmap: speed increases to the right, intensity upwards; unfinished cells stay dark
+    function renderImage(result, opts = {}) {
+        const cellPx = Math.max(1, opts.cellPx ?? 32);
+        const gap = cellPx >= 8 ? 1 : 0;
+        const cols = result.speeds.length, rows = result.intensities.length;
+        const width = cols * cellPx, height = rows * cellPx;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 34;
+            data[i * 4 + 3] = 255;
+        }
+        for (const cell of result.cells) {
+            const rgb = COLORS[cell.class];
+            const top = (rows - 1 - cell.row) * cellPx;
+            const left = cell.col * cellPx;
+            for (let y = top + gap; y < top + cellPx - gap; y++) {
+                for (let x = left + gap; x < left + cellPx - gap; x++) {
+                    const o = (y * width + x) * 4;
+                    data[o] = rgb[0]; data[o + 1] = rgb[1]; data[o + 2] = rgb[2];
+                }
+            }
+        }
+        return { width, height, data };
+    }
+
+    // One row per track
+    function toCSV(result) {
+        const header = [result.intensityKey, 'speed_mm_s', 'width_um', 'min_width_um', 'continuity', 'peak_temperature', 'peak_fraction', 'keyhole_share', 'linear_energy_j_mm', 'class'];
+        const lines = [header.join(',')];
+        for (const c of result.cells) {
+            lines.push([c.intensity, c.speedMmS, c.widthUm.toFixed(1), c.minWidthUm.toFixed(1), c.continuity.toFixed(3),
+                c.peakTemperature.toFixed(4), c.peakFraction.toFixed(4), c.keyholeShare.toFixed(4), c.linearEnergyJmm === null ? '' : c.linearEnergyJmm.toFixed(4), c.class].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    const ProcessWindow = { CLASSES, COLORS, axisValues, plan, classify, trackConfig, runTrack, ProcessWindowRun, renderImage, toCSV };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProcessWindow;
+    }
+    if (typeof window !== 'undefined') {
+        window.ProcessWindow = ProcessWindow;
+    }
+})();
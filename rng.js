@@ -0,0 +1,71 @@
+// Seeded pseudo-random numbers (mulberry32) so runs can be reproduced from BrushConfig.random.seed.
+// Each consumer takes its own named stream, so adding draws in one place (e.g. more background
+// circles) does not shift the sequence seen by another.
+(function(){
+    // FNV-1a hash of a stream name, mixed into the seed
+    function hashString(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    class SeededRandom {
+        constructor(seed, stream = '') {
+            this.seed = seed >>> 0;
+            this.stream = stream;
+            this.state = (this.seed ^ hashString(stream)) >>> 0;
+        }
+
+        // Uniform in [0, 1)
+        next() {
+            let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+
+        // Integer in [0, n)
+        int(n) {
+            return Math.floor(this.next() * n);
+        }
+
+        pick(list) {
+            return list[this.int(list.length)];
+        }
+
+        // Independent child stream derived from the same seed
+        fork(name) {
+            return new SeededRandom(this.seed, this.stream ? `${this.stream}/${name}` : name);
+        }
+
+        // Resolve BrushConfig.random.seed; without one a session seed is drawn once and shared by
+        // every stream, so it can still be reported and copied into the config to replay the run
+        static resolveSeed(randomCfg) {
+            if (randomCfg && Number.isFinite(randomCfg.seed)) return randomCfg.seed >>> 0;
+            if (SeededRandom.sessionSeed === null) {
+                SeededRandom.sessionSeed = Math.floor(Math.random() * 4294967296) >>> 0;
+            }
+            return SeededRandom.sessionSeed;
+        }
+
+        static fromConfig(randomCfg, stream) {
+            return new SeededRandom(SeededRandom.resolveSeed(randomCfg), stream);
+        }
+    }
+
+    SeededRandom.sessionSeed = null;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SeededRandom;
+    }
+    if (typeof window !== 'undefined') {
+        window.SeededRandom = SeededRandom;
+    }
+})();
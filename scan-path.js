@@ -0,0 +1,297 @@
+// Scan path import and playback. Parsers turn G-code, CLI (Common Layer Interface, ASCII)
+// or JSON vector files into a flat list of moves in millimetres; ScanPathPlayer replays
+// them in simulated time and hands laser-on positions to the thermal brush.
+(function(){
+    const INCH_MM = 25.4;
+
+    // A move travels in a straight line from the previous move's end to (x, y).
+    // speedMmS null marks a jump at the player's jump speed.
+    function makeMove(x, y, laserOn, speedMmS, layer = 0) {
+        return { x, y, laserOn: !!laserOn, speedMmS: (speedMmS > 0) ? speedMmS : null, layer };
+    }
+
+    class ScanPath {
+        constructor(moves = [], meta = {}) {
+            this.moves = moves;
+            this.format = meta.format || 'unknown';
+            this.name = meta.name || '';
+            this.layers = moves.reduce((n, m) => Math.max(n, m.layer + 1), moves.length ? 1 : 0);
+        }
+
+        // Pick a parser from the file name, falling back to sniffing the content
+        static parse(text, name = '') {
+            const src = String(text || '');
+            const ext = (name.split('.').pop() || '').toLowerCase();
+            const trimmed = src.trimStart();
+            let path;
+            if (ext === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+                path = ScanPath.parseJSON(src);
+            } else if (ext === 'cli' || /\$\$(HEADERSTART|LAYER|HATCHES|POLYLINE)/i.test(src)) {
+                path = ScanPath.parseCLI(src);
+            } else {
+                path = ScanPath.parseGCode(src);
+            }
+            path.name = name;
+            return path;
+        }
+
+        // G0/G1 moves, G90/G91 absolute/relative, G20/G21 inch/mm, F feed (units/min),
+        // M3/M4 laser on, M5 laser off, S power (S0 switches the laser off)
+        static parseGCode(text) {
+            const moves = [];
+            let x = 0, y = 0;
+            let absolute = true;
+            let scale = 1;
+            let feedMmS = null;
+            let motion = 0;
+            let spindleOn = false;
+            let power = null;
+
+            const lines = String(text || '').split(/\r?\n/);
+            for (const raw of lines) {
+                const line = raw.replace(/\(.*?\)/g, '').replace(/;.*$/, '').trim().toUpperCase();
+                if (!line) continue;
+
+                const words = line.match(/[A-Z]\s*[-+]?(\d+\.?\d*|\.\d+)/g) || [];
+                let nx = null, ny = null;
+                let moveWord = false;
+                for (const word of words) {
+                    const letter = word[0];
+                    const value = parseFloat(word.slice(1));
+                    if (!Number.isFinite(value)) continue;
+                    switch (letter) {
+                        case 'G':
+                            if (value === 0 || value === 1) { motion = value; moveWord = true; }
+                            else if (value === 20) scale = INCH_MM;
+                            else if (value === 21) scale = 1;
+                            else if (value === 90) absolute = true;
+                            else if (value === 91) absolute = false;
+                            break;
+                        case 'M':
+                            if (value === 3 || value === 4) spindleOn = true;
+                            else if (value === 5) spindleOn = false;
+                            break;
+                        case 'S': power = value; break;
+                        case 'F': feedMmS = (value * scale) / 60; break;
+                        case 'X': nx = value * scale; break;
+                        case 'Y': ny = value * scale; break;
+                    }
+                }
+
+                if (nx === null && ny === null) continue;
+                // Axis words without G0/G1 continue the modal motion
+                if (!moveWord && motion !== 0 && motion !== 1) continue;
+                const tx = (nx === null) ? x : (absolute ? nx : x + nx);
+                const ty = (ny === null) ? y : (absolute ? ny : y + ny);
+                const laserOn = motion === 1 && spindleOn && (power === null || power > 0);
+                moves.push(makeMove(tx, ty, laserOn, motion === 1 ? feedMmS : null));
+                x = tx;
+                y = ty;
+            }
+            return new ScanPath(moves, { format: 'gcode' });
+        }
+
+        // ASCII CLI: $$UNITS/<mm per unit>, $$LAYER/<z>, $$POLYLINE/id,dir,n,x1,y1,...
+        // and $$HATCHES/id,n,x1s,y1s,x1e,y1e,... CLI carries no speeds, so marks use the player default.
+        static parseCLI(text) {
+            const moves = [];
+            let units = 1;
+            let layer = -1;
+            // Commands may wrap across lines; join continuation lines onto the previous command
+            const commands = String(text || '').replace(/\/\/.*?\/\//g, '').split(/\r?\n/)
+                .reduce((acc, raw) => {
+                    const line = raw.trim();
+                    if (!line) return acc;
+                    if (line.startsWith('$$') || !acc.length) acc.push(line);
+                    else acc[acc.length - 1] += line;
+                    return acc;
+                }, []);
+
+            for (const cmd of commands) {
+                const m = cmd.match(/^\$\$([A-Z]+)\s*\/?\s*(.*)$/i);
+                if (!m) continue;
+                const key = m[1].toUpperCase();
+                const args = m[2].split(',').map(s => parseFloat(s));
+                if (key === 'UNITS') {
+                    if (Number.isFinite(args[0]) && args[0] > 0) units = args[0];
+                } else if (key === 'LAYER') {
+                    layer++;
+                } else if (key === 'POLYLINE') {
+                    const n = args[2] | 0;
+                    const lyr = Math.max(0, layer);
+                    for (let i = 0; i < n; i++) {
+                        const px = args[3 + i * 2] * units;
+                        const py = args[4 + i * 2] * units;
+                        if (!Number.isFinite(px) || !Number.isFinite(py)) break;
+                        moves.push(makeMove(px, py, i > 0, null, lyr));
+                    }
+                } else if (key === 'HATCHES') {
+                    const n = args[1] | 0;
+                    const lyr = Math.max(0, layer);
+                    for (let i = 0; i < n; i++) {
+                        const o = 2 + i * 4;
+                        const coords = args.slice(o, o + 4).map(v => v * units);
+                        if (coords.length < 4 || !coords.every(Number.isFinite)) break;
+                        moves.push(makeMove(coords[0], coords[1], false, null, lyr));
+                        moves.push(makeMove(coords[2], coords[3], true, null, lyr));
+                    }
+                }
+            }
+            return new ScanPath(moves, { format: 'cli' });
+        }
+
+        // JSON: { units: 'mm'|'um', speedMmS, segments: [[x0,y0,x1,y1] | {from, to, speedMmS}],
+        // polylines: [[[x,y], ...] | {points, speedMmS}] }. A bare array is a list of segments.
+        static parseJSON(text) {
+            const data = (typeof text === 'string') ? JSON.parse(text) : text;
+            const doc = Array.isArray(data) ? { segments: data } : (data || {});
+            const scale = (doc.units === 'um') ? 1e-3 : 1;
+            const defaultSpeed = doc.speedMmS ?? null;
+            const moves = [];
+
+            for (const seg of doc.segments || []) {
+                const from = Array.isArray(seg) ? seg.slice(0, 2) : seg.from;
+                const to = Array.isArray(seg) ? seg.slice(2, 4) : seg.to;
+                if (!from || !to) continue;
+                const speed = (Array.isArray(seg) ? null : seg.speedMmS) ?? defaultSpeed;
+                moves.push(makeMove(from[0] * scale, from[1] * scale, false, null));
+                moves.push(makeMove(to[0] * scale, to[1] * scale, true, speed));
+            }
+            for (const line of doc.polylines || []) {
+                const points = Array.isArray(line) ? line : line.points;
+                if (!Array.isArray(points)) continue;
+                const speed = (Array.isArray(line) ? null : line.speedMmS) ?? defaultSpeed;
+                points.forEach((p, i) => moves.push(makeMove(p[0] * scale, p[1] * scale, i > 0, i > 0 ? speed : null)));
+            }
+            return new ScanPath(moves, { format: 'json' });
+        }
+
+        // Bounding box of all move endpoints (mm)
+        bounds() {
+            if (!this.moves.length) return null;
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const m of this.moves) {
+                if (m.x < minX) minX = m.x;
+                if (m.y < minY) minY = m.y;
+                if (m.x > maxX) maxX = m.x;
+                if (m.y > maxY) maxY = m.y;
+            }
+            return { minX, minY, maxX, maxY };
+        }
+    }
+
+    // Replays a ScanPath in simulated time. Every dt / positionsPerStep seconds of laser-on
+    // travel emits the current beam position, so the brush queue drains at the same rate it fills.
+    class ScanPathPlayer {
+        constructor(path, opts = {}) {
+            this.path = path;
+            this.pixelSizeUm = Math.max(1e-6, opts.pixelSizeUm ?? 10);
+            this.markSpeedMmS = Math.max(1e-6, opts.markSpeedMmS ?? 1000);
+            this.jumpSpeedMmS = Math.max(1e-6, opts.jumpSpeedMmS ?? 5000);
+            this.positionsPerStep = Math.max(1, opts.positionsPerStep ?? 1);
+            this.enqueue = opts.enqueue || (() => {});
+
+            // mm -> px transform: 'center' puts the path's bounding box in the middle of the canvas,
+            // 'origin' maps machine (0, 0) to the top-left pixel. Machine Y points up unless flipY is false.
+            const width = opts.width ?? 0;
+            const height = opts.height ?? 0;
+            const flip = opts.flipY !== false;
+            const pxPerMm = 1000 / this.pixelSizeUm;
+            const b = path.bounds();
+            if (opts.placement === 'origin' || !b) {
+                this._offsetX = 0;
+                this._offsetY = flip ? height - 1 : 0;
+            } else {
+                const cx = (b.minX + b.maxX) / 2;
+                const cy = (b.minY + b.maxY) / 2;
+                this._offsetX = width / 2 - cx * pxPerMm;
+                this._offsetY = height / 2 + (flip ? cy : -cy) * pxPerMm;
+            }
+            this._scaleX = pxPerMm;
+            this._scaleY = flip ? -pxPerMm : pxPerMm;
+
+            this.reset();
+        }
+
+        reset() {
+            this.index = 0;
+            this.elapsed = 0;
+            this._moveTime = 0;
+            this._emitCarry = 0;
+            this._from = { x: 0, y: 0 };
+            this._speedMmS = this.markSpeedMmS;
+            this._prepareMove();
+        }
+
+        get done() {
+            return this.index >= this.path.moves.length;
+        }
+
+        get progress() {
+            return this.path.moves.length ? Math.min(1, this.index / this.path.moves.length) : 1;
+        }
+
+        toPixels(x, y) {
+            return { x: this._offsetX + x * this._scaleX, y: this._offsetY + y * this._scaleY };
+        }
+
+        // Advance simulated time by dt seconds, enqueueing a position per dwell interval while marking
+        advance(dt) {
+            const dwell = dt / this.positionsPerStep;
+            let remaining = dt;
+            while (remaining > 0 && !this.done) {
+                const move = this.path.moves[this.index];
+                const left = this._moveDuration - this._moveTime;
+                const slice = Math.min(remaining, left);
+
+                if (move.laserOn) {
+                    // Emission times are spaced by dwell; _emitCarry is the time until the next one
+                    let t = this._emitCarry;
+                    while (t < slice) {
+                        const f = this._moveDuration > 0 ? (this._moveTime + t) / this._moveDuration : 1;
+                        this.enqueue(this.toPixels(
+                            this._from.x + (move.x - this._from.x) * f,
+                            this._from.y + (move.y - this._from.y) * f
+                        ));
+                        t += dwell;
+                    }
+                    this._emitCarry = t - slice;
+                } else {
+                    this._emitCarry = 0;
+                }
+
+                this._moveTime += slice;
+                this.elapsed += slice;
+                remaining -= slice;
+                if (this._moveTime >= this._moveDuration - 1e-15) {
+                    this._from = { x: move.x, y: move.y };
+                    this.index++;
+                    this._prepareMove();
+                }
+            }
+            return this.done;
+        }
+
+        _prepareMove() {
+            this._moveTime = 0;
+            const move = this.path.moves[this.index];
+            if (!move) {
+                this._moveDuration = 0;
+                return;
+            }
+            // G-code feed is modal, so laser-on moves without their own speed keep the last one
+            if (move.speedMmS) this._speedMmS = move.speedMmS;
+            const speed = move.laserOn ? (move.speedMmS || this._speedMmS) : (move.speedMmS || this.jumpSpeedMmS);
+            const length = Math.hypot(move.x - this._from.x, move.y - this._from.y);
+            this._moveDuration = length / speed;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ScanPath, ScanPathPlayer };
+    }
+    if (typeof window !== 'undefined') {
+        window.ScanPath = ScanPath;
+        window.ScanPathPlayer = ScanPathPlayer;
+    }
+})();
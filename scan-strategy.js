@@ -0,0 +1,136 @@
+// Scan strategy generator: fills a rectangular region (mm) with hatch vectors in the usual
+// PBF patterns and returns a ScanPath that ScanPathPlayer can replay into the brush queue.
+(function(){
+    const PATTERNS = ['meander', 'unidirectional', 'stripe', 'chessboard'];
+
+    const ScanPathClass = (typeof ScanPath !== 'undefined') ? ScanPath
+        : (typeof require === 'function' ? require('./scan-path.js').ScanPath : null);
+
+    // Clip the line p(t) = s * n + t * d to the rectangle; returns [t0, t1] or null
+    function clipToRect(s, d, n, rect) {
+        let t0 = -Infinity, t1 = Infinity;
+        const origin = [s * n[0], s * n[1]];
+        const lo = [rect.x, rect.y];
+        const hi = [rect.x + rect.width, rect.y + rect.height];
+        for (let axis = 0; axis < 2; axis++) {
+            if (Math.abs(d[axis]) < 1e-12) {
+                if (origin[axis] < lo[axis] || origin[axis] > hi[axis]) return null;
+                continue;
+            }
+            let a = (lo[axis] - origin[axis]) / d[axis];
+            let b = (hi[axis] - origin[axis]) / d[axis];
+            if (a > b) { const tmp = a; a = b; b = tmp; }
+            t0 = Math.max(t0, a);
+            t1 = Math.min(t1, b);
+        }
+        return (t1 - t0 > 1e-9) ? [t0, t1] : null;
+    }
+
+    // Hatch vectors [x0, y0, x1, y1] covering rect at angle (rad). band limits the vectors to
+    // band[0] <= d.p <= band[1] (used for stripes). Lines sit half a spacing inside the edges.
+    function hatchRect(rect, angle, spacing, meander, band = null) {
+        const d = [Math.cos(angle), Math.sin(angle)];
+        const n = [-d[1], d[0]];
+        const corners = [[rect.x, rect.y], [rect.x + rect.width, rect.y], [rect.x, rect.y + rect.height], [rect.x + rect.width, rect.y + rect.height]];
+        const proj = corners.map(c => c[0] * n[0] + c[1] * n[1]);
+        const sMin = Math.min(...proj);
+        const sMax = Math.max(...proj);
+
+        const vectors = [];
+        let flip = false;
+        for (let s = sMin + spacing / 2; s < sMax; s += spacing) {
+            const span = clipToRect(s, d, n, rect);
+            if (!span) continue;
+            let [t0, t1] = span;
+            if (band) {
+                t0 = Math.max(t0, band[0]);
+                t1 = Math.min(t1, band[1]);
+                if (t1 - t0 <= 1e-9) continue;
+            }
+            if (flip) { const tmp = t0; t0 = t1; t1 = tmp; }
+            vectors.push([s * n[0] + t0 * d[0], s * n[1] + t0 * d[1], s * n[0] + t1 * d[0], s * n[1] + t1 * d[1]]);
+            if (meander) flip = !flip;
+        }
+        return vectors;
+    }
+
+    // Hatch angle (deg) for a layer: base angle plus the inter-layer rotation, wrapped to [0, 180)
+    function layerAngle(opts = {}, layer = 0) {
+        const a = (opts.angleDeg ?? 0) + layer * (opts.layerRotationDeg ?? 0);
+        return ((a % 180) + 180) % 180;
+    }
+
+    // Region { x, y, width, height } in mm; returns the hatch (and contour) vectors in scan order
+    function vectors(region, opts = {}, layer = 0) {
+        const pattern = PATTERNS.includes(opts.pattern) ? opts.pattern : 'meander';
+        const spacing = Math.max(1e-4, opts.hatchSpacingMm ?? 0.1);
+        const angle = layerAngle(opts, layer) * Math.PI / 180;
+        const list = [];
+
+        if (pattern === 'meander' || pattern === 'unidirectional') {
+            list.push(...hatchRect(region, angle, spacing, pattern === 'meander'));
+        } else if (pattern === 'stripe') {
+            // Bands of stripeWidthMm along the hatch direction; each band is meandered across
+            const width = Math.max(spacing, opts.stripeWidthMm ?? 2);
+            const d = [Math.cos(angle), Math.sin(angle)];
+            const corners = [[region.x, region.y], [region.x + region.width, region.y], [region.x, region.y + region.height], [region.x + region.width, region.y + region.height]];
+            const proj = corners.map(c => c[0] * d[0] + c[1] * d[1]);
+            const uMax = Math.max(...proj);
+            for (let u = Math.min(...proj); u < uMax - 1e-9; u += width) {
+                list.push(...hatchRect(region, angle, spacing, true, [u, u + width]));
+            }
+        } else {
+            // Chessboard islands: "black" islands first at the layer angle, then "white" ones rotated 90 deg
+            const size = Math.max(spacing, opts.islandSizeMm ?? 1);
+            const cols = Math.ceil(region.width / size - 1e-9);
+            const rows = Math.ceil(region.height / size - 1e-9);
+            for (const parity of [0, 1]) {
+                for (let r = 0; r < rows; r++) {
+                    for (let c = 0; c < cols; c++) {
+                        if (((r + c) & 1) !== parity) continue;
+                        const island = {
+                            x: region.x + c * size,
+                            y: region.y + r * size,
+                            width: Math.min(size, region.width - c * size),
+                            height: Math.min(size, region.height - r * size)
+                        };
+                        list.push(...hatchRect(island, angle + parity * Math.PI / 2, spacing, true));
+                    }
+                }
+            }
+        }
+
+        if (opts.contour) {
+            // Closed border pass inset by half a hatch spacing
+            const inset = Math.min(spacing / 2, region.width / 2, region.height / 2);
+            const x0 = region.x + inset, y0 = region.y + inset;
+            const x1 = region.x + region.width - inset, y1 = region.y + region.height - inset;
+            list.push([x0, y0, x1, y0, 'contour'], [x1, y0, x1, y1, 'contour'], [x1, y1, x0, y1, 'contour'], [x0, y1, x0, y0, 'contour']);
+        }
+        return list;
+    }
+
+    // Build a ScanPath: jump to each vector start, mark to its end
+    function generate(region, opts = {}, layer = 0) {
+        const moves = [];
+        let last = null;
+        for (const v of vectors(region, opts, layer)) {
+            const speed = (v[4] === 'contour') ? (opts.contourSpeedMmS ?? opts.speedMmS) : opts.speedMmS;
+            if (!last || Math.hypot(last[0] - v[0], last[1] - v[1]) > 1e-9) {
+                moves.push({ x: v[0], y: v[1], laserOn: false, speedMmS: null, layer });
+            }
+            moves.push({ x: v[2], y: v[3], laserOn: true, speedMmS: speed ?? null, layer });
+            last = [v[2], v[3]];
+        }
+        return new ScanPathClass(moves, { format: `strategy:${PATTERNS.includes(opts.pattern) ? opts.pattern : 'meander'}`, name: `layer ${layer}` });
+    }
+
+    const ScanStrategy = { PATTERNS, layerAngle, vectors, generate };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ScanStrategy;
+    }
+    if (typeof window !== 'undefined') {
+        window.ScanStrategy = ScanStrategy;
+    }
+})();
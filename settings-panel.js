@@ -0,0 +1,247 @@
+// Runtime settings panel generated from BrushConfig: sliders for numbers, checkboxes for booleans,
+// selects for known option sets and colour pickers for colours. Edits are written straight into the
+// config object; actionsFor() tells the owner what has to be rebuilt for a changed key.
+(function(){
+    const load = (file) => (typeof require === 'function' ? require(file) : null);
+    const BeamProfilesRef = (typeof BeamProfiles !== 'undefined') ? BeamProfiles : load('./beam-profiles.js');
+    const ColormapsRef = (typeof Colormaps !== 'undefined') ? Colormaps : load('./colormaps.js');
+
+    // Sections shown, in order; performance is limited to the keys in PERFORMANCE_KEYS
+    const SECTIONS = ['brush', 'thermal', 'smoothing', 'performance', 'visual', 'background'];
+    const PERFORMANCE_KEYS = ['maxPositionsPerFrame', 'useGPU', 'gpuBatchSize', 'gpuRender', 'gpuSyncInterval', 'gpuAsyncReadback', 'gpuFieldPrecision', 'contourInterval', 'contourSkipPixels'];
+
+    // Keys that only take effect on reload (field units, GPU-only background renderer choices)
+    const EXCLUDED = ['thermal.units', 'background.enabled', 'background.useGpuParticles', 'background.renderTopOnGPU', 'background.gpuParticleSyncInterval', 'visual.colormap.thirdTransition'];
+
+    const OPTIONS = {
+        'brush.profile': BeamProfilesRef ? BeamProfilesRef.TYPES : ['cone', 'gaussian', 'tophat', 'ring', 'elliptical'],
+        'thermal.model': ['blur', 'conduction'],
+        'performance.gpuFieldPrecision': ['float32', 'float16'],
+        'visual.colormap.name': ColormapsRef ? ColormapsRef.NAMES : ['thermal'],
+        'visual.contour.thresholdMode': ['color', 'grayscale'],
+        'visual.contour.persistentMode': ['color', 'grayscale'],
+        'visual.overlay.alphaMode': ['temperature', 'opaque'],
+        'background.interactionMode': ['thermalBrush', 'circles'],
+        'background.topRegion.type': ['circle', 'rect']
+    };
+
+    // Slider ranges where the value-based guess would be wrong
+    const RANGES = {
+        'brush.radius': { min: 1, max: 80, step: 1 },
+        'brush.intensity': { min: 0, max: 0.5, step: 0.001 },
+        'brush.threshold': { min: 0.05, max: 1, step: 0.01 },
+        'brush.angleDeg': { min: 0, max: 180, step: 1 },
+        'thermal.diffusivity': { min: 1e-7, max: 2e-5, step: 1e-7 },
+        'thermal.maxSubsteps': { min: 1, max: 256, step: 1 },
+        'thermal.blurSigma': { min: 0.5, max: 10, step: 0.1 },
+        'thermal.blurRadius': { min: 1, max: 30, step: 1 },
+        'thermal.blurInterval': { min: 1, max: 10, step: 1 },
+        'thermal.decayRate': { min: 0.9, max: 1, step: 0.001 },
+        'thermal.decayTime': { min: 0, max: 0.01, step: 1e-5 },
+        'performance.maxPositionsPerFrame': { min: 1, max: 50, step: 1 },
+        'performance.gpuBatchSize': { min: 1, max: 64, step: 1 },
+        'visual.colormap.lutSize': { min: 16, max: 1024, step: 16 },
+        'visual.contour.grayMin': { min: 0, max: 255, step: 1 },
+        'visual.contour.grayMax': { min: 0, max: 255, step: 1 },
+        'visual.contour.minimumChangeValue': { min: 0, max: 255, step: 1 },
+        'visual.squareOverlay.size': { min: 10, max: 1000, step: 1 },
+        'visual.particles.recirculationFlow': { min: -2, max: 2, step: 0.05 },
+        'background.visual.static.grayMax': { min: 0, max: 255, step: 1 },
+        'background.visual.top.grayMax': { min: 0, max: 400, step: 1 },
+        'background.motion.angleVariationMaxRad': { min: 0, max: 6.283, step: 0.01 }
+    };
+
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    function getPath(obj, dotted) {
+        return dotted.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+    }
+
+    function setPath(obj, dotted, value) {
+        const parts = dotted.split('.');
+        let node = obj;
+        for (let i = 0; i < parts.length - 1; i++) {
+            if (!isObject(node[parts[i]])) node[parts[i]] = {};
+            node = node[parts[i]];
+        }
+        node[parts[parts.length - 1]] = value;
+    }
+
+    function isColor(key, value) {
+        return /^#[0-9a-f]{3,8}$/i.test(value) || /color$/i.test(key);
+    }
+
+    // Range guessed from the current value: fractions get 0..1, other numbers 0..4x (signed when negative)
+    function guessRange(value) {
+        const integer = Number.isInteger(value);
+        if (value >= 0 && value <= 1 && !integer) return { min: 0, max: 1, step: 0.01 };
+        const span = Math.max(1, Math.abs(value) * 4);
+        const max = integer ? Math.ceil(span) : span;
+        const step = integer ? 1 : Number((max / 200).toPrecision(2));
+        return { min: value < 0 ? -max : 0, max, step };
+    }
+
+    // Control descriptor for one key, or null when it is not editable here
+    function controlFor(path, value) {
+        if (EXCLUDED.includes(path)) return null;
+        const key = path.slice(path.lastIndexOf('.') + 1);
+        if (OPTIONS[path]) return { path, kind: 'select', value, options: OPTIONS[path] };
+        if (typeof value === 'boolean') return { path, kind: 'checkbox', value };
+        if (typeof value === 'number' || (value === null && RANGES[path])) {
+            return Object.assign({ path, kind: 'range', value }, RANGES[path] || guessRange(value));
+        }
+        if (typeof value === 'string' && isColor(key, value)) return { path, kind: 'color', value };
+        return null;
+    }
+
+    // Grouped control descriptors: [{ path, label, controls: [...] }] per (sub)section, in config order
+    function describe(config, sections = SECTIONS) {
+        const groups = [];
+        const walk = (node, prefix) => {
+            const group = { path: prefix, label: prefix, controls: [] };
+            groups.push(group);
+            for (const key of Object.keys(node)) {
+                const path = `${prefix}.${key}`;
+                if (prefix === 'performance' && !PERFORMANCE_KEYS.includes(key)) continue;
+                if (isObject(node[key])) {
+                    walk(node[key], path);
+                    continue;
+                }
+                const control = controlFor(path, node[key]);
+                if (control) group.controls.push(control);
+            }
+        };
+        for (const section of sections) {
+            if (isObject(config[section])) walk(config[section], section);
+        }
+        return groups.filter(g => g.controls.length);
+    }
+
+    // What has to be rebuilt after `path` changed:
+    //   'brush'      brush kernel, variants, Gaussian kernel and decay (ThermalSimulation.configureBrush)
+    //   'gpu'        a new GPUCompute (batch size, field precision, GPU on/off)
+    //   'contour'    the background's contour cache (_prepareContourConfig)
+    //   'colormap'   the render lookup table (ThermalBrush.updateColormap)
+    //   'background' the background layers / square overlay (CustomBackground.applyConfig)
+    // Everything else is read from the config every frame.
+    function actionsFor(path) {
+        if (/^(brush|thermal|smoothing|laser)\./.test(path) || path === 'performance.maxPositionsPerFrame') return ['brush'];
+        if (['performance.gpuBatchSize', 'performance.gpuFieldPrecision', 'performance.useGPU'].includes(path)) return ['gpu'];
+        if (path.startsWith('visual.contour.')) return ['contour'];
+        if (path.startsWith('visual.colormap.') && !path.startsWith('visual.colormap.colorbar.')) return ['colormap'];
+        if (path.startsWith('visual.squareOverlay.') || path.startsWith('background.')) return ['background'];
+        return [];
+    }
+
+    // Keys of the listed sections whose value differs from defaults, as a nested object
+    // (suitable for batch-runner.js --config)
+    function overrides(defaults, config, sections = SECTIONS) {
+        const out = {};
+        const walk = (a, b, prefix) => {
+            for (const key of Object.keys(b || {})) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (isObject(b[key])) walk(a ? a[key] : undefined, b[key], path);
+                else if (JSON.stringify(a ? a[key] : undefined) !== JSON.stringify(b[key])) setPath(out, path, b[key]);
+            }
+        };
+        for (const section of sections) walk(defaults[section], config[section], section);
+        return out;
+    }
+
+    // '#rgb' / '#rrggbbaa' / CSS names -> '#rrggbb' for <input type="color">; normalize(name) resolves names
+    function toPickerColor(value, normalize) {
+        let v = String(value);
+        if (!v.startsWith('#') && normalize) v = normalize(v);
+        if (/^#[0-9a-f]{3}$/i.test(v)) v = '#' + v.slice(1).split('').map(c => c + c).join('');
+        return /^#[0-9a-f]{6}/i.test(v) ? v.slice(0, 7).toLowerCase() : '#000000';
+    }
+
+    // Build the panel DOM into container. opts.onChange(path, value, control) runs after the config
+    // is updated: on every slider move for keys without rebuild actions, on release otherwise.
+    function build(container, config, opts = {}) {
+        const doc = container.ownerDocument || document;
+        const onChange = opts.onChange || (() => {});
+        const probe = doc.createElement('canvas').getContext('2d');
+        const normalize = (name) => {
+            if (!probe) return name;
+            probe.fillStyle = '#000000';
+            probe.fillStyle = name;
+            return probe.fillStyle;
+        };
+        const format = (v) => (typeof v === 'number' ? String(Number(v.toPrecision(4))) : String(v));
+        container.innerHTML = '';
+
+        for (const group of describe(config, opts.sections)) {
+            const fieldset = doc.createElement('fieldset');
+            const legend = doc.createElement('legend');
+            legend.textContent = group.label;
+            fieldset.appendChild(legend);
+
+            for (const control of group.controls) {
+                const row = doc.createElement('label');
+                row.className = 'settingRow';
+                const name = doc.createElement('span');
+                name.textContent = control.path.slice(group.path.length + 1);
+                row.appendChild(name);
+
+                let input;
+                const valueEl = doc.createElement('span');
+                valueEl.className = 'settingValue';
+                const commit = (value) => {
+                    setPath(config, control.path, value);
+                    onChange(control.path, value, control);
+                };
+
+                if (control.kind === 'select') {
+                    input = doc.createElement('select');
+                    for (const option of control.options) {
+                        const el = doc.createElement('option');
+                        el.value = el.textContent = option;
+                        input.appendChild(el);
+                    }
+                    input.value = control.value;
+                    input.addEventListener('change', () => commit(input.value));
+                } else if (control.kind === 'checkbox') {
+                    input = doc.createElement('input');
+                    input.type = 'checkbox';
+                    input.checked = control.value;
+                    input.addEventListener('change', () => commit(input.checked));
+                } else if (control.kind === 'color') {
+                    input = doc.createElement('input');
+                    input.type = 'color';
+                    input.value = toPickerColor(control.value, normalize);
+                    // Keep an 8-digit colour's alpha suffix
+                    const alpha = /^#[0-9a-f]{8}$/i.test(control.value) ? control.value.slice(7) : '';
+                    input.addEventListener('input', () => commit(input.value + alpha));
+                } else {
+                    input = doc.createElement('input');
+                    input.type = 'range';
+                    input.min = control.min;
+                    input.max = control.max;
+                    input.step = control.step;
+                    input.value = control.value ?? control.min;
+                    valueEl.textContent = control.value === null ? 'off' : format(control.value);
+                    const live = actionsFor(control.path).length === 0;
+                    input.addEventListener('input', () => {
+                        valueEl.textContent = format(Number(input.value));
+                        if (live) commit(Number(input.value));
+                    });
+                    if (!live) input.addEventListener('change', () => commit(Number(input.value)));
+                }
+                row.appendChild(input);
+                row.appendChild(valueEl);
+                fieldset.appendChild(row);
+            }
+            container.appendChild(fieldset);
+        }
+    }
+
+    const SettingsPanel = { SECTIONS, OPTIONS, RANGES, getPath, setPath, controlFor, describe, actionsFor, overrides, toPickerColor, build };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SettingsPanel;
+    }
+    if (typeof window !== 'undefined') {
+        window.SettingsPanel = SettingsPanel;
+    }
+})();
@@ -0,0 +1,52 @@
+// Fixed-timestep clock: converts wall-clock time into a whole number of simulation steps
+// so the physics advances at the same rate on 60 Hz and 120 Hz displays.
+(function(){
+    class SimulationClock {
+        constructor(opts = {}) {
+            this.stepsPerSecond = Math.max(1, opts.stepsPerSecond ?? 60);
+            this.stepIntervalMs = 1000 / this.stepsPerSecond;
+            // Cap on catch-up work per rendered frame; any larger backlog is dropped
+            this.maxStepsPerFrame = Math.max(1, Math.floor(opts.maxStepsPerFrame ?? 4));
+            // Lockstep: exactly one step per rendered frame, independent of wall-clock timing, so a
+            // seeded run produces the same frame sequence on any machine
+            this.lockstep = !!opts.lockstep;
+            this.reset();
+        }
+
+        // Forget elapsed time (e.g. after a pause) so the next frame does not try to catch up
+        reset() {
+            this._lastTime = null;
+            this._accumulator = 0;
+        }
+
+        // Returns the number of fixed steps due at wall-clock time nowMs
+        advance(nowMs) {
+            if (this.lockstep) return 1;
+            if (this._lastTime === null) {
+                this._lastTime = nowMs;
+                return 0;
+            }
+            const elapsed = nowMs - this._lastTime;
+            this._lastTime = nowMs;
+            if (!(elapsed > 0)) return 0;
+
+            this._accumulator += elapsed;
+            // Small tolerance so RAF jitter around the interval doesn't alternate 0/2 steps
+            let steps = Math.floor(this._accumulator / this.stepIntervalMs + 1e-3);
+            if (steps > this.maxStepsPerFrame) {
+                steps = this.maxStepsPerFrame;
+                this._accumulator = 0;
+            } else {
+                this._accumulator = Math.max(0, this._accumulator - steps * this.stepIntervalMs);
+            }
+            return steps;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SimulationClock;
+    }
+    if (typeof window !== 'undefined') {
+        window.SimulationClock = SimulationClock;
+    }
+})();
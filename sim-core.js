@@ -0,0 +1,1237 @@
+// DOM-free thermal simulation core: fields, brush deposition, diffusion/conduction, decay, melt
+// masks, layers, scan playback and probes. Runs in Node with CPU physics (see tests/sim-core.test.js)
+// and underlies ThermalBrush in the browser, which adds the canvas, input and rendering.
+(function(){
+    const load = (file) => (typeof require === 'function' ? require(file) : null);
+    const ThermalUnitsRef = (typeof ThermalUnits !== 'undefined') ? ThermalUnits : load('./thermal-units.js');
+    const LaserModelRef = (typeof LaserModel !== 'undefined') ? LaserModel : load('./laser-model.js');
+    const BeamProfilesRef = (typeof BeamProfiles !== 'undefined') ? BeamProfiles : load('./beam-profiles.js');
+    const ScanPathModule = (typeof ScanPath !== 'undefined') ? { ScanPath, ScanPathPlayer } : load('./scan-path.js');
+    const LayerStackRef = (typeof LayerStack !== 'undefined') ? LayerStack : load('./layer-stack.js');
+    const SolidificationRef = (typeof SolidificationRecorder !== 'undefined') ? SolidificationRecorder : load('./solidification.js');
+    const ProbeSetRef = (typeof ProbeSet !== 'undefined') ? ProbeSet : load('./probes.js');
+
+    const FIELDS = ['thermal', 'persistentMask', 'maxThresholded', 'maxMolten', 'aboveThreshold'];
+
+    class ThermalSimulation {
+        // config: a BrushConfig-shaped object (defaults to the global BrushConfig).
+        // opts.useGPU: false forces the CPU path even where GPUCompute is available
+        constructor(config = (typeof BrushConfig !== 'undefined' ? BrushConfig : null), opts = {}) {
+            if (!config) throw new Error('ThermalSimulation: no config given');
+            this.config = config;
+            this.width = config.canvas.width;
+            this.height = config.canvas.height;
+            const simCfg = config.simulation || {};
+            this.dt = Math.max(0, simCfg.dt ?? 2e-5);
+            this.simTime = 0;
+            this.stepCounter = 0;
+            // True while step() runs (inputs arriving then feed the current step)
+            this._inStep = false;
+            // Field units (legacy normalized 0..1 or Kelvin with material temperatures)
+            this.units = ThermalUnitsRef.resolve(config);
+
+            // Initialize GPU compute if available
+            this.brushBatch = [];
+            this._gpuBrushScratch = null;
+            this._allowGPU = opts.useGPU !== false;
+            this.initGPU();
+
+            // Thermal data - using Float32Array for performance
+            this.thermalData = new Float32Array(this.width * this.height);
+            this.thermalData.fill(this.units.ambient);
+            this.persistentMask = new Uint8Array(this.width * this.height);
+
+            // Tracks whether a pixel is currently at/above threshold (boolean as 0/1)
+            this.aboveThreshold = new Uint8Array(this.width * this.height);
+            // Tracks the maximum intensity a pixel has reached while at/above threshold
+            this.maxThresholded = new Float32Array(this.width * this.height);
+            this.maxMolten = new Float32Array(this.width * this.height);
+            // On the GPU the three masks above are tracked in GPUCompute textures and copied down by
+            // syncMasksFromGPU(); isThereMolten then comes from fieldStats() when first read
+            this._masksStale = false;
+            // Region { minX, minY, maxX, maxY } outside which the CPU maxMolten is all zero (null: all
+            // zero); syncMoltenFromGPU() only reads this region and the current molten bounds
+            this._moltenRect = null;
+            this._fieldStats = null;
+            this.isThereMolten = false;
+            // Molten state at the last GPU field download (see downloadGPUField)
+            this._moltenAtSync = false;
+            // simTime and molten state when the asynchronous field readback in flight was requested
+            this._readbackTime = 0;
+            this._readbackMolten = false;
+            // GPU probe rows awaiting flushProbes(): { probes, positions, times }
+            this._probeBatch = null;
+            this._laserCarry = 0;
+            // Active scan path playback (see loadScanPath)
+            this.scanPlayer = null;
+            // Completed layers of a multi-layer build
+            this.layerStack = new LayerStackRef(this.width, this.height, { maxHistory: config.layers?.maxHistory });
+            // Solidification recorder (G, R, cooling rate per pixel)
+            const solidCfg = config.solidification || {};
+            this.solidification = (solidCfg.enabled === false) ? null : new SolidificationRef(this.width, this.height, {
+                pixelSizeUm: config.canvas.pixelSizeUm,
+                perKelvin: this.units.perKelvin
+            });
+            // Virtual thermocouples sampled every step
+            this.probes = new ProbeSetRef(config.probes);
+            // Positions waiting to be deposited, maxPositionsPerFrame per step
+            this.positionQueue = [];
+            this.prevSmooth = null;
+            this.configureBrush();
+        }
+
+        // Informational messages (laser model, layers, scan paths); silent unless debug.logEvents so the
+        // headless core keeps stdout clean
+        logEvent(...parts) {
+            if (this.config.debug?.logEvents) console.log(...parts);
+        }
+
+        // Create the GPU backend when allowed by opts.useGPU and config.performance.useGPU;
+        // leaves the CPU path selected when unavailable
+        initGPU() {
+            const perf = this.config.performance || {};
+            this.useGPU = false;
+            this.gpuCompute = null;
+            this.maxBatchSize = Math.max(1, perf.gpuBatchSize || 8);
+            if (!this._allowGPU || perf.useGPU === false) return false;
+            let fieldPrecision = perf.gpuFieldPrecision;
+            if (fieldPrecision === 'float16' && this.units.isPhysical) {
+                // Half floats step by 1-2 K at 1000-4000 K, so per-step decay and conduction would round away
+                console.warn('gpuFieldPrecision float16 cannot resolve a Kelvin field; using float32');
+                fieldPrecision = 'float32';
+            }
+            try {
+                if (typeof GPUCompute !== 'undefined') {
+                    this.gpuCompute = new GPUCompute(this.width, this.height, perf.gpuBatchSize, { fieldPrecision });
+                    if (this.gpuCompute && this.gpuCompute.supported) {
+                        this.useGPU = true;
+                        this.maxBatchSize = this.gpuCompute.maxBrushBatchSize;
+                        // Start the GPU field at ambient temperature
+                        this.gpuCompute.clear(this.units.ambient);
+                    }
+                }
+            } catch (error) {
+                console.warn('GPU initialization failed, using CPU fallback:', error);
+                this.useGPU = false;
+                this.gpuCompute = null;
+            }
+            return this.useGPU;
+        }
+
+        // Replace the GPU backend after a GPU-related config change (batch size, field precision, useGPU),
+        // carrying the current field and mask state over through the CPU copies. The old instance is
+        // disposed first so its WebGL context is released rather than left for the browser to drop.
+        reinitGPU() {
+            this.flushBrushBatch();
+            this.flushProbes();
+            if (this.useGPU) {
+                try {
+                    this.syncFromGPU();
+                } catch (error) {
+                    console.warn('GPU download before re-initialisation failed, keeping the last CPU copy:', error);
+                }
+            }
+            if (this.gpuCompute && typeof this.gpuCompute.dispose === 'function') this.gpuCompute.dispose();
+            this.gpuCompute = null;
+            this.initGPU();
+            if (this.useGPU) {
+                this.gpuCompute.uploadThermalData(this.thermalData);
+                this.gpuCompute.uploadMaskData({ persistent: this.persistentMask, peak: this.maxThresholded, molten: this.maxMolten });
+                this._moltenRect = { minX: 0, minY: 0, maxX: this.width - 1, maxY: this.height - 1 };
+                this.uploadBrushKernels();
+            }
+            return this.useGPU;
+        }
+
+        // Derive the brush, kernels and decay from the config. Called by the constructor and again after
+        // live edits (brush, thermal, laser, smoothing or maxPositionsPerFrame). The unit system and canvas
+        // size are fixed, but the threshold (brush.threshold) and material temperatures are re-resolved.
+        configureBrush() {
+            const config = this.config;
+            this.units = ThermalUnitsRef.resolve(config);
+            if (this.solidification) this.solidification.perKelvin = this.units.perKelvin;
+            // Optional physical laser model (power/speed/spot); null keeps the legacy brush parameters
+            this.laser = LaserModelRef ? LaserModelRef.resolve(config) : null;
+            this.brushRadius = this.laser ? Math.max(1, Math.round(this.laser.spotRadiusPx)) : config.brush.radius;
+            this.thermalModel = (config.thermal?.model === 'conduction') ? 'conduction' : 'blur';
+            this.conduction = this.thermalModel === 'conduction' ? this.configureConduction() : null;
+            // In the conduction model the brush variants are diffused by the Gaussian equivalent of one timestep
+            this.blurSigma = this.conduction ? this.conduction.sigmaPx : config.thermal.blurSigma;
+            this.threshold = this.units.threshold;
+            this.brushIntensity = this.units.scaleDelta(config.brush.intensity);
+            // centerMultiplier may have been removed from config; provide a sensible default.
+            // The laser model deposits its energy through the kernel only, so the extra center dot is disabled.
+            this.centerMultiplier = (config.thermal && typeof config.thermal.centerMultiplier === 'number') ? config.thermal.centerMultiplier : 1.0;
+            if (this.laser) this.centerMultiplier = 0;
+
+            this.maxPositionsPerFrame = Math.max(1, config.performance?.maxPositionsPerFrame || 1);
+
+            // Smoothing properties
+            this.smoothAlpha = config.smoothing.alpha;
+
+            // Always initialize CPU components (needed for fallback)
+            this.brush = this.createFeatheredBrush(this.brushRadius);
+            this.initializeGaussianKernel();
+            if (this.laser) {
+                // Spread each position's absorbed energy over the kernel: per-pixel rise = E / (rho * cp * V) / sum(kernel)
+                let kernelSum = 0;
+                for (let k = 0; k < this.brush.data.length; k++) kernelSum += this.brush.data[k];
+                this.brushIntensity = this.units.kelvinToDelta(this.laser.temperatureRiseFor(kernelSum));
+                this.logEvent(`Laser model: ${this.laser.describe()}, ${this.laser.spacingPx.toFixed(3)} px between positions`);
+            }
+
+            // Precompute per-step decay factor so we can bake it into brush variants
+            this.decayTime = (config.thermal && config.thermal.decayTime > 0) ? config.thermal.decayTime : 0;
+            this._configuredDecay = this.decayFactorFor(this.dt);
+            this._stepDecay = this.decayFactorFor(this.dt / Math.max(1, this.maxPositionsPerFrame));
+            this.buildBrushVariants();
+            this.uploadBrushKernels();
+        }
+
+        // Hand the exact CPU kernels to the GPU brush shader so both paths deposit the same profile
+        uploadBrushKernels() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                if (!this.gpuCompute.setBrushKernels(this.brushVariants, { centerMultiplier: this.centerMultiplier })) {
+                    console.warn('GPU brush kernels unavailable; GPU brush falls back to the analytic cone');
+                }
+            }
+        }
+
+        // Precompute diffused brush variants (Gaussian-blur of base kernel), one per position slot in a step
+        buildBrushVariants() {
+            this.brushVariants = [];
+            this.brushVariantRadii = [];
+            try {
+                const base = this.brush;
+
+                // We'll create variants by computing a single padded separable gaussian blur of the base kernel
+                // and linearly interpolating intermediate variants between the base and the blurred result.
+                if (!this.gaussianKernel) this.initializeGaussianKernel();
+                // Create one maximum-blur variant (single pass with padding equal to kernel radius)
+                const blurredMax = this.createBlurredVariant(base);
+                const outSize = blurredMax.size;
+
+                // Create padded base array matching outSize
+                const pad = Math.floor((outSize - base.size) / 2);
+                const basePadded = new Float32Array(outSize * outSize);
+                for (let by = 0; by < base.size; by++) {
+                    for (let bx = 0; bx < base.size; bx++) {
+                        basePadded[(by + pad) * outSize + (bx + pad)] = base.data[by * base.size + bx];
+                    }
+                }
+
+                for (let i = 0; i < this.maxPositionsPerFrame; i++) {
+                    const t = (this.maxPositionsPerFrame === 1) ? 0 : (i / (this.maxPositionsPerFrame - 1));
+                    // Interpolate between basePadded and blurredMax.data
+                    const data = new Float32Array(outSize * outSize);
+                    for (let k = 0; k < data.length; k++) {
+                        data[k] = basePadded[k] * (1 - t) + blurredMax.data[k] * t;
+                    }
+
+                    // Bake step-decay scaling into the precomputed variant so we don't need to
+                    // multiply the entire thermal field per-position in the step loop.
+                    // Position n = i+1 of N is deposited (N - n)/N of a step before the step's decay,
+                    // i.e. it has cooled for n/N * dt less; scale by the decay over n/N * dt of simulated time.
+                    const variantDecayScale = this.decayFactorFor(this.dt * (i + 1) / this.maxPositionsPerFrame);
+                    if (variantDecayScale !== 1.0) {
+                        for (let k = 0; k < data.length; k++) data[k] *= variantDecayScale;
+                    }
+
+                    this.brushVariants.push({ data, size: outSize, decayScale: variantDecayScale });
+                    this.brushVariantRadii.push(Math.floor((outSize - 1) / 2));
+                }
+            } catch (e) {
+                // fallback: single variant equals base
+                // ensure fallback variant includes decayScale
+                this.brushVariants = [ Object.assign({ decayScale: 1.0 }, this.brush) ];
+                this.brushVariantRadii = [ Math.floor((this.brush.size - 1) / 2) ];
+            }
+        }
+
+        // Hooks for the renderer: called at the start of every step and for every deposited position
+        onStepStart() {}
+        onBrushPosition(pos) {}
+
+        // Queue is empty and no scan path is playing
+        get idle() {
+            return this.positionQueue.length === 0 && !this.scanPlayer;
+        }
+
+        // Advance n steps
+        run(steps = 1) {
+            for (let i = 0; i < steps; i++) this.step();
+            return this;
+        }
+
+        // Step until the queue and scan playback are drained, plus `settle` extra steps of cooling;
+        // returns the number of steps taken (capped at maxSteps)
+        runUntilIdle(maxSteps = 1e6, settle = 0) {
+            let taken = 0;
+            while (!this.idle && taken < maxSteps) {
+                this.step();
+                taken++;
+            }
+            for (let i = 0; i < settle && taken < maxSteps; i++, taken++) this.step();
+            return taken;
+        }
+
+        // Current copy of a field: 'thermal', 'persistentMask', 'maxThresholded', 'maxMolten' or 'aboveThreshold'.
+        // GPU data is downloaded first so the result is always up to date
+        getField(name) {
+            if (!FIELDS.includes(name)) throw new Error(`ThermalSimulation: unknown field '${name}'`);
+            if (name === 'thermal') {
+                this.syncFromGPU();
+                return this.thermalData;
+            }
+            this.syncMasksFromGPU();
+            return this[name];
+        }
+
+        // Whole-field statistics after the latest step, cached until the next one:
+        // { sum, mean, max, above, persistent, bounds } with above = pixels over the melt threshold,
+        // persistent = melted pixels and bounds = { minX, minY, maxX, maxY } around the molten pixels
+        // (null when none). Reduced on the GPU without downloading the field.
+        fieldStats() {
+            if (this._fieldStats) return this._fieldStats;
+            let stats = null;
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    stats = this.gpuCompute.reduceStats(this.threshold);
+                } catch (error) {
+                    console.warn('GPU field statistics failed, using the CPU copy:', error);
+                }
+            }
+            stats = stats || this.computeFieldStatsCPU();
+            stats.mean = stats.sum / (this.width * this.height);
+            this._fieldStats = stats;
+            return stats;
+        }
+
+        computeFieldStatsCPU() {
+            const thr = this.threshold;
+            const w = this.width;
+            let sum = 0, max = -Infinity, above = 0, persistent = 0;
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (let i = 0; i < this.thermalData.length; i++) {
+                const v = this.thermalData[i];
+                sum += v;
+                if (v > max) max = v;
+                if (this.persistentMask[i]) persistent++;
+                if (v > thr) {
+                    above++;
+                    const x = i % w, y = (i - x) / w;
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+            return { sum, max, above, persistent, bounds: above ? { minX, minY, maxX, maxY } : null };
+        }
+
+        // Whether any pixel is above the melt threshold after the latest step. On the GPU with
+        // performance.gpuAsyncReadback the reduction's result arrives a frame or more later, so unless
+        // this step's statistics were already reduced the value lags behind by that much.
+        get isThereMolten() {
+            if (!this._moltenStale) return this._isThereMolten;
+            const gpu = this.gpuCompute;
+            if (!this._fieldStats && this.useGPU && gpu && gpu.supported && this.config.performance?.gpuAsyncReadback !== false) {
+                try {
+                    const stats = gpu.pollStatsReadback();
+                    if (stats) this._isThereMolten = stats.above > 0;
+                    if (gpu.requestStatsReadback(this.threshold)) this._moltenStale = false;
+                    return this._isThereMolten;
+                } catch (error) {
+                    console.warn('GPU statistics readback failed, reducing synchronously:', error);
+                }
+            }
+            this._moltenStale = false;
+            this._isThereMolten = this.fieldStats().above > 0;
+            return this._isThereMolten;
+        }
+
+        set isThereMolten(value) {
+            this._isThereMolten = !!value;
+            this._moltenStale = false;
+        }
+
+        // Field value at a pixel (field units)
+        sample(x, y) {
+            const xi = Math.floor(x), yi = Math.floor(y);
+            if (xi < 0 || yi < 0 || xi >= this.width || yi >= this.height) return NaN;
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) return this.gpuCompute.readThermalPixel(xi, yi);
+            return this.thermalData[yi * this.width + xi];
+        }
+
+        // Pull the GPU field into thermalData (validated) and sample solidification from it;
+        // any failure falls back to the CPU path with the last good copy.
+        // With performance.gpuAsyncReadback the copy arrives a frame or more later (solidification is
+        // sampled at the time it was requested) and this returns false until it has, so thermalData can
+        // be older than the masks; opts.wait forces a blocking download for readers that need both.
+        downloadGPUField(opts = {}) {
+            if (!this.useGPU || !this.gpuCompute || !this.gpuCompute.supported) return false;
+            try {
+                let thermal;
+                let time = this.simTime;
+                let molten = this.isThereMolten;
+                if (this.config.performance?.gpuAsyncReadback !== false && !opts.wait) {
+                    thermal = this.gpuCompute.pollThermalReadback();
+                    time = this._readbackTime;
+                    molten = this._readbackMolten;
+                    if (this.gpuCompute.requestThermalReadback()) {
+                        this._readbackTime = this.simTime;
+                        this._readbackMolten = this.isThereMolten;
+                    }
+                    // Still in flight: keep the previous copy
+                    if (!thermal) return false;
+                } else {
+                    this.gpuCompute.cancelThermalReadback();
+                    thermal = this.gpuCompute.downloadThermalData();
+                }
+                if (thermal && thermal.length === this.thermalData.length) {
+                    // Check if data is valid (not NaN or infinite)
+                    let valid = true;
+                    for (let i = 0; i < thermal.length; i += 100) { // Sample check
+                        if (!Number.isFinite(thermal[i])) {
+                            valid = false;
+                            break;
+                        }
+                    }
+                    if (valid) {
+                        this.thermalData.set(thermal);
+                        this._moltenAtSync = molten;
+                        // On the GPU the field is only visible here, so solidification is sampled per sync
+                        if (this.solidification) this.solidification.update(this.thermalData, this.threshold, time);
+                        return true;
+                    }
+                    console.warn('GPU thermal data contains invalid values, falling back to CPU');
+                    this.useGPU = false;
+                } else {
+                    console.warn('GPU thermal download failed or size mismatch, falling back to CPU');
+                    this.useGPU = false;
+                }
+            } catch (error) {
+                console.warn('GPU render sync failed, using current CPU data:', error);
+                this.useGPU = false;
+            }
+            return false;
+        }
+
+        // Fraction of excess temperature remaining after `seconds` of simulated time.
+        // decayTime (s) gives exp(-t/tau); otherwise decayRate is applied once per step of dt.
+        decayFactorFor(seconds) {
+            if (this.decayTime > 0) return Math.exp(-seconds / this.decayTime);
+            const decayRate = (this.config.thermal && typeof this.config.thermal.decayRate === 'number') ? this.config.thermal.decayRate : 1.0;
+            if (!(this.dt > 0)) return decayRate;
+            return Math.pow(decayRate, seconds / this.dt);
+        }
+
+        // Synchronize GPU buffers back into CPU arrays for rendering/metrics
+        // Throttled by caller usage; kept lightweight and robust here
+        syncFromGPU() {
+            if (!this.useGPU || !this.gpuCompute || !this.gpuCompute.supported) return;
+            // Download thermal field; an asynchronous copy still in flight would be older than this one
+            this.gpuCompute.cancelThermalReadback();
+            const thermal = this.gpuCompute.downloadThermalData();
+            if (!thermal || thermal.length !== this.thermalData.length) {
+                throw new Error('GPU thermal download failed or size mismatch');
+            }
+            this.thermalData.set(thermal);
+            this.syncMasksFromGPU();
+        }
+
+        // Copy the GPU mask state into persistentMask / maxThresholded / maxMolten when steps ran since
+        // the last copy
+        syncMasksFromGPU() {
+            if (!this._masksStale || !this.useGPU || !this.gpuCompute || !this.gpuCompute.supported) return;
+            const masks = this.gpuCompute.downloadMaskData();
+            if (!masks || masks.peak.length !== this.maxThresholded.length) {
+                throw new Error('GPU mask download failed or size mismatch');
+            }
+            this.persistentMask.set(masks.persistent);
+            this.maxThresholded.set(masks.peak);
+            this.maxMolten.set(masks.molten);
+            this._masksStale = false;
+            this._moltenRect = this.fieldStats().bounds;
+        }
+
+        // Copy only maxMolten from the GPU (contour overlay). The molten peak is zero outside the molten
+        // bounds, so reading those plus the previously molten region is enough to also clear what has
+        // cooled since. The other masks stay stale.
+        syncMoltenFromGPU() {
+            if (!this._masksStale || !this.useGPU || !this.gpuCompute || !this.gpuCompute.supported) return;
+            const bounds = this.fieldStats().bounds;
+            const prev = this._moltenRect;
+            this._moltenRect = bounds;
+            const rect = !prev ? bounds : !bounds ? prev : {
+                minX: Math.min(prev.minX, bounds.minX),
+                minY: Math.min(prev.minY, bounds.minY),
+                maxX: Math.max(prev.maxX, bounds.maxX),
+                maxY: Math.max(prev.maxY, bounds.maxY)
+            };
+            if (!rect) return;
+            const w = rect.maxX - rect.minX + 1;
+            const h = rect.maxY - rect.minY + 1;
+            const molten = this.gpuCompute.readMoltenRegion(rect.minX, rect.minY, w, h);
+            if (!molten || molten.length !== w * h) {
+                throw new Error('GPU molten download failed or size mismatch');
+            }
+            for (let y = 0; y < h; y++) {
+                this.maxMolten.set(molten.subarray(y * w, (y + 1) * w), (rect.minY + y) * this.width + rect.minX);
+            }
+        }
+
+        // Build the base kernel for the configured beam profile (config.brush.profile, default cone)
+        createFeatheredBrush(radius) {
+            this.beamProfile = BeamProfilesRef.resolve(this.config.brush, radius);
+            return BeamProfilesRef.buildKernel(this.beamProfile);
+        }
+
+        // Create a blurred variant of a square brush kernel using the precomputed separable gaussian kernel
+        // Performs a single padded separable convolution and returns the padded blurred result
+        createBlurredVariant(baseBrush) {
+            // baseBrush: { data: Float32Array, size: number }
+            const baseSize = baseBrush.size;
+            const kernel = this.gaussianKernel;
+            const kRadius = Math.floor(kernel.length / 2);
+
+            // Pad by kernel radius so blurred output can expand naturally
+            const pad = kRadius;
+            const outSize = baseSize + pad * 2;
+
+            // Create padded source and copy base brush into the center
+            const src = new Float32Array(outSize * outSize);
+            for (let by = 0; by < baseSize; by++) {
+                for (let bx = 0; bx < baseSize; bx++) {
+                    src[(by + pad) * outSize + (bx + pad)] = baseBrush.data[by * baseSize + bx];
+                }
+            }
+
+            const temp = new Float32Array(outSize * outSize);
+            const out = new Float32Array(outSize * outSize);
+
+            // Horizontal pass: src -> temp
+            for (let y = 0; y < outSize; y++) {
+                for (let x = 0; x < outSize; x++) {
+                    let s = 0;
+                    const startX = Math.max(0, x - kRadius);
+                    const endX = Math.min(outSize - 1, x + kRadius);
+                    for (let nx = startX; nx <= endX; nx++) {
+                        const kIdx = nx - x + kRadius;
+                        s += src[y * outSize + nx] * kernel[kIdx];
+                    }
+                    temp[y * outSize + x] = s;
+                }
+            }
+
+            // Vertical pass: temp -> out
+            for (let y = 0; y < outSize; y++) {
+                for (let x = 0; x < outSize; x++) {
+                    let s = 0;
+                    const startY = Math.max(0, y - kRadius);
+                    const endY = Math.min(outSize - 1, y + kRadius);
+                    for (let ny = startY; ny <= endY; ny++) {
+                        const kIdx = ny - y + kRadius;
+                        s += temp[ny * outSize + x] * kernel[kIdx];
+                    }
+                    out[y * outSize + x] = s;
+                }
+            }
+
+            return { data: out, size: outSize };
+        }
+
+        // On the GPU each step's probe values are drawn into one row of a small texture and recorded by
+        // flushProbes() (once per frame, or when the rows run out) instead of a readPixels per probe
+        recordProbes() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    const probes = this.probes.probes;
+                    const batch = this._probeBatch;
+                    if (batch && (batch.probes.length !== probes.length || batch.probes.some((p, i) => p !== probes[i]))) {
+                        this.flushProbes();
+                    }
+                    if (!this._probeBatch) {
+                        const positions = new Float32Array(probes.length * 2);
+                        probes.forEach((p, i) => { positions[i * 2] = p.x; positions[i * 2 + 1] = p.y; });
+                        this._probeBatch = { probes: probes.slice(), positions, times: [] };
+                    }
+                    const { positions, times } = this._probeBatch;
+                    if (this.gpuCompute.sampleProbes(positions, times.length)) {
+                        times.push(this.simTime);
+                        if (times.length >= this.gpuCompute.probeRows) this.flushProbes();
+                        return;
+                    }
+                } catch (error) {
+                    console.warn('GPU probe sampling failed, reading probe pixels directly:', error);
+                    this._probeBatch = null;
+                }
+            }
+            const gpu = this.useGPU && this.gpuCompute && this.gpuCompute.supported;
+            const sample = gpu
+                ? (x, y) => this.gpuCompute.readThermalPixel(x, y)
+                : (x, y) => this.thermalData[y * this.width + x];
+            try {
+                this.probes.record(this.simTime, sample, this.threshold);
+            } catch (error) {
+                console.warn('Probe sampling failed:', error);
+            }
+        }
+
+        // Record the probe rows sampled on the GPU since the last flush (no-op on the CPU path)
+        flushProbes() {
+            const batch = this._probeBatch;
+            this._probeBatch = null;
+            if (!batch || !batch.times.length || !this.gpuCompute || !this.gpuCompute.supported) return;
+            try {
+                const n = batch.probes.length;
+                const values = this.gpuCompute.readProbeSamples(batch.times.length, n);
+                if (!values) return;
+                batch.times.forEach((time, r) => {
+                    this.probes.recordValues(time, values.subarray(r * n, (r + 1) * n), this.threshold, batch.probes);
+                });
+            } catch (error) {
+                console.warn('GPU probe readback failed:', error);
+            }
+        }
+
+        // Finish the current layer: store its melt mask and peak temperatures, then spread fresh powder.
+        // Only residualHeat of the heat above ambient survives into the new layer.
+        recoatLayer() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.syncFromGPU();
+                } catch (error) {
+                    console.warn('GPU recoat sync failed:', error);
+                    this.useGPU = false;
+                }
+            }
+
+            const layer = this.layerStack.push(this.persistentMask, this.maxThresholded, { simTime: this.simTime });
+            this.logEvent(`Layer ${layer.index} stored: ${layer.fusedArea} px fused`);
+
+            const residual = Math.max(0, Math.min(1, this.config.layers?.residualHeat ?? 0));
+            const ambient = this.units.ambient;
+            for (let i = 0; i < this.thermalData.length; i++) {
+                this.thermalData[i] = ambient + (this.thermalData[i] - ambient) * residual;
+            }
+            if (this.tempBuffer) this.tempBuffer.fill(0);
+            this.persistentMask.fill(0);
+            this.maxThresholded.fill(0);
+            this.maxMolten.fill(0);
+            this._moltenRect = null;
+            this.aboveThreshold.fill(0);
+            this.isThereMolten = false;
+            this._fieldStats = null;
+
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.gpuCompute.clear(ambient);
+                    this.gpuCompute.uploadThermalData(this.thermalData);
+                    this.brushBatch.length = 0;
+                } catch (error) {
+                    console.warn('GPU recoat upload failed:', error);
+                    this.useGPU = false;
+                }
+            }
+
+            if (this.solidification) this.solidification.reset();
+            return layer;
+        }
+
+        // Parse a scan path file and start replaying it at the commanded speeds
+        loadScanPath(text, name = '') {
+            const path = ScanPathModule.ScanPath.parse(text, name);
+            if (!path.moves.length) {
+                console.warn(`Scan path ${name || '(unnamed)'} contains no moves`);
+                return null;
+            }
+            this.logEvent(`Loaded ${path.format} scan path ${name}: ${path.moves.length} moves, ${path.layers} layer(s)`);
+            return this.playScanPath(path);
+        }
+
+        // Replay a ScanPath; placement overrides config.scanPath (e.g. generated paths are already in canvas mm)
+        playScanPath(path, placement = {}) {
+            const cfg = this.config.scanPath || {};
+            this.scanPlayer = new ScanPathModule.ScanPathPlayer(path, {
+                pixelSizeUm: this.config.canvas.pixelSizeUm,
+                width: this.width,
+                height: this.height,
+                placement: placement.placement ?? cfg.placement,
+                flipY: placement.flipY ?? cfg.flipY,
+                jumpSpeedMmS: cfg.jumpSpeedMmS,
+                markSpeedMmS: cfg.markSpeedMmS ?? this.laser?.scanSpeedMmS ?? this.config.laser?.scanSpeedMmS,
+                positionsPerStep: this.maxPositionsPerFrame,
+                enqueue: (pos) => {
+                    // Off-canvas parts of the path are skipped rather than clamped onto the edge
+                    if (pos.x < 0 || pos.y < 0 || pos.x >= this.width || pos.y >= this.height) return;
+                    this.enqueuePosition(pos, { allowRepeat: true });
+                }
+            });
+            return this.scanPlayer;
+        }
+
+        stopScanPath() {
+            this.scanPlayer = null;
+        }
+
+        // Allow external components (e.g., background) to enqueue a draw position.
+        // allowRepeat keeps consecutive duplicates, which timed playback relies on for dwell.
+        enqueuePosition(pos, options = {}) {
+            if (!pos || typeof pos.x !== 'number' || typeof pos.y !== 'number') return;
+            const x = Math.max(0, Math.min(this.width - 1, Math.floor(pos.x)));
+            const y = Math.max(0, Math.min(this.height - 1, Math.floor(pos.y)));
+            const last = this.positionQueue[this.positionQueue.length - 1];
+            if (options.allowRepeat || !last || last.x !== x || last.y !== y) {
+                this.positionQueue.push({ x, y });
+                if (this.config.debug?.logInputPositions) {
+                    console.log('[Input] enqueuePosition: added', { x, y });
+                }
+            }
+        }
+
+        addLinePositions(start, end) {
+            if (this.laser) {
+                this.addLinePositionsLaser(start, end);
+            } else if (this.config.smoothing.useBresenham) {
+                this.addLinePositionsBresenham(start, end);
+            } else {
+                this.addLinePositionsLinear(start, end);
+            }
+        }
+
+        addLinePositionsBresenham(start, end) {
+            let x0 = Math.floor(start.x);
+            let y0 = Math.floor(start.y);
+            let x1 = Math.floor(end.x);
+            let y1 = Math.floor(end.y);
+
+            const dx = Math.abs(x1 - x0);
+            const dy = Math.abs(y1 - y0);
+            const sx = x0 < x1 ? 1 : -1;
+            const sy = y0 < y1 ? 1 : -1;
+            let err = dx - dy;
+
+            while (true) {
+                // Apply EMA smoothing
+                let smoothedPos;
+                if (!this.prevSmooth) {
+                    smoothedPos = { x: x0, y: y0 };
+                    this.prevSmooth = smoothedPos;
+                } else {
+                    const a = this.smoothAlpha;
+                    smoothedPos = {
+                        x: Math.round(a * x0 + (1 - a) * this.prevSmooth.x),
+                        y: Math.round(a * y0 + (1 - a) * this.prevSmooth.y)
+                    };
+                    this.prevSmooth = smoothedPos;
+                }
+                // Only add if position is different from the last one in queue
+                const lastPos = this.positionQueue[this.positionQueue.length - 1];
+                if (!lastPos || lastPos.x !== smoothedPos.x || lastPos.y !== smoothedPos.y) {
+                    this.positionQueue.push({ x: smoothedPos.x, y: smoothedPos.y });
+                    if (this.config.debug?.logInputPositions) {
+                        console.log('[Input] addLinePositionsBresenham: added', { x: smoothedPos.x, y: smoothedPos.y });
+                    }
+                }
+                // Check if we've reached the end point
+                if (x0 === x1 && y0 === y1) break;
+                const e2 = 2 * err;
+                if (e2 > -dy) {
+                    err -= dy;
+                    x0 += sx;
+                }
+                if (e2 < dx) {
+                    err += dx;
+                    y0 += sy;
+                }
+            }
+        }
+
+        // Laser mode: walk the segment at the spacing implied by the commanded scan speed.
+        // Positions may repeat (dwell) when the spacing is below one pixel, so no de-duplication here.
+        addLinePositionsLaser(start, end, includeStart = false) {
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const spacing = Math.max(1e-3, this.laser.spacingPx);
+            if (includeStart) {
+                this.positionQueue.push({ x: Math.floor(start.x), y: Math.floor(start.y) });
+            }
+            if (distance <= 0) return;
+
+            // _laserCarry is the distance travelled since the last emitted position (kept across segments)
+            let d = spacing - this._laserCarry;
+            while (d <= distance) {
+                const t = d / distance;
+                const pos = { x: Math.floor(start.x + dx * t), y: Math.floor(start.y + dy * t) };
+                this.positionQueue.push(pos);
+                if (this.config.debug?.logInputPositions) {
+                    console.log('[Input] addLinePositionsLaser: added', pos);
+                }
+                d += spacing;
+            }
+            this._laserCarry = distance - (d - spacing);
+        }
+
+        addLinePositionsLinear(start, end) {
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= 0) return;
+
+            const steps = Math.max(1, Math.ceil(distance));
+            for (let i = 0; i <= steps; i++) {
+                const t = i / steps;
+                const x = Math.floor(start.x + dx * t);
+                const y = Math.floor(start.y + dy * t);
+                // EMA smoothing
+                if (!this.prevSmooth) {
+                    this.prevSmooth = { x, y };
+                } else {
+                    const a = this.smoothAlpha;
+                    this.prevSmooth = {
+                        x: Math.round(a * x + (1 - a) * this.prevSmooth.x),
+                        y: Math.round(a * y + (1 - a) * this.prevSmooth.y),
+                    };
+                }
+                // Only add if position is different from the last one in queue
+                const lastPos = this.positionQueue[this.positionQueue.length - 1];
+                if (!lastPos || lastPos.x !== this.prevSmooth.x || lastPos.y !== this.prevSmooth.y) {
+                    this.positionQueue.push({ x: this.prevSmooth.x, y: this.prevSmooth.y });
+                    if (this.config.debug?.logInputPositions) {
+                        console.log('[Input] addLinePositionsLinear: added', { x: this.prevSmooth.x, y: this.prevSmooth.y });
+                    }
+                }
+            }
+        }
+
+        applyBrush(x, y) {
+            if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    // Batch brush applications for GPU
+                    this.brushBatch.push({ x, y });
+                    if (this.brushBatch.length >= this.maxBatchSize) {
+                        this.flushBrushBatch();
+                    }
+                } catch (error) {
+                    console.warn('GPU brush failed, falling back to CPU:', error);
+                    this.useGPU = false;
+                    this.applyBrushCPU(x, y);
+                }
+            } else {
+                // CPU path: pick a precomputed variant based on current queue length or a round-robin index
+                // Caller (animate) will pass variant -> fallback here to base
+                this.applyBrushCPU(x, y, this.brush);
+            }
+        }
+
+        applyBrushCPU(x, y, brushObj) {
+            // brushObj is expected to be { data: Float32Array, size: number }
+            const brush = brushObj || this.brush;
+            const brushSizeLocal = brush.size;
+            // Derive local radius from the brush size
+            const localRadius = Math.floor((brushSizeLocal - 1) / 2);
+
+            // Compute bounds using localRadius so larger/smaller variants are applied correctly
+            const startX = Math.max(0, x - localRadius);
+            const endX = Math.min(this.width, x + localRadius + 1);
+            const startY = Math.max(0, y - localRadius);
+            const endY = Math.min(this.height, y + localRadius + 1);
+
+            for (let cy = startY; cy < endY; cy++) {
+                for (let cx = startX; cx < endX; cx++) {
+                    const bx = cx - x + localRadius;
+                    const by = cy - y + localRadius;
+
+                    if (bx >= 0 && bx < brushSizeLocal && by >= 0 && by < brushSizeLocal) {
+                        const brushIndex = by * brushSizeLocal + bx;
+                        const canvasIndex = cy * this.width + cx;
+                        // Apply brush influence scaled by configured intensity
+                        this.thermalData[canvasIndex] += brush.data[brushIndex] * this.brushIntensity;
+                    }
+                }
+            }
+
+            // Center dot: ensure we still use the exact x,y canvas index
+            if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                const centerIndex = y * this.width + x;
+                const centerScale = (brush.decayScale !== undefined) ? brush.decayScale : 1.0;
+                this.thermalData[centerIndex] += this.brushIntensity * this.centerMultiplier * centerScale;
+            }
+        }
+
+        flushBrushBatch() {
+            if (!this.useGPU || !this.gpuCompute || this.brushBatch.length === 0) return;
+
+            try {
+                const chunkSize = this.gpuCompute.maxBrushBatchSize || this.maxBatchSize;
+                if (!this._gpuBrushScratch || this._gpuBrushScratch.length !== chunkSize) {
+                    this._gpuBrushScratch = Array.from({ length: chunkSize }, () => ({ x: 0, y: 0, radius: 0, intensity: 0, variant: 0 }));
+                }
+                const scratch = this._gpuBrushScratch;
+
+                for (let start = 0; start < this.brushBatch.length; start += chunkSize) {
+                    const end = Math.min(start + chunkSize, this.brushBatch.length);
+                    let writeIdx = 0;
+                    for (let i = start; i < end; i++) {
+                        const brush = this.brushBatch[i];
+                        const variantIdx = (typeof brush.variant === 'number') ? Math.max(0, Math.min(this.brushVariants.length - 1, brush.variant)) : 0;
+                        const variant = this.brushVariants[variantIdx] || this.brush;
+                        const radius = this.brushVariantRadii[variantIdx] || this.brushRadius;
+                        const decayScale = (variant && typeof variant.decayScale === 'number') ? variant.decayScale : 1.0;
+                        const entry = scratch[writeIdx];
+                        entry.x = Math.max(0, Math.min(this.width - 1, brush.x));
+                        entry.y = Math.max(0, Math.min(this.height - 1, brush.y));
+                        entry.radius = radius;
+                        entry.variant = variantIdx;
+                        // Uploaded kernels already carry the variant's decay; the analytic cone does not
+                        entry.intensity = this.gpuCompute.hasBrushKernels ? this.brushIntensity : this.brushIntensity * decayScale;
+                        writeIdx++;
+                    }
+
+                    const originalLength = scratch.length;
+                    scratch.length = writeIdx;
+                    if (writeIdx > 0) {
+                        this.gpuCompute.applyBrushBatch(scratch, { centerMultiplier: this.centerMultiplier });
+                    }
+                    scratch.length = originalLength;
+                }
+            } catch (error) {
+                console.warn('GPU batch flush failed, falling back to CPU:', error);
+                this.useGPU = false;
+                // Process remaining batch with CPU
+                for (const b of this.brushBatch) {
+                    const vi = (typeof b.variant === 'number') ? Math.max(0, Math.min(this.brushVariants.length - 1, b.variant)) : 0;
+                    const vb = this.brushVariants[vi] || this.brush;
+                    this.applyBrushCPU(b.x, b.y, vb);
+                }
+            }
+
+            this.brushBatch.length = 0;
+        }
+
+        // Resolve the explicit conduction step: r = alpha * dt / dx^2 must stay <= 0.25 (2D FTCS),
+        // so the simulation timestep is split into enough substeps to remain stable
+        configureConduction() {
+            const cfg = this.config.thermal || {};
+            const alpha = Math.max(0, Number.isFinite(cfg.diffusivity) ? cfg.diffusivity : 2.9e-6);
+            const dt = this.dt;
+            const dx = Math.max(1e-9, (this.config.canvas?.pixelSizeUm ?? 10) * 1e-6);
+            const maxSubsteps = Math.max(1, Math.floor(cfg.maxSubsteps ?? 64));
+            const rTotal = alpha * dt / (dx * dx);
+            const stableLimit = 0.25;
+
+            let substeps = Math.max(1, Math.ceil(rTotal / stableLimit));
+            let stable = true;
+            if (substeps > maxSubsteps) {
+                substeps = maxSubsteps;
+                stable = false;
+            }
+            const r = Math.min(stableLimit, rTotal / substeps);
+            if (!stable) {
+                console.warn(`Conduction step needs ${Math.ceil(rTotal / stableLimit)} substeps (r=${rTotal.toFixed(3)}); capped at ${maxSubsteps}, simulated diffusion per step is truncated. Lower simulation.dt or raise thermal.maxSubsteps.`);
+            }
+
+            return {
+                alpha, dt, dx, r, substeps, stable,
+                // Diffusing for dt is a Gaussian with sigma = sqrt(2 * alpha * dt), expressed in pixels
+                sigmaPx: Math.sqrt(2 * alpha * dt) / dx
+            };
+        }
+
+        // Spread heat once per simulation step using the configured model
+        applyDiffusion() {
+            if (this.conduction) {
+                this.applyConduction();
+            } else if (this.stepCounter % this.config.thermal.blurInterval === 0) {
+                this.applyGaussianBlur();
+            }
+        }
+
+        applyConduction() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.gpuCompute.applyConduction(this.conduction.r, this.conduction.substeps);
+                } catch (error) {
+                    console.warn('GPU conduction failed, falling back to CPU:', error);
+                    this.useGPU = false;
+                    this.applyConductionCPU();
+                }
+            } else {
+                this.applyConductionCPU();
+            }
+        }
+
+        applyConductionCPU() {
+            if (!this.tempBuffer) {
+                this.tempBuffer = new Float32Array(this.thermalData.length);
+            }
+            const { r, substeps } = this.conduction;
+            const w = this.width;
+            const h = this.height;
+            let src = this.thermalData;
+            let dst = this.tempBuffer;
+
+            for (let s = 0; s < substeps; s++) {
+                for (let y = 0; y < h; y++) {
+                    const row = y * w;
+                    const up = (y > 0) ? row - w : row;
+                    const down = (y < h - 1) ? row + w : row;
+                    for (let x = 0; x < w; x++) {
+                        const i = row + x;
+                        const c = src[i];
+                        // Insulated (zero-flux) boundaries: edge pixels mirror themselves
+                        const left = (x > 0) ? src[i - 1] : c;
+                        const right = (x < w - 1) ? src[i + 1] : c;
+                        const top = src[up + x];
+                        const bottom = src[down + x];
+                        dst[i] = c + r * (left + right + top + bottom - 4 * c);
+                    }
+                }
+                const t = src; src = dst; dst = t;
+            }
+
+            if (src !== this.thermalData) {
+                this.thermalData.set(src);
+            }
+        }
+
+        // Optimized Gaussian blur with GPU/CPU hybrid approach
+        applyGaussianBlur() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.gpuCompute.applyGaussianBlur(this.blurSigma);
+                } catch (error) {
+                    console.warn('GPU blur failed, falling back to CPU:', error);
+                    this.useGPU = false;
+                    this.applyGaussianBlurCPU();
+                }
+            } else {
+                this.applyGaussianBlurCPU();
+            }
+        }
+
+        applyGaussianBlurCPU() {
+            if (!this.gaussianKernel) {
+                this.initializeGaussianKernel();
+            }
+
+            if (!this.tempBuffer) {
+                this.tempBuffer = new Float32Array(this.thermalData.length);
+            }
+
+            const kernel = this.gaussianKernel;
+            const radius = this.gaussianRadius;
+            const temp = this.tempBuffer;
+
+            // Horizontal pass - optimized with bounds checking outside inner loop
+            for (let y = 0; y < this.height; y++) {
+                const rowOffset = y * this.width;
+
+                for (let x = 0; x < this.width; x++) {
+                    let sum = 0;
+                    const startX = Math.max(0, x - radius);
+                    const endX = Math.min(this.width - 1, x + radius);
+
+                    // Use direct array access for better performance
+                    for (let nx = startX; nx <= endX; nx++) {
+                        const weight = kernel[nx - x + radius];
+                        sum += this.thermalData[rowOffset + nx] * weight;
+                    }
+
+                    temp[rowOffset + x] = sum;
+                }
+            }
+
+            // Vertical pass - optimized with pre-calculated offsets
+            for (let x = 0; x < this.width; x++) {
+                for (let y = 0; y < this.height; y++) {
+                    let sum = 0;
+                    const startY = Math.max(0, y - radius);
+                    const endY = Math.min(this.height - 1, y + radius);
+
+                    for (let ny = startY; ny <= endY; ny++) {
+                        const weight = kernel[ny - y + radius];
+                        sum += temp[ny * this.width + x] * weight;
+                    }
+
+                    this.thermalData[y * this.width + x] = sum;
+                }
+            }
+        }
+
+        initializeGaussianKernel() {
+            const sigma = Math.max(1e-3, this.blurSigma ?? this.config.thermal.blurSigma);
+            // Use configured multipliers when present, otherwise fall back to reasonable defaults
+            const sigmaMultiplier = (this.config.thermal && typeof this.config.thermal.sigmaMultiplier === 'number') ? this.config.thermal.sigmaMultiplier : 2.5;
+            const maxGaussianRadius = (this.config.thermal && typeof this.config.thermal.maxGaussianRadius === 'number') ? this.config.thermal.maxGaussianRadius : 30;
+            this.gaussianRadius = Math.min(Math.ceil(sigma * sigmaMultiplier), maxGaussianRadius);
+            const radius = this.gaussianRadius;
+
+            this.gaussianKernel = new Float32Array(radius * 2 + 1);
+            const twoSigmaSquared = 2 * sigma * sigma;
+            let sum = 0;
+
+            // Calculate kernel weights
+            for (let i = -radius; i <= radius; i++) {
+                const weight = Math.exp(-(i * i) / twoSigmaSquared);
+                this.gaussianKernel[i + radius] = weight;
+                sum += weight;
+            }
+
+            // Normalize kernel to prevent brightness changes
+            for (let i = 0; i < this.gaussianKernel.length; i++) {
+                this.gaussianKernel[i] /= sum;
+            }
+        }
+
+        updatePersistentMask() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.gpuCompute.updatePersistentMask(this.threshold);
+                    this._masksStale = true;
+                    this._moltenStale = true;
+                    return;
+                } catch (error) {
+                    console.warn('GPU mask update failed, falling back to CPU:', error);
+                    this.useGPU = false;
+                }
+            }
+            this.updatePersistentMaskCPU();
+        }
+
+        updatePersistentMaskCPU() {
+            // CPU path - persistently track peak temperature per pixel
+            const thr = this.threshold;
+            const len = this.thermalData.length;
+            this.isThereMolten = false;
+            for (let i = 0; i < len; i++) {
+                const v = this.thermalData[i];
+                if (v > this.maxThresholded[i]) {
+                    this.maxThresholded[i] = v;
+                }
+                if (v > thr) {
+                    this.isThereMolten = true;
+                    this.persistentMask[i] = 1;
+
+                    if (v > this.maxMolten[i]) {
+                     this.maxMolten[i] = v;
+                    }
+                }
+
+                if (v <= thr) {
+                    this.maxMolten[i] = 0;
+                }
+
+
+            }
+        }
+
+        // Relax towards ambient and clamp to ambient..ceiling (0-1 in normalized mode) to prevent overflow.
+        // Decay and diffusion are both linear and keep ambient fixed, so diffusing before decaying gives
+        // the same field and lets one GPU pass do both the decay and the clamp.
+        applyThermalDecay() {
+            if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                try {
+                    this.gpuCompute.applyDecay(this._configuredDecay || 1, this.units.ambient, this.units.ceiling);
+                } catch (error) {
+                    console.warn('GPU decay failed, falling back to CPU:', error);
+                    this.useGPU = false;
+                    this.applyThermalDecayCPU();
+                }
+            } else {
+                this.applyThermalDecayCPU();
+            }
+        }
+
+        applyThermalDecayCPU() {
+            const decayRate = this._configuredDecay || 1;
+            const floor = this.units.ambient;
+            const ceiling = this.units.ceiling;
+            for (let i = 0; i < this.thermalData.length; i++) {
+                const v = floor + (this.thermalData[i] - floor) * decayRate;
+                this.thermalData[i] = v > floor ? (v < ceiling ? v : ceiling) : floor;
+            }
+        }
+
+        // Advance the simulation by one fixed timestep of dt simulated seconds
+        step() {
+            this.stepCounter++;
+            this._fieldStats = null;
+            this.simTime += this.dt;
+            this._inStep = true;
+            this.onStepStart();
+
+            // Scan path playback feeds this step's positions before the queue is drained
+            if (this.scanPlayer) {
+                if (this.scanPlayer.advance(this.dt)) {
+                    this.logEvent(`Scan path finished after ${(this.scanPlayer.elapsed * 1000).toFixed(2)} ms simulated`);
+                    this.scanPlayer = null;
+                }
+            }
+
+            // Process queue
+            let processed = 0;
+            while (this.positionQueue.length > 0 && processed < this.maxPositionsPerFrame) {
+                const pos = this.positionQueue.shift();
+                // Select variant based on processed index (clamped)
+                const variantIndex = Math.min(processed, this.brushVariants.length - 1);
+                const variantBrush = this.brushVariants[variantIndex] || this.brush;
+
+                if (this.config.debug?.logInputPositions) {
+                    console.log('[Process] step: processing', pos, 'with variant', variantIndex);
+                }
+
+                if (this.useGPU && this.gpuCompute && this.gpuCompute.supported) {
+                    // Include variant index so GPU flush can decide behavior if desired
+                    this.brushBatch.push({ x: pos.x, y: pos.y, variant: variantIndex });
+                    if (this.brushBatch.length >= this.maxBatchSize) this.flushBrushBatch();
+                } else {
+                    // CPU path: apply using the precomputed variant
+                    this.applyBrushCPU(pos.x, pos.y, variantBrush);
+                }
+
+                this.onBrushPosition(pos);
+
+                processed++;
+            }
+
+            // Flush any remaining brush batch for GPU
+            if (this.useGPU) {
+                this.flushBrushBatch();
+            }
+
+            // Spread heat: blur every few steps, or one conduction timestep
+            this.applyDiffusion();
+
+            // Apply the configured full-step decay once per step and clamp, before the masks see the field
+            this.applyThermalDecay();
+
+            // Update persistent mask
+            this.updatePersistentMask();
+
+            // CPU field is current every step; the GPU path samples in downloadGPUField(), per download
+            // rather than per step (see SolidificationRecorder.update)
+            if (this.solidification && !this.useGPU) {
+                this.solidification.update(this.thermalData, this.threshold, this.simTime);
+            }
+
+            if (this.probes.probes.length) {
+                this.recordProbes();
+            }
+            this._inStep = false;
+        }
+    }
+
+    ThermalSimulation.FIELDS = FIELDS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ThermalSimulation;
+    }
+    if (typeof window !== 'undefined') {
+        window.ThermalSimulation = ThermalSimulation;
+    }
+})();
@@ -0,0 +1,100 @@
+// Binary simulation snapshots: magic + version + JSON header + raw typed-array payloads.
+// Layout (little endian):
+//   8 bytes  magic 'LPBFSNAP'
+//   uint32   format version
+//   uint32   header byte length
+//   header   UTF-8 JSON, padded with spaces to a 4-byte boundary
+//   payloads each array's raw bytes, 4-byte aligned, described by header.arrays
+(function(){
+    const MAGIC = 'LPBFSNAP';
+    const VERSION = 1;
+    const TYPES = {
+        Float32Array: typeof Float32Array !== 'undefined' ? Float32Array : null,
+        Uint8Array: typeof Uint8Array !== 'undefined' ? Uint8Array : null,
+        Uint16Array: typeof Uint16Array !== 'undefined' ? Uint16Array : null,
+        Int32Array: typeof Int32Array !== 'undefined' ? Int32Array : null
+    };
+
+    const align4 = (n) => (n + 3) & ~3;
+
+    function utf8Encode(str) {
+        return new TextEncoder().encode(str);
+    }
+
+    function utf8Decode(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    // header: plain JSON-serialisable object; arrays: { name: TypedArray }
+    function encode(header, arrays = {}) {
+        const entries = Object.keys(arrays).filter(name => arrays[name]);
+        const layout = [];
+        let offset = 0;
+        for (const name of entries) {
+            const arr = arrays[name];
+            const type = arr.constructor && arr.constructor.name;
+            if (!TYPES[type]) throw new Error(`Snapshot: unsupported array type ${type} for ${name}`);
+            layout.push({ name, type, offset, length: arr.length });
+            offset = align4(offset + arr.byteLength);
+        }
+
+        const fullHeader = Object.assign({}, header, { arrays: layout });
+        let headerBytes = utf8Encode(JSON.stringify(fullHeader));
+        const paddedLength = align4(headerBytes.length);
+        if (paddedLength !== headerBytes.length) {
+            const padded = new Uint8Array(paddedLength).fill(0x20);
+            padded.set(headerBytes);
+            headerBytes = padded;
+        }
+
+        const payloadStart = 16 + headerBytes.length;
+        const buffer = new ArrayBuffer(payloadStart + offset);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+        view.setUint32(8, VERSION, true);
+        view.setUint32(12, headerBytes.length, true);
+        bytes.set(headerBytes, 16);
+        layout.forEach((entry, i) => {
+            const arr = arrays[entries[i]];
+            bytes.set(new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength), payloadStart + entry.offset);
+        });
+        return buffer;
+    }
+
+    // Returns { header, arrays } with freshly allocated typed arrays
+    function decode(buffer) {
+        const ab = (buffer instanceof ArrayBuffer) ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        if (ab.byteLength < 16) throw new Error('Snapshot: file too short');
+        const bytes = new Uint8Array(ab);
+        const magic = String.fromCharCode(...bytes.subarray(0, 8));
+        if (magic !== MAGIC) throw new Error('Snapshot: not a simulation snapshot');
+        const view = new DataView(ab);
+        const version = view.getUint32(8, true);
+        if (version > VERSION) throw new Error(`Snapshot: unsupported version ${version}`);
+        const headerLength = view.getUint32(12, true);
+        if (16 + headerLength > ab.byteLength) throw new Error('Snapshot: truncated header');
+        const header = JSON.parse(utf8Decode(bytes.subarray(16, 16 + headerLength)));
+
+        const payloadStart = 16 + headerLength;
+        const arrays = {};
+        for (const entry of header.arrays || []) {
+            const Type = TYPES[entry.type];
+            if (!Type) throw new Error(`Snapshot: unsupported array type ${entry.type}`);
+            const byteLength = entry.length * Type.BYTES_PER_ELEMENT;
+            const start = payloadStart + entry.offset;
+            if (start + byteLength > ab.byteLength) throw new Error(`Snapshot: truncated array ${entry.name}`);
+            arrays[entry.name] = new Type(ab.slice(start, start + byteLength));
+        }
+        return { header, arrays };
+    }
+
+    const Snapshot = { MAGIC, VERSION, encode, decode };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Snapshot;
+    }
+    if (typeof window !== 'undefined') {
+        window.Snapshot = Snapshot;
+    }
+})();
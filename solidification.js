@@ -0,0 +1,140 @@
+// Solidification recorder: for every pixel, the last time it cooled through the melt threshold,
+// the cooling rate at that moment and the local temperature gradient. From those it derives the
+// solidification maps used for microstructure prediction: G (K/m), R = cooling rate / G (m/s),
+// G x R (= cooling rate, K/s) and a columnar / mixed / equiaxed classification on G/R.
+(function(){
+    const NONE = 0;
+    const COLUMNAR = 1;
+    const MIXED = 2;
+    const EQUIAXED = 3;
+
+    class SolidificationRecorder {
+        constructor(width, height, opts = {}) {
+            this.width = width;
+            this.height = height;
+            // Metres per pixel for the gradient
+            this.pixelSizeM = Math.max(1e-12, (opts.pixelSizeUm ?? 10) * 1e-6);
+            // Field units per Kelvin (ThermalUnits.perKelvin); 1 when the field is already in Kelvin
+            this.perKelvin = opts.perKelvin ?? 1;
+            const n = width * height;
+            this.crossTime = new Float32Array(n);
+            this.coolingRate = new Float32Array(n);
+            this.gradient = new Float32Array(n);
+            this._prev = new Float32Array(n);
+            this.reset();
+        }
+
+        reset() {
+            this.crossTime.fill(NaN);
+            this.coolingRate.fill(0);
+            this.gradient.fill(0);
+            this._hasPrev = false;
+            this._lastTime = null;
+            this.solidified = 0;
+        }
+
+        // Compare the field with the previous update; pixels that dropped from above to at/below the
+        // threshold record an interpolated crossing time, cooling rate (K/s) and |grad T| (K/m).
+        // The rates are averaged over the interval between updates: the CPU simulation updates every
+        // step, the GPU one only per field download (up to maxStepsPerFrame x gpuSyncInterval steps),
+        // so GPU cooling rates and R come out lower and smoother than the CPU ones for the same input.
+        update(field, threshold, time) {
+            const w = this.width, h = this.height;
+            if (!this._hasPrev || this._lastTime === null || !(time > this._lastTime)) {
+                this._prev.set(field);
+                this._hasPrev = true;
+                this._lastTime = time;
+                return 0;
+            }
+            const dt = time - this._lastTime;
+            const prev = this._prev;
+            const toKelvin = 1 / this.perKelvin;
+            let crossings = 0;
+            for (let i = 0; i < field.length; i++) {
+                const before = prev[i];
+                const now = field[i];
+                if (before <= threshold || now > threshold) continue;
+
+                const frac = (before - threshold) / Math.max(1e-12, before - now);
+                this.crossTime[i] = this._lastTime + dt * frac;
+                this.coolingRate[i] = (before - now) * toKelvin / dt;
+
+                const x = i % w;
+                const y = (i - x) / w;
+                const left = field[x > 0 ? i - 1 : i];
+                const right = field[x < w - 1 ? i + 1 : i];
+                const up = field[y > 0 ? i - w : i];
+                const down = field[y < h - 1 ? i + w : i];
+                const spanX = (x > 0 && x < w - 1) ? 2 : 1;
+                const spanY = (y > 0 && y < h - 1) ? 2 : 1;
+                const gx = (right - left) / (spanX * this.pixelSizeM);
+                const gy = (down - up) / (spanY * this.pixelSizeM);
+                this.gradient[i] = Math.hypot(gx, gy) * toKelvin;
+                crossings++;
+            }
+            this.solidified += crossings;
+            prev.set(field);
+            this._lastTime = time;
+            return crossings;
+        }
+
+        // Per-pixel value of one map: 'G' (K/m), 'R' (m/s), 'GR' (K/s) or 'ratio' (G/R, K*s/m^2);
+        // NaN where the pixel never solidified
+        value(i, kind) {
+            if (!Number.isFinite(this.crossTime[i])) return NaN;
+            const G = this.gradient[i];
+            const rate = this.coolingRate[i];
+            switch (kind) {
+                case 'G': return G;
+                case 'R': return G > 0 ? rate / G : NaN;
+                case 'GR': return rate;
+                default: return rate > 0 ? (G * G) / rate : NaN;
+            }
+        }
+
+        map(kind, out) {
+            const n = this.width * this.height;
+            const result = (out && out.length === n) ? out : new Float32Array(n);
+            for (let i = 0; i < n; i++) result[i] = this.value(i, kind);
+            return result;
+        }
+
+        // Columnar above columnarRatio, equiaxed below equiaxedRatio (G/R, K*s/m^2), mixed in between.
+        // Returns { classes, counts }
+        classify(opts = {}, out) {
+            const n = this.width * this.height;
+            const result = (out && out.length === n) ? out : new Uint8Array(n);
+            const hi = opts.columnarRatio ?? 1e7;
+            const lo = Math.min(hi, opts.equiaxedRatio ?? 1e6);
+            const counts = { columnar: 0, mixed: 0, equiaxed: 0 };
+            for (let i = 0; i < n; i++) {
+                const ratio = this.value(i, 'ratio');
+                if (!Number.isFinite(ratio)) {
+                    result[i] = NONE;
+                } else if (ratio > hi) {
+                    result[i] = COLUMNAR;
+                    counts.columnar++;
+                } else if (ratio < lo) {
+                    result[i] = EQUIAXED;
+                    counts.equiaxed++;
+                } else {
+                    result[i] = MIXED;
+                    counts.mixed++;
+                }
+            }
+            return { classes: result, counts };
+        }
+    }
+
+    SolidificationRecorder.NONE = NONE;
+    SolidificationRecorder.COLUMNAR = COLUMNAR;
+    SolidificationRecorder.MIXED = MIXED;
+    SolidificationRecorder.EQUIAXED = EQUIAXED;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SolidificationRecorder;
+    }
+    if (typeof window !== 'undefined') {
+        window.SolidificationRecorder = SolidificationRecorder;
+    }
+})();
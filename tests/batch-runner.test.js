@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const BrushConfig = require('../config.js');
+const BatchRunner = require('../batch-runner.js');
+
+// Sweeps expand to the cartesian product, last key fastest
+const combos = BatchRunner.expandSweep({ 'brush.intensity': [0.05, 0.1], 'brush.radius': [10, 20, 30] });
+assert.strictEqual(combos.length, 6);
+assert.deepStrictEqual(combos[0], { 'brush.intensity': 0.05, 'brush.radius': 10 });
+assert.deepStrictEqual(combos[1], { 'brush.intensity': 0.05, 'brush.radius': 20 });
+assert.deepStrictEqual(combos[5], { 'brush.intensity': 0.1, 'brush.radius': 30 });
+assert.deepStrictEqual(BatchRunner.expandSweep({}), [{}]);
+assert.deepStrictEqual(BatchRunner.expandSweep({ 'thermal.decayRate': 0.98 }), [{ 'thermal.decayRate': 0.98 }]);
+assert.throws(() => BatchRunner.expandSweep({ 'brush.radius': [] }), /no values/);
+
+// Dotted keys set nested config values, creating sections as needed
+const obj = { brush: { radius: 20 } };
+BatchRunner.setPath(obj, 'brush.radius', 8);
+BatchRunner.setPath(obj, 'extra.deep.value', 1);
+assert.deepStrictEqual(obj, { brush: { radius: 8 }, extra: { deep: { value: 1 } } });
+
+// Config overrides merge into the defaults without touching the source
+const merged = BatchRunner.deepMerge({ canvas: { width: 10, height: 20 } }, { canvas: { width: 5 } });
+assert.deepStrictEqual(merged, { canvas: { width: 5, height: 20 } });
+
+// Inline --param lists are parsed as numbers / booleans
+const args = BatchRunner.parseArgs(['--param', 'brush.intensity=0.05,0.1', '--param', 'scanStrategy.contour=true,false', '--out', 'x.csv']);
+assert.deepStrictEqual(args.params['brush.intensity'], [0.05, 0.1]);
+assert.deepStrictEqual(args.params['scanStrategy.contour'], [true, false]);
+assert.strictEqual(args.out, 'x.csv');
+assert.throws(() => BatchRunner.parseArgs(['--param', 'brush.intensity']), /key=v1,v2/);
+
+// CSV quoting
+assert.strictEqual(BatchRunner.toCSV([{ a: 1, b: 'x,y' }, { a: 2, b: 'q"' }]), 'a,b\n1,"x,y"\n2,"q"""\n');
+
+// A tiny build square scanned end to end with two intensities
+const base = JSON.parse(JSON.stringify(BrushConfig));
+base.canvas.width = 60;
+base.canvas.height = 60;
+base.visual.squareOverlay.size = 30;
+assert.deepStrictEqual(BatchRunner.defaultRegion(base), { x: 15, y: 15, width: 30, height: 30 });
+
+const dumpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lpbf-batch-'));
+const rows = BatchRunner.runSweep(base, { 'brush.intensity': [0.02, 0.1] }, { dumpDir, maxSteps: 20000 });
+assert.strictEqual(rows.length, 2);
+for (const row of rows) {
+    assert.ok(row.completed, 'Scan finished within maxSteps');
+    assert.ok(row.meltedPx > 0);
+    assert.ok(Math.abs(row.meltedAreaMm2 - row.meltedPx * 1e-4) < 1e-9);
+    assert.ok(row.lackOfFusionFraction >= 0 && row.lackOfFusionFraction <= 1);
+    assert.ok(row.peakTemperature > 0);
+    assert.ok(row.meanMeltPoolWidthUm > 0);
+    assert.strictEqual(row.temperatureUnits, 'normalized');
+}
+assert.ok(rows[1].peakTemperature >= rows[0].peakTemperature, 'Higher intensity runs hotter');
+assert.ok(rows.every(row => row.peakTemperature <= 1), 'Peaks never exceed the ceiling');
+assert.ok(rows[1].meltedPx > rows[0].meltedPx, 'Higher intensity melts more');
+assert.ok(rows[1].lackOfFusionFraction <= rows[0].lackOfFusionFraction);
+
+// Raw dumps hold width x height values
+const thermal = fs.readFileSync(path.join(dumpDir, rows[0].dumpThermal));
+const mask = fs.readFileSync(path.join(dumpDir, rows[0].dumpMask));
+assert.strictEqual(thermal.length, 60 * 60 * 4);
+assert.strictEqual(mask.length, 60 * 60);
+assert.strictEqual(mask.reduce((a, b) => a + b, 0), rows[0].meltedPx);
+fs.rmSync(dumpDir, { recursive: true, force: true });
+
+const csv = BatchRunner.toCSV(rows).split('\n');
+assert.ok(csv[0].startsWith('case,brush.intensity,completed,steps'));
+assert.strictEqual(csv.length, 4);
+
+// PNG output: signature, RGBA header and the pixel rows behind a zero filter byte
+const png = BatchRunner.encodePNG({ width: 2, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 128]) });
+assert.deepStrictEqual(Array.from(png.subarray(0, 8)), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+assert.strictEqual(png.toString('ascii', 12, 16), 'IHDR');
+assert.strictEqual(png.readUInt32BE(16), 2);
+assert.strictEqual(png[25], 6);
+const idatLength = png.readUInt32BE(33);
+assert.strictEqual(png.toString('ascii', 37, 41), 'IDAT');
+assert.deepStrictEqual(Array.from(zlib.inflateSync(png.subarray(41, 41 + idatLength))), [0, 255, 0, 0, 255, 0, 0, 255, 128]);
+assert.strictEqual(png.toString('ascii', png.length - 8, png.length - 4), 'IEND');
+assert.strictEqual(png.readUInt32BE(png.length - 4), 0xAE426082, 'IEND CRC');
+
+console.log('All batch runner tests passed.');
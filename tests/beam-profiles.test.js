@@ -0,0 +1,47 @@
+const assert = require('assert');
+const BeamProfiles = require('../beam-profiles.js');
+
+function approxEqual(a, b, epsilon = 1e-6) {
+    return Math.abs(a - b) <= epsilon;
+}
+
+// Unknown or missing profiles fall back to the legacy cone
+assert.strictEqual(BeamProfiles.resolve({}, 5).type, 'cone');
+assert.strictEqual(BeamProfiles.resolve({ profile: 'bogus' }, 5).type, 'cone');
+
+// The cone kernel matches the original createFeatheredBrush output
+const cone = BeamProfiles.buildKernel(BeamProfiles.resolve({ profile: 'cone' }, 4));
+assert.strictEqual(cone.size, 9);
+assert.strictEqual(cone.data[4 * 9 + 4], 1, 'Cone peaks at the center');
+assert(approxEqual(cone.data[4 * 9 + 6], 0.5), 'Cone falls off linearly');
+assert.strictEqual(cone.data[0], 0, 'Cone corners are outside the radius');
+
+// Gaussian: radius is the 1/e^2 radius
+const gaussian = BeamProfiles.resolve({ profile: 'gaussian' }, 10);
+assert(approxEqual(BeamProfiles.weight(gaussian, 0, 0), 1));
+assert(approxEqual(BeamProfiles.weight(gaussian, 10, 0), Math.exp(-2)));
+
+// Top-hat is flat inside the radius and zero well outside it
+const tophat = BeamProfiles.resolve({ profile: 'tophat' }, 10);
+assert.strictEqual(BeamProfiles.weight(tophat, 6, 6), 1);
+assert.strictEqual(BeamProfiles.weight(tophat, 12, 0), 0);
+
+// Ring has a dark center and peaks at radius / sqrt(2)
+const ring = BeamProfiles.resolve({ profile: 'ring' }, 10);
+assert.strictEqual(BeamProfiles.weight(ring, 0, 0), 0);
+assert(approxEqual(BeamProfiles.weight(ring, 10 / Math.SQRT2, 0), 1));
+
+// Elliptical: the major axis follows angleDeg
+const ellipse = BeamProfiles.resolve({ profile: 'elliptical', ellipseRatio: 0.5, angleDeg: 90 }, 10);
+assert(approxEqual(BeamProfiles.weight(ellipse, 0, 10), Math.exp(-2)), 'Major axis rotated onto y');
+assert(approxEqual(BeamProfiles.weight(ellipse, 5, 0), Math.exp(-2)), 'Minor axis rotated onto x');
+
+// Kernels are large enough to hold each profile's tail
+for (const type of BeamProfiles.TYPES) {
+    const profile = BeamProfiles.resolve({ profile: type }, 8);
+    const kernel = BeamProfiles.buildKernel(profile);
+    const edge = Math.max(kernel.data[Math.floor(kernel.size / 2)], kernel.data[Math.floor(kernel.size / 2) * kernel.size]);
+    assert(edge < 0.05, `${type} kernel edge should be near zero (got ${edge})`);
+}
+
+console.log('All beam profile tests passed.');
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const ThermalUnits = require('../thermal-units.js');
+const Colormaps = require('../colormaps.js');
+
+const rgbAt = (lut, t) => {
+    const o = Colormaps.lutIndex(lut, t);
+    return Array.from(lut.slice(o, o + 3));
+};
+
+// Colour parsing
+assert.deepStrictEqual(Colormaps.parseColor('#f80'), [255, 136, 0]);
+assert.deepStrictEqual(Colormaps.parseColor('#440154ff'), [68, 1, 84]);
+assert.deepStrictEqual(Colormaps.parseColor([300, -5, 12]), [255, 0, 12]);
+assert.throws(() => Colormaps.parseColor('red'), /cannot parse/);
+
+// Every named map resolves to a LUT spanning its end colours
+for (const name of Colormaps.NAMES) {
+    const lut = Colormaps.buildLUT(Colormaps.resolveStops(Object.assign({}, BrushConfig.visual.colormap, { name })), 64);
+    assert.strictEqual(lut.length, 64 * 4);
+    assert.ok(lut.every((v, i) => i % 4 !== 3 || v === 255), `${name}: opaque`);
+}
+const inferno = Colormaps.buildLUT(Colormaps.resolveStops({ name: 'inferno' }));
+assert.deepStrictEqual(rgbAt(inferno, 0), [0, 0, 4]);
+assert.deepStrictEqual(rgbAt(inferno, 1), [252, 255, 164]);
+const viridis = Colormaps.buildLUT(Colormaps.resolveStops({ name: 'viridis' }));
+assert.deepStrictEqual(rgbAt(viridis, 0.5), [33, 145, 140]);
+
+// 'hot' matches matplotlib's breakpoints: red by 0.365, yellow by 0.746, then white
+const hot = Colormaps.buildLUT(Colormaps.resolveStops({ name: 'hot' }), 1001);
+assert.deepStrictEqual(rgbAt(hot, 0.365), [255, 0, 0]);
+assert.deepStrictEqual(rgbAt(hot, 0.746), [255, 255, 0]);
+assert.deepStrictEqual(rgbAt(hot, 1), [255, 255, 255]);
+
+// Diverging map is light in the middle
+const coolwarm = Colormaps.buildLUT(Colormaps.resolveStops({ name: 'coolwarm' }));
+assert.ok(rgbAt(coolwarm, 0.5).every(v => v > 200));
+assert.ok(rgbAt(coolwarm, 0)[2] > rgbAt(coolwarm, 0)[0]);
+assert.ok(rgbAt(coolwarm, 1)[0] > rgbAt(coolwarm, 1)[2]);
+
+// Legacy ramp: the orange segment spans first..second transition (it used to be scaled by the
+// first transition's width and overshot orange)
+const thermal = Colormaps.buildLUT(Colormaps.resolveStops({ firstTransition: 0.2, secondTransition: 0.8 }), 1001);
+assert.deepStrictEqual(rgbAt(thermal, 0), [128, 128, 128]);
+assert.deepStrictEqual(rgbAt(thermal, 0.2), [255, 0, 0]);
+assert.deepStrictEqual(rgbAt(thermal, 0.5), [255, 64, 0]);
+assert.deepStrictEqual(rgbAt(thermal, 0.8), [255, 128, 0]);
+assert.deepStrictEqual(rgbAt(thermal, 1), [255, 255, 255]);
+// Out-of-range values clamp to the ends
+assert.deepStrictEqual(rgbAt(thermal, -1), [128, 128, 128]);
+assert.deepStrictEqual(rgbAt(thermal, 1.7), [255, 255, 255]);
+assert.deepStrictEqual(rgbAt(thermal, NaN), [128, 128, 128]);
+
+// User stops: positioned pairs (any order) or bare colours spread evenly; they override the name
+const custom = Colormaps.buildLUT(Colormaps.resolveStops({ name: 'viridis', stops: [[1, '#ffffff'], [0, '#000000']] }), 3);
+assert.deepStrictEqual(Array.from(custom), [0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255]);
+const bare = Colormaps.resolveStops({ stops: ['#000', [0, 0, 255], '#fff'] });
+assert.deepStrictEqual(bare.map(s => s[0]), [0, 0.5, 1]);
+assert.deepStrictEqual(bare[1][1], [0, 0, 255]);
+
+// Bad input falls back with a warning
+const warn = console.warn;
+const warnings = [];
+console.warn = (msg) => warnings.push(msg);
+try {
+    assert.deepStrictEqual(Colormaps.resolveStops({ name: 'plasma' }), Colormaps.thermalStops({}));
+    assert.deepStrictEqual(Colormaps.resolveStops({ name: 'hot', stops: ['#fff'] }), Colormaps.normalizeStops(Colormaps.MAPS.hot));
+} finally {
+    console.warn = warn;
+}
+assert.strictEqual(warnings.length, 2);
+
+// Ticks land on round values inside the range
+assert.deepStrictEqual(Colormaps.niceTicks(0, 1, 5), [0, 0.5, 1]);
+assert.deepStrictEqual(Colormaps.niceTicks(0, 1, 6), [0, 0.2, 0.4, 0.6, 0.8, 1]);
+assert.deepStrictEqual(Colormaps.niceTicks(293, 3500, 5), [1000, 2000, 3000]);
+assert.deepStrictEqual(Colormaps.niceTicks(293, 3500, 8), [500, 1000, 1500, 2000, 2500, 3000, 3500]);
+
+// Colorbar: hottest colour at the top, tick labels formatted in field units
+const calls = { text: [], images: [] };
+const ctx = {
+    createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+    putImageData: (img, x, y) => calls.images.push({ img, x, y }),
+    save() {}, restore() {}, beginPath() {}, moveTo() {}, lineTo() {}, stroke() {}, strokeRect() {}, setLineDash() {},
+    fillText: (text, x, y) => calls.text.push({ text, x, y })
+};
+const kelvin = ThermalUnits.resolve(Object.assign({}, BrushConfig, { thermal: { units: 'kelvin' } }));
+Colormaps.drawColorbar(ctx, inferno, { x: 300, y: 20, width: 4, height: 100, units: kelvin, ticks: 5, threshold: kelvin.threshold });
+const bar = calls.images[0];
+assert.strictEqual(bar.x, 300);
+assert.deepStrictEqual(Array.from(bar.img.data.slice(0, 3)), [252, 255, 164]);
+assert.deepStrictEqual(Array.from(bar.img.data.slice(-4, -1)), [0, 0, 4]);
+assert.deepStrictEqual(calls.text.map(t => t.text), ['1000 K', '2000 K', '3000 K']);
+assert.ok(calls.text[0].y > calls.text[2].y, 'Hotter ticks sit higher');
+
+console.log('All colormap tests passed.');
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const ThermalSimulation = require('../sim-core.js');
+
+function makeSim(thermal = {}) {
+    const cfg = JSON.parse(JSON.stringify(BrushConfig));
+    cfg.canvas.width = 40;
+    cfg.canvas.height = 30;
+    Object.assign(cfg.thermal, { model: 'conduction' }, thermal);
+    return new ThermalSimulation(cfg);
+}
+
+const total = (field) => field.reduce((a, b) => a + b, 0);
+
+// Substeps keep r = alpha * dt / dx^2 at or below 0.25: 2.9e-6 * 2e-5 / (1e-5)^2 = 0.58 -> 3 substeps
+const sim = makeSim();
+const c = sim.conduction;
+assert.ok(c, 'conduction model selected');
+assert.strictEqual(c.substeps, 3);
+assert.ok(c.stable);
+assert.ok(Math.abs(c.r - 0.58 / 3) < 1e-9);
+assert.ok(Math.abs(c.sigmaPx - Math.sqrt(2 * 2.9e-6 * 2e-5) / 1e-5) < 1e-9);
+assert.strictEqual(makeSim({ model: 'blur' }).conduction, null);
+
+// Impulse in the interior: heat is conserved and spreads symmetrically
+sim.thermalData.fill(0);
+sim.thermalData[15 * 40 + 20] = 1;
+for (let i = 0; i < 10; i++) sim.applyConductionCPU();
+assert.ok(Math.abs(total(sim.thermalData) - 1) < 1e-6);
+assert.ok(sim.thermalData[15 * 40 + 20] < 1);
+assert.ok(Math.abs(sim.thermalData[15 * 40 + 23] - sim.thermalData[15 * 40 + 17]) < 1e-7);
+assert.ok(Math.abs(sim.thermalData[18 * 40 + 20] - sim.thermalData[12 * 40 + 20]) < 1e-7);
+
+// Insulated boundaries: heat deposited in a corner does not leak out of the domain
+sim.thermalData.fill(0);
+sim.thermalData[0] = 1;
+sim.thermalData[29 * 40 + 39] = 1;
+for (let i = 0; i < 200; i++) sim.applyConductionCPU();
+assert.ok(Math.abs(total(sim.thermalData) - 2) < 1e-6);
+
+// A step that would need r > 0.25 is capped at maxSubsteps: flagged unstable, r clamped to the
+// stability limit so the field still decays instead of blowing up
+const warn = console.warn;
+const warnings = [];
+console.warn = (msg) => warnings.push(msg);
+let capped;
+try {
+    capped = makeSim({ diffusivity: 2.9e-5, maxSubsteps: 2 });
+} finally {
+    console.warn = warn;
+}
+assert.strictEqual(warnings.length, 1);
+assert.strictEqual(capped.conduction.substeps, 2);
+assert.strictEqual(capped.conduction.stable, false);
+assert.strictEqual(capped.conduction.r, 0.25);
+capped.thermalData.fill(0);
+capped.thermalData[15 * 40 + 20] = 1;
+for (let i = 0; i < 100; i++) capped.applyConductionCPU();
+assert.ok(Math.abs(total(capped.thermalData) - 1) < 1e-6);
+assert.ok(capped.thermalData.every(v => v >= 0 && v <= 1), 'No oscillation or blow-up');
+
+console.log('All conduction tests passed.');
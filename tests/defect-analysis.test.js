@@ -0,0 +1,48 @@
+const assert = require('assert');
+const DefectAnalysis = require('../defect-analysis.js');
+
+// 6x4 field; region is the 4x4 block starting at x = 1
+//   x: 0 1 2 3 4 5
+// y0:  . 1 1 1 1 .
+// y1:  . 0 0 1 1 .
+// y2:  . 1 1 1 0 .
+// y3:  . 1 1 1 0 .
+const width = 6, height = 4;
+const mask = new Uint8Array([
+    0, 1, 1, 1, 1, 0,
+    0, 0, 0, 1, 1, 0,
+    0, 1, 1, 1, 0, 0,
+    0, 1, 1, 1, 0, 0
+]);
+const peak = new Float32Array(width * height).fill(1.0);
+peak[1 * width + 3] = 2.5;
+
+const report = DefectAnalysis.analyze({ width, height, mask, peak, region: { x: 1, y: 0, width: 4, height: 4 }, keyholeLevel: 2 });
+assert.strictEqual(report.regionArea, 16);
+assert.strictEqual(report.lackOfFusion, 4);
+assert.strictEqual(report.fused, 12);
+assert.strictEqual(report.keyhole, 1);
+assert.strictEqual(report.map[0], DefectAnalysis.OUTSIDE, 'Pixels outside the region are not classified');
+assert.strictEqual(report.map[1 * width + 3], DefectAnalysis.KEYHOLE);
+assert.strictEqual(report.map[1 * width + 1], DefectAnalysis.LACK_OF_FUSION);
+
+// Two separate 2-pixel clusters; the unfused column x = 5 is outside the region and does not join them
+assert.strictEqual(report.clusters.length, 2);
+const horizontal = report.clusters.find(c => c.bbox.y === 1);
+assert.deepStrictEqual(horizontal.centroid, { x: 1.5, y: 1 });
+assert.deepStrictEqual(horizontal.bbox, { x: 1, y: 1, width: 2, height: 1 });
+const vertical = report.clusters.find(c => c.bbox.x === 4);
+assert.strictEqual(vertical.area, 2);
+assert.deepStrictEqual(vertical.centroid, { x: 4, y: 2.5 });
+
+// Diagonal neighbours are not connected
+const diag = DefectAnalysis.analyze({ width: 2, height: 2, mask: new Uint8Array([0, 1, 1, 0]) });
+assert.strictEqual(diag.clusters.length, 2);
+
+// Small clusters are filtered out, regions are clamped to the field
+const filtered = DefectAnalysis.analyze({ width, height, mask, region: { x: -5, y: -5, width: 100, height: 100 }, minClusterArea: 3 });
+assert.strictEqual(filtered.regionArea, width * height);
+assert(filtered.clusters.every(c => c.area >= 3));
+assert.strictEqual(filtered.keyhole, 0, 'No peak data means no keyhole flags');
+
+console.log('All defect analysis tests passed.');
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { InputRecorder, InputReplay, FORMAT } = require('../input-recorder.js');
+
+// Events are stamped relative to the recording start
+const rec = new InputRecorder();
+rec.record({ type: 'start', x: 1, y: 1 }, 5, 5);
+assert.strictEqual(rec.events.length, 0, 'Nothing is recorded before start()');
+rec.start(1000, 10, { width: 64, height: 48 });
+rec.record({ type: 'start', x: 5, y: 6, shiftKey: false }, 1000, 11);
+rec.record({ type: 'move', x: 8, y: 6 }, 1016, 11);
+rec.record({ type: 'enqueue', x: 9, y: 6, allowRepeat: true }, 1030, 12);
+rec.record({ type: 'move', x: 12, y: 7 }, 1050, 14);
+rec.record({ type: 'stop' }, 1060, 14);
+const recording = rec.stop();
+assert.strictEqual(rec.recording, false);
+assert.strictEqual(recording.format, FORMAT);
+assert.deepStrictEqual(recording.meta, { width: 64, height: 48 });
+assert.deepStrictEqual(recording.events.map(e => e.t), [0, 16, 30, 50, 60]);
+assert.deepStrictEqual(recording.events.map(e => e.step), [1, 1, 2, 4, 4]);
+assert.deepStrictEqual(recording.duration, { t: 60, step: 4 });
+
+// JSON round trip
+const parsed = InputRecorder.parse(JSON.stringify(recording));
+assert.deepStrictEqual(parsed, recording);
+assert.throws(() => InputRecorder.parse({ format: 'other', events: [] }), /not an input recording/);
+assert.throws(() => InputRecorder.parse({ format: FORMAT, events: [{ type: 'tap', x: 0, y: 0 }] }), /unknown event type/);
+assert.throws(() => InputRecorder.parse({ format: FORMAT, events: [{ type: 'move' }] }), /no position/);
+
+// Step timing dispatches each event on its recorded step
+const seen = [];
+const replay = new InputReplay(recording, { dispatch: e => seen.push(e.type) });
+assert.strictEqual(replay.timing, 'step');
+replay.advance(1);
+assert.deepStrictEqual(seen, ['start', 'move']);
+replay.advance(1);
+assert.deepStrictEqual(seen, ['start', 'move', 'enqueue']);
+replay.advance(1);
+assert.strictEqual(seen.length, 3);
+assert.strictEqual(replay.advance(1), true);
+assert.deepStrictEqual(seen, ['start', 'move', 'enqueue', 'move', 'stop']);
+assert.strictEqual(replay.progress, 1);
+
+// Wall-clock timing with a speed factor
+const fast = [];
+const timed = new InputReplay(recording, { timing: 'time', speed: 2, dispatch: e => fast.push(e.t) });
+timed.advance(10);
+assert.deepStrictEqual(fast, [0, 16]);
+assert.strictEqual(timed.advance(7), false);
+assert.deepStrictEqual(fast, [0, 16, 30]);
+assert.strictEqual(timed.advance(100), true);
+assert.strictEqual(fast.length, 5);
+
+console.log('All input recorder tests passed.');
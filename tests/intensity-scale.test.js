@@ -1,49 +1,60 @@
 const assert = require('assert');
 const BrushConfig = require('../config.js');
-
-const maxPositionsPerFrame = Math.max(1, BrushConfig.performance.maxPositionsPerFrame || 1);
-const maxDelayFrames = Math.max(0, BrushConfig.performance.maxDelayFrames || 0);
-const decayRate = (BrushConfig.thermal && typeof BrushConfig.thermal.decayRate === 'number')
-    ? BrushConfig.thermal.decayRate
-    : 1.0;
-
-const stepDecay = Math.pow(decayRate, 1 / maxPositionsPerFrame);
-
-function computeDelay(frameStamp, enqueuedFrame) {
-    return Math.max(0, Math.min(frameStamp - enqueuedFrame, maxDelayFrames));
-}
-
-function computeIntensityScale(processedIndex, delayFrames) {
-    const stepScale = Math.pow(stepDecay, processedIndex);
-    const delayScale = Math.pow(decayRate, delayFrames);
-    return stepScale * delayScale;
+const ThermalSimulation = require('../sim-core.js');
+
+// Small copy of the default config so the real simulation can run quickly in Node
+function makeConfig(overrides = {}) {
+    const cfg = JSON.parse(JSON.stringify(BrushConfig));
+    cfg.canvas.width = 96;
+    cfg.canvas.height = 64;
+    cfg.brush.radius = 6;
+    cfg.performance.useGPU = false;
+    cfg.thermal = Object.assign(cfg.thermal, overrides.thermal);
+    cfg.performance = Object.assign(cfg.performance, overrides.performance);
+    return cfg;
 }
 
-function approxEqual(a, b, epsilon = 1e-12) {
+function approxEqual(a, b, epsilon = 1e-6) {
     return Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
 }
 
-// Delay computation should behave intuitively
-assert.strictEqual(computeDelay(5, 5), 0, 'No delay when processed in the same frame');
-assert.strictEqual(computeDelay(5, 3), 2, 'Delay equals frame difference when below cap');
-assert.strictEqual(computeDelay(10, -5), Math.min(15, maxDelayFrames), 'Negative enqueue frames clamp at cap');
-assert.strictEqual(computeDelay(500, 0), maxDelayFrames, 'Delay clamps to configured maximum');
-
-// Intensity scaling should match the analytical expectation: decay^(delay + processed/maxPositionsPerFrame)
-const samples = [
-    { processed: 0, delay: 0 },
-    { processed: Math.floor(maxPositionsPerFrame / 2), delay: 1 },
-    { processed: maxPositionsPerFrame - 1, delay: 3 },
-    { processed: Math.floor(maxPositionsPerFrame / 3), delay: 5 }
-];
-
-for (const { processed, delay } of samples) {
-    const expected = Math.pow(decayRate, delay + processed / maxPositionsPerFrame);
-    const actual = computeIntensityScale(processed, delay);
-    assert(
-        approxEqual(actual, expected),
-        `Intensity scale mismatch for processed=${processed}, delay=${delay}: expected ${expected}, got ${actual}`
-    );
-}
+// Each position slot in a step carries the decay over its share of the step:
+// decayRate^((i + 1) / maxPositionsPerFrame) with per-step decayRate
+const sim = new ThermalSimulation(makeConfig({ thermal: { decayRate: 0.9, decayTime: null } }));
+const perStep = sim.maxPositionsPerFrame;
+assert.strictEqual(sim.brushVariants.length, perStep, 'One brush variant per position slot');
+sim.brushVariants.forEach((variant, i) => {
+    const expected = Math.pow(0.9, (i + 1) / perStep);
+    assert(approxEqual(variant.decayScale, expected), `Slot ${i}: expected ${expected}, got ${variant.decayScale}`);
+});
+assert(approxEqual(sim._configuredDecay, 0.9), 'Full step applies decayRate once');
+
+// decayTime (s) switches to exp(-t / tau) over simulated time
+const timed = new ThermalSimulation(makeConfig({ thermal: { decayTime: 1e-4 } }));
+timed.brushVariants.forEach((variant, i) => {
+    const expected = Math.exp(-timed.dt * (i + 1) / timed.maxPositionsPerFrame / 1e-4);
+    assert(approxEqual(variant.decayScale, expected), `decayTime slot ${i}: expected ${expected}, got ${variant.decayScale}`);
+});
+assert(approxEqual(timed._configuredDecay, Math.exp(-timed.dt / 1e-4)));
+
+// A deposit adds kernel * intensity plus the center dot scaled by the slot's decay
+const last = sim.brushVariants.length - 1;
+const variant = sim.brushVariants[last];
+const r = Math.floor((variant.size - 1) / 2);
+const center = r * variant.size + r;
+sim.applyBrushCPU(40, 30, variant);
+const expectedCenter = variant.data[center] * sim.brushIntensity + sim.brushIntensity * sim.centerMultiplier * variant.decayScale;
+assert(approxEqual(sim.thermalData[30 * sim.width + 40], expectedCenter), 'Center deposit matches kernel + center dot');
+const edge = sim.thermalData[30 * sim.width + 40 + r];
+assert(approxEqual(edge, variant.data[center + r] * sim.brushIntensity), 'Off-center deposit is kernel * intensity');
+
+// One queued position through step(): deposited with slot 0, then decayed once (diffusion disabled)
+const stepped = new ThermalSimulation(makeConfig({ thermal: { decayRate: 0.9, decayTime: null, blurInterval: 1e9 } }));
+stepped.enqueuePosition({ x: 40, y: 30 });
+stepped.step();
+const v0 = stepped.brushVariants[0];
+const c0 = Math.floor((v0.size - 1) / 2) * (v0.size + 1);
+const deposit = v0.data[c0] * stepped.brushIntensity + stepped.brushIntensity * stepped.centerMultiplier * v0.decayScale;
+assert(approxEqual(stepped.thermalData[30 * stepped.width + 40], Math.min(1, deposit * 0.9)), 'step() deposits then decays');
 
 console.log('All intensity scaling tests passed.');
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const LaserModel = require('../laser-model.js');
+
+const near = (a, b, tol = 1e-9) => Math.abs(a - b) <= tol * Math.max(1, Math.abs(b));
+
+// Only built when the laser section is enabled
+const cfg = JSON.parse(JSON.stringify(BrushConfig));
+cfg.laser.enabled = false;
+assert.strictEqual(LaserModel.resolve(cfg), null);
+cfg.laser.enabled = true;
+assert.ok(LaserModel.resolve(cfg) instanceof LaserModel);
+
+// 200 W at 1000 mm/s, 10 um pixels, dt = 20 us split over 4 positions per step
+const laser = new LaserModel(
+    { powerW: 200, scanSpeedMmS: 1000, spotDiameterUm: 80, hatchSpacingUm: 100, layerThicknessUm: 30, absorptivity: 0.35 },
+    { pixelSizeUm: 10, dt: 2e-5, positionsPerStep: 4, material: { densityKgM3: 4430, specificHeatJKgK: 526 } }
+);
+assert.ok(near(laser.dwellPerPosition, 5e-6));
+assert.strictEqual(laser.spotRadiusPx, 4);
+assert.strictEqual(laser.hatchSpacingPx, 10);
+
+// 1 m/s for 5 us is 5 um = half a pixel between positions; 4 positions cover speed * dt per step
+assert.ok(near(laser.spacingPx, 0.5));
+assert.ok(near(laser.spacingPx * laser.positionsPerStep * laser.pixelSizeUm, 1000 * 1000 * 2e-5));
+assert.ok(near(new LaserModel({ scanSpeedMmS: 500 }, { pixelSizeUm: 10, dt: 2e-5 }).spacingPx, 1));
+
+// Energy: A * P * dwell per position, P / v per mm, P / (v * h * t) per mm^3
+assert.ok(near(laser.energyPerPosition, 0.35 * 200 * 5e-6));
+assert.ok(near(laser.linearEnergyDensity, 0.2));
+assert.ok(near(laser.volumetricEnergyDensity, 200 / (1000 * 0.1 * 0.03)));
+// Doubling the positions per step halves each one's energy, not the energy per step
+const finer = new LaserModel({ powerW: 200 }, { dt: 2e-5, positionsPerStep: 8 });
+assert.ok(near(finer.energyPerPosition * 8, laser.energyPerPosition * 4));
+
+// Temperature rise: absorbed energy over the heat capacity of a 10 x 10 x 30 um column, shared
+// across the kernel's weight
+const column = 4430 * 526 * 10e-6 * 10e-6 * 30e-6;
+assert.ok(near(laser.temperatureRiseIntegral, laser.energyPerPosition / column));
+assert.ok(near(laser.temperatureRiseFor(1), laser.temperatureRiseIntegral));
+assert.ok(near(laser.temperatureRiseFor(50), laser.temperatureRiseIntegral / 50));
+assert.ok(Number.isFinite(laser.temperatureRiseFor(0)), 'Empty kernel does not divide by zero');
+
+// Out-of-range inputs are clamped
+const clamped = new LaserModel({ powerW: -5, absorptivity: 2, scanSpeedMmS: 0 });
+assert.strictEqual(clamped.powerW, 0);
+assert.strictEqual(clamped.absorptivity, 1);
+assert.ok(clamped.scanSpeedMmS > 0);
+
+console.log('All laser model tests passed.');
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const LayerStack = require('../layer-stack.js');
+
+const stack = new LayerStack(3, 1, { maxHistory: 2 });
+assert.strictEqual(stack.total, 0);
+assert.deepStrictEqual(Array.from(stack.fusedInAll()), [0, 0, 0], 'No layers means nothing fused in all');
+
+const mask = new Uint8Array([1, 1, 0]);
+const peak = new Float32Array([1.2, 0.99, 0.4]);
+const first = stack.push(mask, peak, { simTime: 0.01 });
+assert.strictEqual(first.index, 0);
+assert.strictEqual(first.fusedArea, 2);
+mask[0] = 0;
+assert.strictEqual(first.mask[0], 1, 'Pushed layers are copies');
+
+stack.push(new Uint8Array([1, 0, 0]), null);
+assert.strictEqual(stack.total, 2);
+assert.deepStrictEqual(Array.from(stack.fusedCount), [2, 1, 0]);
+assert.deepStrictEqual(Array.from(stack.fusedInAll()), [1, 0, 0]);
+
+// History is bounded, but fused counts keep covering every layer
+stack.push(new Uint8Array([1, 1, 1]), null);
+assert.strictEqual(stack.layers.length, 2);
+assert.strictEqual(stack.oldestIndex, 1);
+assert.strictEqual(stack.get(0), null);
+assert.strictEqual(stack.get(2).fusedArea, 3);
+assert.deepStrictEqual(Array.from(stack.fusedInAll()), [1, 0, 0]);
+
+assert.throws(() => stack.push(new Uint8Array(2), null), /size mismatch/);
+
+console.log('All layer stack tests passed.');
@@ -0,0 +1,26 @@
+const assert = require('assert');
+const LineProfile = require('../line-profile.js');
+
+// Horizontal line on a 10x3 field
+const line = LineProfile.sampleLine(10, 3, { x: 2, y: 1 }, { x: 6, y: 1 });
+assert.deepStrictEqual(line.indices, [12, 13, 14, 15, 16]);
+assert.deepStrictEqual(line.offsets, [0, 1, 2, 3, 4]);
+assert.strictEqual(line.length, 4);
+
+// Samples are clamped to the field and honour sampleStep
+const clamped = LineProfile.sampleLine(10, 3, { x: -5, y: 1 }, { x: 15, y: 1 }, 5);
+assert.strictEqual(clamped.indices.length, 5);
+assert.strictEqual(clamped.indices[0], 10);
+assert.strictEqual(clamped.indices[4], 19);
+
+const field = new Float32Array(30).map((_, i) => i);
+assert.deepStrictEqual(LineProfile.pick(field, line.indices), [12, 13, 14, 15, 16]);
+
+const s = LineProfile.stats([1, 2, 3, 4]);
+assert.strictEqual(s.mean, 2.5);
+assert.strictEqual(s.min, 1);
+assert.strictEqual(s.max, 4);
+assert(Math.abs(s.sd - Math.sqrt(1.25)) < 1e-12);
+assert.strictEqual(LineProfile.stats([]), null);
+
+console.log('All line profile tests passed.');
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { measure, MeltPoolTracker } = require('../melt-pool.js');
+
+// 20x10 field with a molten 7x3 ellipse-ish blob; laser at (12, 5) moving +x
+const width = 20, height = 10;
+const field = new Float32Array(width * height);
+for (let y = 4; y <= 6; y++) {
+    for (let x = 6; x <= 12; x++) field[y * width + x] = 1;
+}
+field[3 * width + 10] = 1; // widens the pool to 4 rows
+field[5 * width + 16] = 1; // detached spot is not part of the pool
+
+const pool = measure({ width, height, field, threshold: 0.5, x: 12, y: 5, dirX: 1, dirY: 0 });
+assert.strictEqual(pool.area, 22);
+assert.strictEqual(pool.length, 7);
+assert.strictEqual(pool.width, 4);
+assert.strictEqual(pool.leading, 0);
+assert.strictEqual(pool.trailing, 6);
+
+// Moving -y swaps length and width and measures trailing along the new direction
+const vertical = measure({ width, height, field, threshold: 0.5, x: 12, y: 5, dirX: 0, dirY: -1 });
+assert.strictEqual(vertical.length, 4);
+assert.strictEqual(vertical.width, 7);
+assert.strictEqual(vertical.trailing, 1);
+
+// The seed may be a few pixels off the beam; far away there is no pool
+assert(measure({ width, height, field, threshold: 0.5, x: 14, y: 5 }));
+assert.strictEqual(measure({ width, height, field, threshold: 0.5, x: 2, y: 1 }), null);
+
+// Tracker: samples accumulate per track, endTrack starts a new one
+const tracker = new MeltPoolTracker({ maxTracks: 2 });
+tracker.record({ time: 0, width: 100, length: 200, area: 1, trailing: 50 });
+tracker.record({ time: 1, width: 120, length: 220, area: 3, trailing: 70 });
+const stats = tracker.summary();
+assert.strictEqual(stats.samples, 2);
+assert.strictEqual(stats.width.mean, 110);
+assert.strictEqual(stats.width.sd, 10);
+tracker.endTrack();
+assert.strictEqual(tracker.last, null);
+tracker.record({ time: 2, width: 1, length: 1, area: 1, trailing: 0 });
+tracker.endTrack();
+tracker.record({ time: 3, width: 1, length: 1, area: 1, trailing: 0 });
+assert.strictEqual(tracker.tracks.length, 2, 'Old tracks are dropped');
+assert.strictEqual(tracker.current.id, 2);
+
+// observe(): measures at the newest position along the motion direction, split tracks on jumps
+const observer = new MeltPoolTracker();
+const opts = { width, height, field, threshold: 0.5, time: 0, pixelSizeUm: 10, newTrackGapPx: 5 };
+const first = observer.observe([{ x: 9, y: 5 }, { x: 12, y: 5 }], opts);
+assert.strictEqual(first.width, pool.width * 10);
+assert.strictEqual(first.trailing, pool.trailing * 10);
+assert.strictEqual(first.area, pool.area * 100);
+assert.strictEqual(observer.tracks.length, 1);
+observer.observe([{ x: 12, y: 5 }], opts);
+assert.strictEqual(observer.current.samples.length, 2, 'Dwell keeps the previous direction and track');
+assert.strictEqual(observer.last.trailing, pool.trailing * 10);
+assert.strictEqual(observer.observe([{ x: 2, y: 1 }], opts), null, 'No pool after the jump');
+assert.strictEqual(observer.current, null, 'A jump ends the track');
+observer.observe([{ x: 12, y: 5 }], opts);
+assert.strictEqual(observer.tracks.length, 2, 'The next pool opens a new track');
+assert.strictEqual(observer.observe([], opts), null);
+assert.strictEqual(observer.current, null, 'An idle frame ends the track');
+
+// A window read around the beam measures the same pool as the full field
+const win = { x: 4, y: 2, w: 11, h: 6 };
+const windowField = new Float32Array(win.w * win.h);
+for (let y = 0; y < win.h; y++) {
+    windowField.set(field.subarray((win.y + y) * width + win.x, (win.y + y) * width + win.x + win.w), y * win.w);
+}
+const windowed = new MeltPoolTracker().observe([{ x: 9, y: 5 }, { x: 12, y: 5 }], {
+    ...opts, field: windowField, width: win.w, height: win.h, originX: win.x, originY: win.y
+});
+assert.strictEqual(windowed.width, first.width);
+assert.strictEqual(windowed.length, first.length);
+assert.strictEqual(windowed.area, first.area);
+
+console.log('All melt pool tests passed.');
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const ProbeSet = require('../probes.js');
+
+const set = new ProbeSet({ maxSamples: 8 });
+const a = set.add(1.7, 2.2);
+const b = set.add(10, 10);
+assert.deepStrictEqual([a.x, a.y], [1, 2], 'Probe positions are snapped to pixels');
+assert.notStrictEqual(a.color, b.color);
+assert.strictEqual(set.find(2, 3), a);
+assert.strictEqual(set.find(30, 30), null);
+
+// Melt events are upward threshold crossings
+const trace = [0.2, 0.96, 0.97, 0.5, 0.99, 0.3];
+trace.forEach((v, i) => set.record(i * 1e-3, (x) => (x === 1 ? v : 0), 0.95));
+assert.strictEqual(a.meltCount, 2);
+assert.strictEqual(a.peak, 0.99);
+assert.strictEqual(b.meltCount, 0);
+assert.deepStrictEqual(a.values, trace);
+
+// CSV: header plus one row per step, time scaled
+const csv = set.toCSV(1000, 'time_ms').trim().split('\n');
+assert.strictEqual(csv[0], 'time_ms,probe0_x1_y2,probe1_x10_y10');
+assert.strictEqual(csv.length, trace.length + 1);
+assert.strictEqual(csv[2], '1,0.96,0');
+
+// History is bounded per probe
+for (let i = 0; i < 20; i++) set.record(1 + i, () => 0.1, 0.95);
+assert(a.values.length <= 8);
+assert.strictEqual(a.times.length, a.values.length);
+
+// Pre-sampled values (GPU path) go to the listed probes in order
+set.recordValues(100, [0.2, 0.98], 0.95, [b, a]);
+assert.strictEqual(b.values[b.values.length - 1], 0.2);
+assert.strictEqual(a.values[a.values.length - 1], 0.98);
+assert.strictEqual(a.meltCount, 3);
+
+set.remove(a);
+assert.deepStrictEqual(set.probes, [b]);
+set.clearHistory();
+assert.strictEqual(b.values.length, 0);
+
+console.log('All probe tests passed.');
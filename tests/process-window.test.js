@@ -0,0 +1,113 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const ProcessWindow = require('../process-window.js');
+
+function makeConfig() {
+    const cfg = JSON.parse(JSON.stringify(BrushConfig));
+    cfg.processWindow.intensity = [0.004, 0.024];
+    cfg.processWindow.speedMmS = [250, 2000];
+    cfg.processWindow.intensitySteps = 2;
+    cfg.processWindow.speedSteps = 2;
+    cfg.processWindow.trackLengthUm = 800;
+    return cfg;
+}
+
+// Axes: [min, max] ranges are split evenly, longer lists are kept
+assert.deepStrictEqual(ProcessWindow.axisValues([0, 1], 3), [0, 0.5, 1]);
+assert.deepStrictEqual(ProcessWindow.axisValues([100, 200, 400]), [100, 200, 400]);
+assert.throws(() => ProcessWindow.axisValues([1]), /axis/);
+
+// The intensity axis follows the laser model switch
+const cfg = makeConfig();
+let plan = ProcessWindow.plan(cfg);
+assert.strictEqual(plan.intensityKey, 'brush.intensity');
+assert.deepStrictEqual(plan.speeds, [250, 2000]);
+assert.strictEqual(plan.criteria.minWidthUm, cfg.laser.hatchSpacingUm);
+assert.strictEqual(plan.criteria.maxWidthUm, 2.5 * cfg.laser.hatchSpacingUm, 'Keyhole defaults to a width limit');
+assert.strictEqual(plan.criteria.keyholeFraction, cfg.defects.keyholeFraction, 'Peak rule defaults to the defect panel level');
+assert.strictEqual(plan.criteria.maxKeyholeShare, 0.95);
+const laserCfg = makeConfig();
+laserCfg.laser.enabled = true;
+plan = ProcessWindow.plan(laserCfg);
+assert.strictEqual(plan.intensityKey, 'laser.powerW');
+assert.deepStrictEqual(plan.intensities, [100, 400]);
+
+// Classification: keyhole before width checks, lack of fusion when narrow or broken
+const criteria = { minWidthUm: 100, maxWidthUm: null, minContinuity: 0.95, keyholeLevel: null, keyholeFraction: 0.8, maxKeyholeShare: 0.9 };
+assert.strictEqual(ProcessWindow.classify({ widthUm: 150, continuity: 1, keyholeShare: 0.5 }, criteria), 'good');
+assert.strictEqual(ProcessWindow.classify({ widthUm: 150, continuity: 1, keyholeShare: 0.95 }, criteria), 'keyhole');
+assert.strictEqual(ProcessWindow.classify({ widthUm: 60, continuity: 1, keyholeShare: 0 }, criteria), 'lack-of-fusion');
+assert.strictEqual(ProcessWindow.classify({ widthUm: 150, continuity: 0.5, keyholeShare: 0 }, criteria), 'lack-of-fusion');
+assert.strictEqual(ProcessWindow.classify({ widthUm: 400, continuity: 1, keyholeShare: 0.2 }, Object.assign({}, criteria, { maxWidthUm: 300 })), 'keyhole');
+// Without the peak rule only the width decides
+const widthOnly = Object.assign({}, criteria, { maxKeyholeShare: null, maxWidthUm: 250 });
+assert.strictEqual(ProcessWindow.classify({ widthUm: 150, continuity: 1, keyholeShare: 1 }, widthOnly), 'good');
+assert.strictEqual(ProcessWindow.classify({ widthUm: 260, continuity: 1, keyholeShare: 1 }, widthOnly), 'keyhole');
+
+// Each track gets its own canvas around a horizontal line
+const { cfg: trackCfg, start, end } = ProcessWindow.trackConfig(cfg, 'brush.intensity', 0.01, 500);
+assert.strictEqual(trackCfg.brush.intensity, 0.01);
+assert.strictEqual(trackCfg.laser.scanSpeedMmS, 500);
+assert.strictEqual(end.x - start.x, 80);
+assert.strictEqual(start.y, end.y);
+assert.ok(start.x >= 3 * cfg.brush.radius && trackCfg.canvas.height === 2 * start.y + 1);
+assert.strictEqual(cfg.brush.intensity, BrushConfig.brush.intensity, 'Source config untouched');
+
+// A 2 x 2 grid: too little energy does not melt, slow and hot over-melts
+const log = console.log;
+console.log = () => {};
+let result;
+try {
+    const run = new ProcessWindow.ProcessWindowRun(cfg);
+    assert.strictEqual(run.progress, 0);
+    assert.strictEqual(run.total, 4);
+    const seen = [];
+    result = run.runAll(cell => seen.push(cell.class));
+    assert.ok(run.done);
+    assert.strictEqual(seen.length, 4);
+    assert.strictEqual(run.step(), null);
+} finally {
+    console.log = log;
+}
+const cell = (row, col) => result.cells.find(c => c.row === row && c.col === col);
+assert.strictEqual(cell(0, 0).intensity, 0.004);
+assert.strictEqual(cell(0, 1).speedMmS, 2000);
+assert.strictEqual(cell(0, 1).widthUm, 0);
+assert.strictEqual(cell(0, 1).class, 'lack-of-fusion');
+assert.ok(cell(1, 0).widthUm > cell(1, 1).widthUm, 'Slower tracks melt wider');
+assert.strictEqual(cell(1, 0).continuity, 1);
+assert.strictEqual(cell(1, 0).class, 'keyhole');
+assert.ok(cell(1, 0).peakTemperature > cell(0, 0).peakTemperature);
+assert.ok(cell(1, 0).peakTemperature <= 1, 'Peaks stay within the clamp');
+assert.ok(cell(1, 0).keyholeShare > 0 && cell(1, 0).keyholeShare <= 1);
+assert.strictEqual(cell(0, 1).keyholeShare, 0);
+// An explicit keyholeLevel replaces the fraction: above the ceiling nothing is a keyhole risk
+const unreachable = ProcessWindow.runTrack(cfg, 'brush.intensity', 0.024, 250, { criteria: Object.assign({}, criteria, { keyholeLevel: 2 }) });
+assert.strictEqual(unreachable.keyholeShare, 0);
+
+// The shipped grid has a process window between lack of fusion (fast / cold) and keyhole (slow / hot)
+const defaults = new ProcessWindow.ProcessWindowRun(JSON.parse(JSON.stringify(BrushConfig))).runAll();
+const counts = {};
+for (const c of defaults.cells) counts[c.class] = (counts[c.class] || 0) + 1;
+assert.ok(defaults.cells.some(c => c.class === 'keyhole' && c.widthUm <= defaults.criteria.maxWidthUm), `the peak rule flags a track the width limit does not: ${JSON.stringify(counts)}`);
+assert.ok(counts.good > 0, `default grid has good cells: ${JSON.stringify(counts)}`);
+assert.ok(counts.keyhole > 0 && counts['lack-of-fusion'] > 0);
+const corner = (row, col) => defaults.cells.find(c => c.row === row && c.col === col).class;
+assert.strictEqual(corner(0, defaults.speeds.length - 1), 'lack-of-fusion');
+assert.strictEqual(corner(defaults.intensities.length - 1, 0), 'keyhole');
+
+// Heatmap: intensity increases upwards, speed to the right
+const image = ProcessWindow.renderImage(result, { cellPx: 10 });
+assert.strictEqual(image.width, 20);
+assert.strictEqual(image.height, 20);
+const rgbAt = (x, y) => Array.from(image.data.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 3));
+assert.deepStrictEqual(rgbAt(5, 5), ProcessWindow.COLORS[cell(1, 0).class]);
+assert.deepStrictEqual(rgbAt(15, 15), ProcessWindow.COLORS[cell(0, 1).class]);
+assert.deepStrictEqual(rgbAt(0, 0), [34, 34, 34], 'Cell border');
+
+const csv = ProcessWindow.toCSV(result).trim().split('\n');
+assert.strictEqual(csv.length, 5);
+assert.ok(csv[0].startsWith('brush.intensity,speed_mm_s,width_um'));
+assert.ok(csv[1].endsWith(cell(0, 0).class));
+
+console.log('All process window tests passed.');
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const SeededRandom = require('../rng.js');
+
+const draw = (rng, n) => Array.from({ length: n }, () => rng.next());
+
+// Same seed and stream reproduce the same sequence
+const a = draw(new SeededRandom(1234, 'background'), 50);
+const b = draw(new SeededRandom(1234, 'background'), 50);
+assert.deepStrictEqual(a, b);
+a.forEach(v => assert.ok(v >= 0 && v < 1));
+
+// Different seeds and different streams diverge
+assert.notDeepStrictEqual(draw(new SeededRandom(1235, 'background'), 50), a);
+assert.notDeepStrictEqual(draw(new SeededRandom(1234, 'spatter'), 50), a);
+
+// Forks are independent of how much the parent has drawn
+const parent = new SeededRandom(7);
+const early = draw(parent.fork('top'), 10);
+draw(parent, 100);
+assert.deepStrictEqual(draw(parent.fork('top'), 10), early);
+assert.strictEqual(parent.fork('top').stream, 'top');
+assert.strictEqual(parent.fork('top').fork('x').stream, 'top/x');
+
+// Helpers stay in range
+const rng = new SeededRandom(99);
+for (let i = 0; i < 1000; i++) {
+    const r = rng.range(3, 5);
+    assert.ok(r >= 3 && r < 5);
+    const k = rng.int(4);
+    assert.ok(Number.isInteger(k) && k >= 0 && k < 4);
+}
+assert.ok(['a', 'b'].includes(rng.pick(['a', 'b'])));
+
+// Roughly uniform
+const mean = draw(new SeededRandom(42), 10000).reduce((s, v) => s + v, 0) / 10000;
+assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+
+// Config seeds win; without one every stream shares a single session seed
+assert.strictEqual(SeededRandom.resolveSeed({ seed: 5 }), 5);
+const session = SeededRandom.resolveSeed({ seed: null });
+assert.strictEqual(SeededRandom.resolveSeed({}), session);
+assert.strictEqual(SeededRandom.fromConfig(null, 'x').seed, session);
+
+console.log('All rng tests passed.');
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { ScanPath, ScanPathPlayer } = require('../scan-path.js');
+
+function approxEqual(a, b, epsilon = 1e-9) {
+    return Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+// G-code: rapids are jumps, G1 marks only while the laser is on, F is in units per minute
+const gcode = ScanPath.parse(`
+G21 G90 ; metric, absolute
+G0 X1 Y1
+M3 S200
+G1 X3 F6000 (100 mm/s)
+G91
+G1 Y2
+M5
+G1 X-1
+G20
+G0 X1
+`, 'part.gcode');
+assert.strictEqual(gcode.format, 'gcode');
+assert.strictEqual(gcode.moves.length, 5);
+assert.deepStrictEqual(gcode.moves[0], { x: 1, y: 1, laserOn: false, speedMmS: null, layer: 0 });
+assert.strictEqual(gcode.moves[1].laserOn, true);
+assert(approxEqual(gcode.moves[1].speedMmS, 100));
+assert.strictEqual(gcode.moves[2].x, 3, 'Relative moves accumulate');
+assert.strictEqual(gcode.moves[2].y, 3);
+assert.strictEqual(gcode.moves[3].laserOn, false, 'M5 turns the laser off');
+assert(approxEqual(gcode.moves[4].x, 2 + 25.4), 'G20 switches to inches');
+// S0 also switches the laser off
+assert.strictEqual(ScanPath.parseGCode('M3 S0\nG1 X1 F60').moves[0].laserOn, false);
+
+// CLI: units scale coordinates, hatches become jump + mark pairs
+const cli = ScanPath.parse(`$$HEADERSTART
+$$ASCII
+$$UNITS/0.005
+$$HEADEREND
+$$GEOMETRYSTART
+$$LAYER/6
+$$HATCHES/1,2,0,0,200,0,0,20,200,20
+$$LAYER/12
+$$POLYLINE/1,1,3,0,0,100,0,100,100
+$$GEOMETRYEND`);
+assert.strictEqual(cli.format, 'cli');
+assert.strictEqual(cli.layers, 2);
+assert.strictEqual(cli.moves.length, 7);
+assert.deepStrictEqual(cli.moves.slice(0, 2).map(m => [m.x, m.y, m.laserOn]), [[0, 0, false], [1, 0, true]]);
+assert.strictEqual(cli.moves[4].layer, 1);
+assert.strictEqual(cli.moves[4].laserOn, false, 'Polylines start with a jump');
+
+// JSON: segments and polylines, micrometre units
+const json = ScanPath.parse(JSON.stringify({
+    units: 'um',
+    speedMmS: 500,
+    segments: [[0, 0, 1000, 0]],
+    polylines: [{ points: [[0, 100], [1000, 100]], speedMmS: 250 }]
+}));
+assert.strictEqual(json.format, 'json');
+assert.strictEqual(json.moves.length, 4);
+assert.strictEqual(json.moves[1].x, 1);
+assert.strictEqual(json.moves[1].speedMmS, 500);
+assert.strictEqual(json.moves[3].speedMmS, 250);
+
+// Playback: N positions per step of dt while marking, none while jumping
+const path = ScanPath.parseJSON({ segments: [[0, 0, 1, 0]], speedMmS: 100 });
+const emitted = [];
+const player = new ScanPathPlayer(path, {
+    pixelSizeUm: 10, width: 200, height: 100, placement: 'origin', flipY: false,
+    positionsPerStep: 5, jumpSpeedMmS: 1000, enqueue: (p) => emitted.push(p)
+});
+const dt = 1e-3;
+player.advance(dt);
+assert.strictEqual(emitted.length, 5, 'One position per dwell interval');
+assert(approxEqual(emitted[1].x - emitted[0].x, 2), '100 mm/s * 0.2 ms = 20 um = 2 px');
+let steps = 1;
+while (!player.advance(dt) && steps < 100) steps++;
+assert.strictEqual(steps + 1, 10, '1 mm at 100 mm/s takes 10 ms');
+assert(emitted.length >= 50 && emitted.length <= 51);
+assert(approxEqual(player.elapsed, 0.01));
+
+// Jump time is spent without emitting positions
+const jumpFirst = ScanPath.parseJSON({ segments: [[1, 0, 2, 0]], speedMmS: 100 });
+const emittedAfterJump = [];
+const jumpPlayer = new ScanPathPlayer(jumpFirst, { placement: 'origin', positionsPerStep: 1, jumpSpeedMmS: 1000, enqueue: (p) => emittedAfterJump.push(p) });
+jumpPlayer.advance(5e-4);
+assert.strictEqual(emittedAfterJump.length, 0, 'Still jumping to the segment start');
+jumpPlayer.advance(1e-3);
+assert(emittedAfterJump.length > 0);
+
+// Centered placement puts the path's bounding box in the middle of the canvas
+const centered = new ScanPathPlayer(ScanPath.parseJSON([[0, 0, 2, 2]]), { pixelSizeUm: 10, width: 800, height: 600 });
+assert.deepStrictEqual(centered.toPixels(1, 1), { x: 400, y: 300 });
+assert.deepStrictEqual(centered.toPixels(2, 2), { x: 500, y: 200 }, 'Machine +Y is canvas up');
+
+console.log('All scan path tests passed.');
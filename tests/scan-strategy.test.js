@@ -0,0 +1,59 @@
+const assert = require('assert');
+const ScanStrategy = require('../scan-strategy.js');
+
+function approxEqual(a, b, epsilon = 1e-9) {
+    return Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+const region = { x: 1, y: 2, width: 1, height: 0.5 };
+
+// Meander at 0 deg: horizontal lines half a spacing inside the edges, alternating direction
+const meander = ScanStrategy.vectors(region, { pattern: 'meander', hatchSpacingMm: 0.1 });
+assert.strictEqual(meander.length, 5);
+assert(approxEqual(meander[0][1], 2.05));
+assert(approxEqual(meander[0][0], 1) && approxEqual(meander[0][2], 2), 'First line runs left to right');
+assert(approxEqual(meander[1][0], 2) && approxEqual(meander[1][2], 1), 'Second line runs back');
+
+// Unidirectional keeps every vector in the same direction
+const uni = ScanStrategy.vectors(region, { pattern: 'unidirectional', hatchSpacingMm: 0.1 });
+assert(uni.every(v => v[2] > v[0]));
+
+// Every vector stays inside the region, whatever the angle
+for (const pattern of ScanStrategy.PATTERNS) {
+    for (const angleDeg of [0, 30, 67, 90, 135]) {
+        const list = ScanStrategy.vectors(region, { pattern, hatchSpacingMm: 0.05, angleDeg, stripeWidthMm: 0.3, islandSizeMm: 0.25 });
+        assert(list.length > 0, `${pattern} @ ${angleDeg} produced vectors`);
+        for (const v of list) {
+            for (const [x, y] of [[v[0], v[1]], [v[2], v[3]]]) {
+                assert(x >= 1 - 1e-9 && x <= 2 + 1e-9 && y >= 2 - 1e-9 && y <= 2.5 + 1e-9, `${pattern} @ ${angleDeg} stays inside`);
+            }
+        }
+    }
+}
+
+// Stripes limit hatch vectors to the stripe width
+const stripes = ScanStrategy.vectors(region, { pattern: 'stripe', hatchSpacingMm: 0.1, stripeWidthMm: 0.3 });
+assert(stripes.every(v => Math.hypot(v[2] - v[0], v[3] - v[1]) <= 0.3 + 1e-9));
+assert.strictEqual(stripes.length, 4 * 5, 'Four stripes (0.3 + 0.3 + 0.3 + 0.1 mm) of five lines');
+
+// Chessboard islands alternate hatch direction: second half of the islands runs vertically
+const chess = ScanStrategy.vectors({ x: 0, y: 0, width: 1, height: 1 }, { pattern: 'chessboard', hatchSpacingMm: 0.1, islandSizeMm: 0.5 });
+assert.strictEqual(chess.length, 4 * 5);
+assert(chess.slice(0, 10).every(v => approxEqual(v[1], v[3])), 'Black islands are hatched horizontally');
+assert(chess.slice(10).every(v => approxEqual(v[0], v[2])), 'White islands are hatched vertically');
+
+// Inter-layer rotation and contour
+assert.strictEqual(ScanStrategy.layerAngle({ angleDeg: 0, layerRotationDeg: 67 }, 3), (67 * 3) % 180);
+const withContour = ScanStrategy.vectors(region, { hatchSpacingMm: 0.1, contour: true });
+assert.strictEqual(withContour.length, 5 + 4);
+assert.strictEqual(withContour[withContour.length - 1][4], 'contour');
+
+// Generated paths alternate jump and mark moves
+const path = ScanStrategy.generate(region, { pattern: 'unidirectional', hatchSpacingMm: 0.1, speedMmS: 800 }, 2);
+assert.strictEqual(path.moves.length, 10);
+assert.strictEqual(path.moves[0].laserOn, false);
+assert.strictEqual(path.moves[1].laserOn, true);
+assert.strictEqual(path.moves[1].speedMmS, 800);
+assert.strictEqual(path.moves[1].layer, 2);
+
+console.log('All scan strategy tests passed.');
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const SettingsPanel = require('../settings-panel.js');
+
+const config = JSON.parse(JSON.stringify(BrushConfig));
+
+// Controls are inferred from the values, with explicit ranges and option lists where known
+assert.deepStrictEqual(SettingsPanel.controlFor('brush.radius', 20), { path: 'brush.radius', kind: 'range', value: 20, min: 1, max: 80, step: 1 });
+assert.strictEqual(SettingsPanel.controlFor('smoothing.useBresenham', true).kind, 'checkbox');
+assert.deepStrictEqual(SettingsPanel.controlFor('thermal.model', 'blur').options, ['blur', 'conduction']);
+assert.strictEqual(SettingsPanel.controlFor('brush.profile', 'cone').kind, 'select');
+assert.ok(SettingsPanel.controlFor('visual.colormap.name', 'thermal').options.includes('inferno'));
+assert.strictEqual(SettingsPanel.controlFor('visual.colormap.stops', null), null);
+assert.strictEqual(SettingsPanel.controlFor('background.baseColor', '#363636ff').kind, 'color');
+assert.strictEqual(SettingsPanel.controlFor('visual.contour.strokeColor', 'red').kind, 'color');
+assert.strictEqual(SettingsPanel.controlFor('thermal.units', 'normalized'), null, 'Units need a reload');
+assert.strictEqual(SettingsPanel.controlFor('material.name', 'Ti-6Al-4V'), null);
+// Unlisted numbers: fractions 0..1, others up to 4x the value
+assert.deepStrictEqual(SettingsPanel.controlFor('visual.overlay.alphaScale', 0.5), { path: 'visual.overlay.alphaScale', kind: 'range', value: 0.5, min: 0, max: 1, step: 0.01 });
+const guessed = SettingsPanel.controlFor('background.pushRadius', 45);
+assert.strictEqual(guessed.max, 180);
+assert.strictEqual(guessed.step, 1);
+assert.strictEqual(SettingsPanel.controlFor('visual.particles.recirculationFlow', -0.3).min, -2);
+
+// Groups follow the config layout; performance only lists the runtime-safe keys
+const groups = SettingsPanel.describe(config);
+const labels = groups.map(g => g.label);
+assert.deepStrictEqual(labels.slice(0, 4), ['brush', 'thermal', 'smoothing', 'performance']);
+assert.ok(labels.includes('visual.particles'));
+assert.ok(labels.includes('visual.particles.velocity'));
+assert.ok(labels.includes('background.motion'));
+const perf = groups.find(g => g.label === 'performance').controls.map(c => c.path);
+assert.ok(perf.includes('performance.gpuBatchSize'));
+assert.ok(perf.includes('performance.gpuFieldPrecision'));
+assert.deepStrictEqual(SettingsPanel.controlFor('performance.gpuFieldPrecision', 'float32').options, ['float32', 'float16']);
+assert.ok(!perf.includes('performance.debugUpdateInterval'));
+const thermal = groups.find(g => g.label === 'thermal').controls.map(c => c.path);
+assert.ok(thermal.includes('thermal.decayTime'), 'Null decayTime still gets a slider');
+assert.ok(!thermal.includes('thermal.units'));
+assert.ok(!groups.some(g => g.controls.some(c => c.path === 'visual.particles.colors')), 'Arrays are skipped');
+
+// Rebuild actions per key
+assert.deepStrictEqual(SettingsPanel.actionsFor('brush.radius'), ['brush']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('thermal.blurSigma'), ['brush']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('smoothing.alpha'), ['brush']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('performance.maxPositionsPerFrame'), ['brush']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('performance.gpuBatchSize'), ['gpu']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('performance.gpuFieldPrecision'), ['gpu']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('performance.gpuAsyncReadback'), []);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.contour.grayGamma'), ['contour']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.colormap.name'), ['colormap']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.colormap.firstTransition'), ['colormap']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.colormap.colorbar.ticks'), []);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.squareOverlay.size'), ['background']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('background.visual.top.radiusMax'), ['background']);
+assert.deepStrictEqual(SettingsPanel.actionsFor('visual.particles.fadeRate'), [], 'Read every frame');
+
+// Overrides: only changed keys, nested
+const edited = JSON.parse(JSON.stringify(config));
+SettingsPanel.setPath(edited, 'brush.radius', 8);
+SettingsPanel.setPath(edited, 'visual.particles.velocity.max', 9);
+assert.strictEqual(SettingsPanel.getPath(edited, 'visual.particles.velocity.max'), 9);
+assert.deepStrictEqual(SettingsPanel.overrides(config, edited), { brush: { radius: 8 }, visual: { particles: { velocity: { max: 9 } } } });
+assert.deepStrictEqual(SettingsPanel.overrides(config, config), {});
+
+// Colour picker values
+assert.strictEqual(SettingsPanel.toPickerColor('#0F0'), '#00ff00');
+assert.strictEqual(SettingsPanel.toPickerColor('#363636ff'), '#363636');
+assert.strictEqual(SettingsPanel.toPickerColor('red', () => '#ff0000'), '#ff0000');
+assert.strictEqual(SettingsPanel.toPickerColor('nonsense'), '#000000');
+
+console.log('All settings panel tests passed.');
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const SimulationClock = require('../sim-clock.js');
+
+// Count the steps a clock produces for one wall-clock second sampled at a given refresh rate
+function stepsForOneSecond(refreshHz, opts = {}) {
+    const clock = new SimulationClock(Object.assign({ stepsPerSecond: 60, maxStepsPerFrame: 4 }, opts));
+    const frameMs = 1000 / refreshHz;
+    let total = 0;
+    clock.advance(0);
+    for (let f = 1; f <= refreshHz; f++) {
+        total += clock.advance(f * frameMs);
+    }
+    return total;
+}
+
+// Simulation throughput must not depend on the display refresh rate
+const at60 = stepsForOneSecond(60);
+const at120 = stepsForOneSecond(120);
+const at144 = stepsForOneSecond(144);
+assert(Math.abs(at60 - 60) <= 1, `60 Hz display should run ~60 steps, got ${at60}`);
+assert(Math.abs(at120 - 60) <= 1, `120 Hz display should run ~60 steps, got ${at120}`);
+assert(Math.abs(at144 - 60) <= 1, `144 Hz display should run ~60 steps, got ${at144}`);
+
+// Slow displays run several substeps per rendered frame
+const at30 = stepsForOneSecond(30);
+assert(Math.abs(at30 - 60) <= 1, `30 Hz display should still run ~60 steps, got ${at30}`);
+
+// A long stall is capped instead of replaying the whole backlog
+const clock = new SimulationClock({ stepsPerSecond: 60, maxStepsPerFrame: 4 });
+clock.advance(0);
+assert.strictEqual(clock.advance(5000), 4, 'Catch-up is capped at maxStepsPerFrame');
+assert.strictEqual(clock.advance(5000 + 1000 / 60), 1, 'Backlog beyond the cap is dropped');
+
+// reset() forgets elapsed time (used when resuming after a pause)
+clock.reset();
+assert.strictEqual(clock.advance(90000), 0, 'First advance after reset only records the time');
+
+// Lockstep ignores wall-clock time: one step per rendered frame
+const locked = new SimulationClock({ stepsPerSecond: 60, lockstep: true });
+assert.strictEqual(locked.advance(0), 1);
+assert.strictEqual(locked.advance(5000), 1);
+assert.strictEqual(locked.advance(5000), 1);
+
+console.log('All simulation clock tests passed.');
@@ -0,0 +1,276 @@
+const assert = require('assert');
+const BrushConfig = require('../config.js');
+const ThermalSimulation = require('../sim-core.js');
+const { ScanPath } = require('../scan-path.js');
+
+function makeConfig() {
+    const cfg = JSON.parse(JSON.stringify(BrushConfig));
+    cfg.canvas.width = 120;
+    cfg.canvas.height = 80;
+    return cfg;
+}
+
+const thermalMax = (s) => s.getField('thermal').reduce((a, b) => Math.max(a, b), -Infinity);
+
+// Runs headless on the CPU path
+const sim = new ThermalSimulation(makeConfig());
+assert.strictEqual(sim.useGPU, false);
+assert.strictEqual(sim.width, 120);
+assert.ok(sim.idle);
+assert.strictEqual(sim.getField('thermal').length, 120 * 80);
+assert.throws(() => sim.getField('nope'), /unknown field/);
+
+// Hooks see every step and every deposited position
+let starts = 0;
+const deposited = [];
+sim.onStepStart = () => { starts++; };
+sim.onBrushPosition = (pos) => deposited.push(pos);
+
+// A scripted stroke melts a line and leaves it in the persistent mask
+sim.addLinePositions({ x: 20, y: 40 }, { x: 100, y: 40 });
+const queued = sim.positionQueue.length;
+assert.ok(queued > 0);
+const steps = sim.runUntilIdle(1000, 3);
+assert.ok(sim.idle);
+assert.strictEqual(sim.stepCounter, steps);
+assert.strictEqual(starts, steps);
+assert.strictEqual(deposited.length, queued);
+assert.ok(Math.abs(sim.simTime - steps * sim.dt) < 1e-12);
+const mask = sim.getField('persistentMask');
+assert.strictEqual(mask[40 * 120 + 60], 1, 'Stroke centre is fused');
+assert.strictEqual(mask[5 * 120 + 60], 0, 'Far from the stroke stays unfused');
+assert.ok(sim.sample(60, 40) > sim.sample(60, 5));
+assert.ok(sim.getField('maxThresholded').every(v => v <= sim.units.ceiling), 'Peaks are recorded after the clamp');
+assert.ok(thermalMax(sim) <= sim.units.ceiling);
+assert.ok(Number.isNaN(sim.sample(-1, 0)));
+
+// Field statistics agree with the arrays and are cached until the next step
+const stats = sim.fieldStats();
+const thermal = sim.getField('thermal');
+assert.strictEqual(stats.persistent, mask.reduce((a, b) => a + b, 0));
+assert.strictEqual(stats.max, thermal.reduce((a, b) => Math.max(a, b), -Infinity));
+assert.ok(Math.abs(stats.mean - thermal.reduce((a, b) => a + b, 0) / thermal.length) < 1e-6);
+assert.strictEqual(stats.above > 0, sim.isThereMolten);
+assert.strictEqual(sim.fieldStats(), stats);
+sim.addLinePositions({ x: 30, y: 20 }, { x: 50, y: 20 });
+sim.runUntilIdle(1000);
+const hot = sim.fieldStats();
+assert.notStrictEqual(hot, stats);
+assert.ok(hot.above > 0 && sim.isThereMolten);
+assert.ok(hot.bounds.minX <= 50 && hot.bounds.maxX >= 45 && hot.bounds.minY <= 20 && hot.bounds.maxY >= 20, 'Box covers the end of the stroke');
+let outside = 0;
+thermal.forEach((v, i) => {
+    const x = i % 120, y = Math.floor(i / 120);
+    if (v > sim.threshold && (x < hot.bounds.minX || x > hot.bounds.maxX || y < hot.bounds.minY || y > hot.bounds.maxY)) outside++;
+});
+assert.strictEqual(outside, 0);
+
+// Probes are recorded every step
+sim.probes.add(60, 40);
+sim.run(4);
+assert.strictEqual(sim.probes.probes[0].values.length, 4);
+
+// On the GPU, probe rows are sampled per step and recorded together by flushProbes
+{
+    const gpuSim = new ThermalSimulation(makeConfig());
+    const rows = [];
+    let reads = 0;
+    gpuSim.gpuCompute = {
+        supported: true,
+        probeRows: 3,
+        // Each sample is the probe's x / 100
+        sampleProbes: (positions, row) => { rows[row] = Array.from(positions.filter((v, i) => i % 2 === 0), x => x / 100); return true; },
+        readProbeSamples: (n) => { reads++; return Float32Array.from(rows.slice(0, n).flat()); },
+        readThermalPixel: () => { throw new Error('no per-pixel reads'); }
+    };
+    gpuSim.useGPU = true;
+    const p0 = gpuSim.probes.add(10, 5);
+    const p1 = gpuSim.probes.add(20, 5);
+    gpuSim.simTime = 1;
+    gpuSim.recordProbes();
+    gpuSim.simTime = 2;
+    gpuSim.recordProbes();
+    assert.strictEqual(p0.values.length, 0, 'Nothing recorded before the flush');
+    gpuSim.flushProbes();
+    assert.strictEqual(reads, 1);
+    assert.deepStrictEqual(p0.times, [1, 2]);
+    assert.deepStrictEqual(Array.from(p1.values, v => Math.round(v * 100)), [20, 20]);
+    // Running out of rows flushes on its own
+    for (let i = 0; i < 3; i++) gpuSim.recordProbes();
+    assert.strictEqual(reads, 2);
+    assert.strictEqual(p0.values.length, 5);
+    // A changed probe list flushes the rows taken for the old one first
+    gpuSim.recordProbes();
+    gpuSim.probes.remove(p0);
+    gpuSim.recordProbes();
+    assert.strictEqual(reads, 3);
+    assert.strictEqual(p0.values.length, 6);
+    gpuSim.flushProbes();
+    assert.strictEqual(p1.values.length, 7);
+}
+
+// The contour sync reads only the molten peaks inside the current and previous molten bounds
+{
+    const gpuSim = new ThermalSimulation(makeConfig());
+    const w = gpuSim.width;
+    const gpuMolten = new Float32Array(gpuSim.maxMolten.length);
+    const regions = [];
+    const boundsOf = () => {
+        let b = null;
+        gpuMolten.forEach((v, i) => {
+            if (!v) return;
+            const x = i % w, y = Math.floor(i / w);
+            b = b || { minX: x, minY: y, maxX: x, maxY: y };
+            b.minX = Math.min(b.minX, x); b.maxX = Math.max(b.maxX, x);
+            b.minY = Math.min(b.minY, y); b.maxY = Math.max(b.maxY, y);
+        });
+        return b;
+    };
+    gpuSim.gpuCompute = {
+        supported: true,
+        reduceStats: () => ({ sum: 0, max: 0, above: boundsOf() ? 1 : 0, persistent: 0, bounds: boundsOf() }),
+        readMoltenRegion: (x, y, rw, rh) => {
+            regions.push([x, y, rw, rh]);
+            const out = new Float32Array(rw * rh);
+            for (let j = 0; j < rh; j++) out.set(gpuMolten.subarray((y + j) * w + x, (y + j) * w + x + rw), j * rw);
+            return out;
+        }
+    };
+    gpuSim.useGPU = true;
+    const step = (cells) => {
+        gpuMolten.fill(0);
+        cells.forEach(([x, y]) => { gpuMolten[y * w + x] = 2; });
+        gpuSim._fieldStats = null;
+        gpuSim._masksStale = true;
+        gpuSim.syncMoltenFromGPU();
+    };
+    step([[10, 5], [12, 6]]);
+    assert.deepStrictEqual(regions.pop(), [10, 5, 3, 2]);
+    step([[30, 20]]);
+    assert.deepStrictEqual(regions.pop(), [10, 5, 21, 16], 'Previous pool is cleared as well');
+    assert.deepStrictEqual(Array.from(gpuSim.maxMolten), Array.from(gpuMolten));
+    step([]);
+    assert.deepStrictEqual(regions.pop(), [30, 20, 1, 1]);
+    assert.ok(gpuSim.maxMolten.every(v => v === 0));
+    step([]);
+    assert.strictEqual(regions.length, 0, 'Nothing to read once the pool is gone');
+    assert.strictEqual(gpuSim._masksStale, true, 'The other masks stay stale');
+}
+
+// An asynchronous readback arrives with the time and molten state of the step it was requested at
+{
+    const gpuSim = new ThermalSimulation(makeConfig());
+    let pending = null;
+    const copy = () => new Float32Array(gpuSim.thermalData.length);
+    gpuSim.gpuCompute = {
+        supported: true,
+        requestThermalReadback: () => { pending = copy(); return true; },
+        pollThermalReadback: () => { const done = pending; pending = null; return done; },
+        cancelThermalReadback: () => { pending = null; },
+        downloadThermalData: copy
+    };
+    gpuSim.useGPU = true;
+    const updates = [];
+    gpuSim.solidification = { update: (field, thr, time) => updates.push(time) };
+    gpuSim.simTime = 1;
+    gpuSim.isThereMolten = true;
+    assert.strictEqual(gpuSim.downloadGPUField(), false, 'First call only requests');
+    gpuSim.simTime = 2;
+    gpuSim.isThereMolten = false;
+    assert.strictEqual(gpuSim.downloadGPUField(), true);
+    assert.deepStrictEqual(updates, [1]);
+    assert.strictEqual(gpuSim._moltenAtSync, true, 'The copy was molten even though the field has cooled');
+    assert.strictEqual(gpuSim.downloadGPUField({ wait: true }), true);
+    assert.deepStrictEqual(updates, [1, 2]);
+    assert.strictEqual(gpuSim._moltenAtSync, false);
+}
+
+// On the GPU, isThereMolten reads the reduction asynchronously and keeps the last result meanwhile
+{
+    const gpuSim = new ThermalSimulation(makeConfig());
+    let inFlight = null, ready = false, requests = 0, above = 5;
+    gpuSim.gpuCompute = {
+        supported: true,
+        requestStatsReadback: () => { if (inFlight) return false; requests++; inFlight = { above }; return true; },
+        pollStatsReadback: () => { if (!inFlight || !ready) return null; const done = inFlight; inFlight = null; return done; },
+        reduceStats: () => { throw new Error('no blocking reduction'); }
+    };
+    gpuSim.useGPU = true;
+    gpuSim._moltenStale = true;
+    assert.strictEqual(gpuSim.isThereMolten, false, 'Nothing arrived yet');
+    assert.strictEqual(gpuSim.isThereMolten, false);
+    assert.strictEqual(requests, 1);
+    ready = true;
+    above = 0;
+    gpuSim._moltenStale = true;
+    assert.strictEqual(gpuSim.isThereMolten, true, 'Previous request');
+    assert.strictEqual(requests, 2);
+    gpuSim._moltenStale = true;
+    assert.strictEqual(gpuSim.isThereMolten, false);
+}
+
+// Recoat stores the layer and clears the masks
+const layer = sim.recoatLayer();
+assert.strictEqual(layer.index, 0);
+assert.ok(layer.fusedArea > 0);
+assert.strictEqual(sim.layerStack.total, 1);
+assert.strictEqual(sim.getField('persistentMask').reduce((a, b) => a + b, 0), 0);
+
+// Scan paths play back through the same queue
+const path = ScanPath.parse(JSON.stringify({ units: 'mm', segments: [{ from: [0.3, 0.2], to: [0.9, 0.2], speed: 500 }] }), 'line.json');
+sim.playScanPath(path, { placement: 'origin', flipY: false });
+assert.ok(!sim.idle);
+sim.runUntilIdle(5000);
+assert.ok(sim.idle);
+assert.ok(sim.getField('persistentMask').reduce((a, b) => a + b, 0) > 0);
+
+// Separate instances with separate configs do not share state
+const other = new ThermalSimulation(Object.assign(makeConfig(), { canvas: { width: 40, height: 30, pixelSizeUm: 10 } }));
+assert.strictEqual(other.getField('thermal').length, 1200);
+assert.strictEqual(other.stepCounter, 0);
+
+// Live config edits: configureBrush re-derives the kernels, reinitGPU keeps the field (CPU here)
+const live = new ThermalSimulation(makeConfig());
+live.addLinePositions({ x: 20, y: 40 }, { x: 60, y: 40 });
+live.runUntilIdle(1000);
+const before = Float32Array.from(live.getField('thermal'));
+live.config.brush.radius = 6;
+live.config.thermal.decayRate = 0.95;
+live.config.performance.maxPositionsPerFrame = 3;
+live.configureBrush();
+assert.strictEqual(live.brushRadius, 6);
+assert.strictEqual(live.brushVariants.length, 3);
+assert.ok(Math.abs(live._configuredDecay - 0.95) < 1e-12);
+assert.ok(live.brush.size < sim.brush.size);
+assert.deepStrictEqual(live.getField('thermal'), before, 'Reconfiguring leaves the field alone');
+live.config.brush.threshold = 0.5;
+live.configureBrush();
+assert.strictEqual(live.threshold, 0.5, 'The threshold slider takes effect');
+assert.strictEqual(live.units.threshold, 0.5);
+assert.strictEqual(live.reinitGPU(), false);
+assert.deepStrictEqual(live.getField('thermal'), before);
+
+// Half-float fields cannot resolve Kelvin increments: float16 is replaced by float32 in Kelvin mode
+{
+    const requested = [];
+    global.GPUCompute = class {
+        constructor(w, h, batch, options) { requested.push(options.fieldPrecision); this.supported = false; }
+    };
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+    try {
+        const halfCfg = makeConfig();
+        halfCfg.performance.gpuFieldPrecision = 'float16';
+        new ThermalSimulation(halfCfg);
+        halfCfg.thermal.units = 'kelvin';
+        new ThermalSimulation(halfCfg);
+    } finally {
+        console.warn = warn;
+        delete global.GPUCompute;
+    }
+    assert.deepStrictEqual(requested, ['float16', 'float32']);
+    assert.strictEqual(warnings.length, 1);
+}
+
+console.log('All simulation core tests passed.');
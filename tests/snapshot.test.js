@@ -0,0 +1,41 @@
+const assert = require('assert');
+const Snapshot = require('../snapshot.js');
+
+const thermal = new Float32Array([0.1, 0.5, 0.9, 1.5, 0.25]);
+const mask = new Uint8Array([1, 0, 1]);
+const counts = new Uint16Array([3, 0, 7]);
+const queue = new Int32Array([10, 20, -1, 40]);
+const header = { width: 5, height: 1, layer: 4, config: { brush: { radius: 7 } }, label: 'ünïcode' };
+
+const buffer = Snapshot.encode(header, { thermal, mask, counts, queue, skipped: null });
+assert.ok(buffer instanceof ArrayBuffer);
+assert.strictEqual(buffer.byteLength % 4, 0);
+assert.strictEqual(String.fromCharCode(...new Uint8Array(buffer, 0, 8)), Snapshot.MAGIC);
+
+const decoded = Snapshot.decode(buffer);
+assert.strictEqual(decoded.header.layer, 4);
+assert.strictEqual(decoded.header.label, 'ünïcode');
+assert.deepStrictEqual(decoded.header.config, header.config);
+assert.deepStrictEqual(Object.keys(decoded.arrays), ['thermal', 'mask', 'counts', 'queue']);
+assert.deepStrictEqual(Array.from(decoded.arrays.thermal), Array.from(thermal));
+assert.ok(decoded.arrays.mask instanceof Uint8Array);
+assert.deepStrictEqual(Array.from(decoded.arrays.mask), [1, 0, 1]);
+assert.deepStrictEqual(Array.from(decoded.arrays.counts), [3, 0, 7]);
+assert.deepStrictEqual(Array.from(decoded.arrays.queue), [10, 20, -1, 40]);
+// Every payload starts on a 4-byte boundary
+decoded.header.arrays.forEach(entry => assert.strictEqual(entry.offset % 4, 0));
+
+// Views into a larger buffer are encoded by their own bytes only
+const backing = new Float32Array([9, 8, 7, 6]);
+const view = Snapshot.decode(Snapshot.encode({}, { v: backing.subarray(1, 3) })).arrays.v;
+assert.deepStrictEqual(Array.from(view), [8, 7]);
+
+// Corrupt or truncated files are rejected
+const bad = buffer.slice(0);
+new Uint8Array(bad)[0] = 0x58;
+assert.throws(() => Snapshot.decode(bad), /not a simulation snapshot/);
+assert.throws(() => Snapshot.decode(buffer.slice(0, buffer.byteLength - 4)), /truncated array/);
+assert.throws(() => Snapshot.decode(new ArrayBuffer(8)), /too short/);
+assert.throws(() => Snapshot.encode({}, { f64: new Float64Array(2) }), /unsupported array type/);
+
+console.log('All snapshot tests passed.');
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const SolidificationRecorder = require('../solidification.js');
+
+function approxEqual(a, b, epsilon = 1e-6) {
+    return Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+// 3x1 field in Kelvin, 10 um pixels, threshold 1900 K
+const rec = new SolidificationRecorder(3, 1, { pixelSizeUm: 10 });
+assert.strictEqual(rec.update(new Float32Array([2000, 2100, 1000]), 1900, 0), 0, 'First update only stores the field');
+
+// Pixel 0 cools 2000 -> 1800 over 1 ms and crosses halfway through; pixel 1 stays molten
+const crossings = rec.update(new Float32Array([1800, 2000, 1000]), 1900, 1e-3);
+assert.strictEqual(crossings, 1);
+assert(approxEqual(rec.crossTime[0], 0.5e-3));
+assert(approxEqual(rec.coolingRate[0], 2e5), '200 K in 1 ms');
+// One-sided gradient at the edge: (2000 - 1800) K over 10 um
+assert(approxEqual(rec.gradient[0], 2e7));
+assert(Number.isNaN(rec.crossTime[1]));
+
+// Derived maps: R = rate / G, G x R = rate, G / R = G^2 / rate
+assert(approxEqual(rec.value(0, 'G'), 2e7));
+assert(approxEqual(rec.value(0, 'R'), 1e-2));
+assert(approxEqual(rec.value(0, 'GR'), 2e5));
+assert(approxEqual(rec.value(0, 'ratio'), 2e9));
+assert(Number.isNaN(rec.map('G')[2]), 'Never-molten pixels have no value');
+
+// Classification on G/R
+let { classes, counts } = rec.classify({ columnarRatio: 1e9, equiaxedRatio: 1e8 });
+assert.strictEqual(classes[0], SolidificationRecorder.COLUMNAR);
+assert.strictEqual(classes[1], SolidificationRecorder.NONE);
+assert.deepStrictEqual(counts, { columnar: 1, mixed: 0, equiaxed: 0 });
+({ classes } = rec.classify({ columnarRatio: 1e10, equiaxedRatio: 1e9 }));
+assert.strictEqual(classes[0], SolidificationRecorder.MIXED);
+({ classes } = rec.classify({ columnarRatio: 1e11, equiaxedRatio: 1e10 }));
+assert.strictEqual(classes[0], SolidificationRecorder.EQUIAXED);
+
+// Normalized fields are converted to Kelvin through perKelvin
+const norm = new SolidificationRecorder(1, 1, { pixelSizeUm: 10, perKelvin: 0.001 });
+norm.update(new Float32Array([1.0]), 0.95, 0);
+norm.update(new Float32Array([0.9]), 0.95, 1e-3);
+assert(approxEqual(norm.coolingRate[0], 1e5), '0.1 field units = 100 K in 1 ms');
+
+rec.reset();
+assert(Number.isNaN(rec.crossTime[0]));
+
+console.log('All solidification tests passed.');
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const ThermalUnits = require('../thermal-units.js');
+
+function approxEqual(a, b, epsilon = 1e-9) {
+    return Math.abs(a - b) <= epsilon * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+// Configs without thermal.units keep the legacy normalized field
+const legacy = ThermalUnits.resolve({ brush: { threshold: 0.9 }, thermal: {} });
+assert.strictEqual(legacy.mode, 'normalized');
+assert.strictEqual(legacy.ambient, 0);
+assert.strictEqual(legacy.ceiling, 1);
+assert.strictEqual(legacy.threshold, 0.9, 'Legacy threshold comes from brush.threshold');
+assert.strictEqual(legacy.scaleDelta(0.1), 0.1, 'Legacy brush intensity is unchanged');
+// Physical temperature rises map ambient..liquidus onto 0..threshold in the legacy field
+const legacyWithMaterial = ThermalUnits.resolve({ brush: { threshold: 0.9 }, material: { ambientK: 300, liquidusK: 1900 } });
+assert(approxEqual(legacyWithMaterial.kelvinToDelta(1600), 0.9));
+
+// Kelvin mode reads the material block
+const material = { ambientK: 300, solidusK: 1800, liquidusK: 1900, maxTemperatureK: 3300 };
+const kelvin = ThermalUnits.resolve({ thermal: { units: 'kelvin' }, material });
+assert.strictEqual(kelvin.mode, 'kelvin');
+assert.strictEqual(kelvin.threshold, 1900, 'Default melt threshold is the liquidus');
+assert(approxEqual(kelvin.toNormalized(300), 0));
+assert(approxEqual(kelvin.toNormalized(3300), 1));
+assert(approxEqual(kelvin.fromNormalized(kelvin.toNormalized(1234)), 1234));
+assert(approxEqual(kelvin.scaleDelta(0.1), 300), 'Normalized intensity scales to the ambient..max span');
+assert.strictEqual(kelvin.kelvinToDelta(250), 250, 'Kelvin rises are stored as-is');
+
+const solidus = ThermalUnits.resolve({ thermal: { units: 'kelvin' }, material: Object.assign({ meltThreshold: 'solidus' }, material) });
+assert.strictEqual(solidus.threshold, 1800);
+const explicit = ThermalUnits.resolve({ thermal: { units: 'kelvin' }, material: Object.assign({ meltThreshold: 1850 }, material) });
+assert.strictEqual(explicit.threshold, 1850);
+
+console.log('All thermal unit tests passed.');
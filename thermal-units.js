@@ -0,0 +1,87 @@
+// Temperature unit handling for the thermal field.
+// 'normalized' is the legacy mode: the field lives in 0..1 and the threshold is a plain fraction.
+// 'kelvin' stores absolute temperatures and takes ambient/solidus/liquidus from BrushConfig.material.
+(function(){
+    class ThermalUnits {
+        constructor(mode, opts = {}) {
+            this.mode = mode;
+            this.ambient = opts.ambient;
+            this.ceiling = opts.ceiling;
+            this.threshold = opts.threshold;
+            this.solidus = opts.solidus;
+            this.liquidus = opts.liquidus;
+            this.unit = opts.unit || '';
+            // Field units per Kelvin of temperature rise
+            this.perKelvin = opts.perKelvin ?? 1;
+            // Width of the displayed range; normalized brush intensities are fractions of this span
+            this.span = Math.max(1e-9, this.ceiling - this.ambient);
+        }
+
+        static resolve(config) {
+            const cfg = config || {};
+            const mode = (cfg.thermal && cfg.thermal.units === 'kelvin') ? 'kelvin' : 'normalized';
+            if (mode === 'normalized') {
+                const threshold = (cfg.brush && typeof cfg.brush.threshold === 'number') ? cfg.brush.threshold : 0.95;
+                // Physical inputs (e.g. the laser model) map the material's ambient..liquidus rise onto 0..threshold
+                const mat = cfg.material || {};
+                const meltRiseK = Math.max(1e-6, (mat.liquidusK ?? 1928) - (mat.ambientK ?? 293));
+                return new ThermalUnits('normalized', {
+                    ambient: 0,
+                    ceiling: 1,
+                    threshold,
+                    solidus: threshold,
+                    liquidus: threshold,
+                    perKelvin: threshold / meltRiseK
+                });
+            }
+
+            const mat = cfg.material || {};
+            const ambient = Number.isFinite(mat.ambientK) ? mat.ambientK : 293;
+            const solidus = Number.isFinite(mat.solidusK) ? mat.solidusK : 1878;
+            const liquidus = Number.isFinite(mat.liquidusK) ? Math.max(solidus, mat.liquidusK) : Math.max(solidus, 1928);
+            const ceiling = Number.isFinite(mat.maxTemperatureK) ? Math.max(liquidus, mat.maxTemperatureK) : liquidus * 1.5;
+            let threshold = liquidus;
+            if (mat.meltThreshold === 'solidus') {
+                threshold = solidus;
+            } else if (Number.isFinite(mat.meltThreshold)) {
+                threshold = mat.meltThreshold;
+            }
+            return new ThermalUnits('kelvin', { ambient, ceiling, threshold, solidus, liquidus, unit: 'K' });
+        }
+
+        get isPhysical() {
+            return this.mode === 'kelvin';
+        }
+
+        // Map a field value onto 0..1 across ambient..ceiling (used by the colormap and alpha)
+        toNormalized(value) {
+            return (value - this.ambient) / this.span;
+        }
+
+        fromNormalized(t) {
+            return this.ambient + t * this.span;
+        }
+
+        // Convert a normalized increment (e.g. BrushConfig.brush.intensity) into field units
+        scaleDelta(delta) {
+            return delta * this.span;
+        }
+
+        // Convert a temperature rise in Kelvin into field units
+        kelvinToDelta(deltaK) {
+            return deltaK * this.perKelvin;
+        }
+
+        format(value, digits) {
+            const d = (typeof digits === 'number') ? digits : (this.isPhysical ? 0 : 3);
+            return this.unit ? `${value.toFixed(d)} ${this.unit}` : value.toFixed(d);
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ThermalUnits;
+    }
+    if (typeof window !== 'undefined') {
+        window.ThermalUnits = ThermalUnits;
+    }
+})();